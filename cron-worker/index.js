@@ -0,0 +1,48 @@
+/**
+ * 定时任务 Worker
+ * Cloudflare Pages Functions 不支持 Cron Trigger，定时清理由这个独立的 Worker 完成，
+ * 它与 Pages 项目绑定同一个 KV 命名空间和存储配置，直接复用 functions/utils 中的逻辑
+ *
+ * 部署：cd cron-worker && npx wrangler deploy
+ */
+import { purgeExpiredTrash } from '../functions/utils/trash.js';
+import { purgeExpiredUploads } from '../functions/utils/expiry.js';
+import { abortStaleMultipartUploads } from '../functions/utils/multipart-uploads.js';
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledTasks(env));
+  }
+};
+
+async function runScheduledTasks(env) {
+  try {
+    const trash = await purgeExpiredTrash(env);
+    console.log(`Trash purge: ${trash.purged.length} purged, ${trash.failed.length} failed${trash.remaining ? ', more remaining' : ''}`);
+    for (const failure of trash.failed) {
+      console.warn(`Trash purge failed for ${failure.key}: ${failure.error}`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+
+  try {
+    const expired = await purgeExpiredUploads(env);
+    console.log(`Expired uploads: ${expired.deleted.length} deleted, ${expired.failed.length} failed${expired.remaining ? ', more remaining' : ''}`);
+    for (const failure of expired.failed) {
+      console.warn(`Expired upload cleanup failed for ${failure.key}: ${failure.error}`);
+    }
+  } catch (error) {
+    console.error('Expired upload cleanup error:', error);
+  }
+
+  try {
+    const multipart = await abortStaleMultipartUploads(env);
+    console.log(`Stale multipart uploads: ${multipart.aborted.length} aborted, ${multipart.failed.length} failed${multipart.remaining ? ', more remaining' : ''}`);
+    for (const failure of multipart.failed) {
+      console.warn(`Multipart abort failed for ${failure.key}: ${failure.error}`);
+    }
+  } catch (error) {
+    console.error('Stale multipart cleanup error:', error);
+  }
+}
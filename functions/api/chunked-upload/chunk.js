@@ -3,6 +3,7 @@
  * POST /api/chunked-upload/chunk
  */
 import { checkAuthentication, isAuthRequired } from '../../utils/auth.js';
+import { getBackend } from '../../utils/backends/index.js';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
@@ -40,6 +41,13 @@ export async function onRequestPost(context) {
       });
     }
 
+    if (chunkIndex < 0 || chunkIndex >= taskData.totalChunks) {
+      return new Response(JSON.stringify({ error: `chunkIndex 必须在 0 到 ${taskData.totalChunks - 1} 之间` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // 检查分片是否已上传
     if (taskData.uploadedChunks.includes(chunkIndex)) {
       return new Response(JSON.stringify({ 
@@ -51,17 +59,33 @@ export async function onRequestPost(context) {
       });
     }
 
-    // 将分片数据存储到 KV（临时存储）
     const chunkArrayBuffer = await chunk.arrayBuffer();
-    await env.img_url.put(`chunk:${uploadId}:${chunkIndex}`, chunkArrayBuffer, {
-      expirationTtl: 3600,
-      metadata: {
-        type: 'chunk',
-        uploadId,
-        chunkIndex,
-        createdAt: Date.now()
+    if (taskData.direct) {
+      // 分片直传：除最后一个外大小必须等于 chunkSize
+      const expectedSize = chunkIndex === taskData.totalChunks - 1
+        ? taskData.fileSize - taskData.chunkSize * (taskData.totalChunks - 1)
+        : taskData.chunkSize;
+      if (chunkArrayBuffer.byteLength !== expectedSize) {
+        return new Response(JSON.stringify({ error: `分片 ${chunkIndex} 大小应为 ${expectedSize} 字节` }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
       }
-    });
+
+      const part = await getBackend(taskData.storageMode, env).uploadPart(taskData.direct, chunkIndex + 1, chunkArrayBuffer);
+      taskData.parts.push(part);
+    } else {
+      // 将分片数据存储到 KV（临时存储）
+      await env.img_url.put(`chunk:${uploadId}:${chunkIndex}`, chunkArrayBuffer, {
+        expirationTtl: 3600,
+        metadata: {
+          type: 'chunk',
+          uploadId,
+          chunkIndex,
+          createdAt: Date.now()
+        }
+      });
+    }
 
     // 更新任务状态
     taskData.uploadedChunks.push(chunkIndex);
@@ -1,12 +1,29 @@
 /**
  * 分片上传 API
  * 支持大文件分片上传和断点续传
+ *
+ * 上传到 R2、S3 且合并时不需要读取文件内容（不清除元数据、不压缩、不加上传时水印、不写副本）时，
+ * 分片直接写入后端的分片上传（direct），合并只写 KV 元数据；其他情况分片暂存在 KV，合并时读入内存
+ * 未完成的上传可通过 DELETE 取消，分片直传另见 utils/multipart-uploads.js
  */
 import { checkAuthentication, isAuthRequired } from '../../utils/auth.js';
 import { checkGuestUpload } from '../../utils/guest.js';
+import { isKnownBackend, DEFAULT_BACKEND, getBackend, parseReplicaList, checkMetadataSize } from '../../utils/backends/index.js';
+import { getFileType } from '../../utils/storage.js';
+import { MAX_TRANSFORM_SOURCE_SIZE } from '../../utils/image-transform.js';
+import { getWatermarkSettings } from '../../utils/watermark.js';
+import { normalizeTags, MAX_TAGS } from '../../utils/tags.js';
+import { parseExpiry } from '../../utils/expiry.js';
+import { parseViewLimit } from '../../utils/view-limit.js';
+import { normalizePassword, hashPassword } from '../../utils/file-password.js';
+import { resolveStripOptions } from '../../utils/strip-metadata.js';
+import { parseCompressOptions } from '../../utils/upload-compress.js';
+import { trackMultipartUpload, abortMultipartUpload } from '../../utils/multipart-uploads.js';
 
 const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB 每个分片
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 最大支持 100MB
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 分片暂存在 KV 时最大支持 100MB
+const MAX_PARTS = 10000; // R2、S3 分片上传的分片数上限
+const MAX_DIRECT_FILE_SIZE = CHUNK_SIZE * MAX_PARTS;
 
 /**
  * 初始化分片上传
@@ -33,7 +50,8 @@ export async function onRequestPost(context) {
     }
 
     const body = await request.json();
-    const { fileName, fileSize, fileType, totalChunks, storageMode } = body;
+    const { fileName, fileSize, fileType, totalChunks, storageMode, replicas } = body;
+    const tags = normalizeTags(body.tags);
 
     // 验证参数
     if (!fileName || !fileSize || !totalChunks) {
@@ -43,19 +61,53 @@ export async function onRequestPost(context) {
       });
     }
 
-    if (fileSize > MAX_FILE_SIZE) {
-      return new Response(JSON.stringify({ error: `文件大小超过限制 (最大 ${MAX_FILE_SIZE / 1024 / 1024}MB)` }), {
+    if (tags.length > MAX_TAGS) {
+      return new Response(JSON.stringify({ error: `每个文件最多 ${MAX_TAGS} 个标签` }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
+    // 过期时间在此校验，合并完成时再换算，expiresIn 从上传完成时开始计算
+    const expiry = { expiresIn: body.expiresIn, expiresAt: body.expiresAt };
+    let viewLimit;
+    let password;
+    let compress;
+    try {
+      parseExpiry(expiry);
+      viewLimit = parseViewLimit(body);
+      password = normalizePassword(body.password);
+      compress = parseCompressOptions(body);
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // 元数据清理选项在此按环境变量补全，与压缩选项一样在合并完成时执行
+    const strip = resolveStripOptions(env, body);
+
     // 生成上传 ID
     const uploadId = generateUploadId();
 
     // 规范化存储模式
-    const validModes = ['telegram', 'r2', 's3', 'discord', 'huggingface'];
-    const normalizedStorage = validModes.includes(storageMode) ? storageMode : 'telegram';
+    const normalizedStorage = isKnownBackend(storageMode) ? storageMode : DEFAULT_BACKEND;
+
+    // 分片直传要求分片大小与 CHUNK_SIZE 一致（R2 要求除最后一个外的分片大小相同）
+    const backend = getBackend(normalizedStorage, env);
+    const direct = backend.supportsMultipart() && backend.isConfigured()
+      && totalChunks === Math.ceil(fileSize / CHUNK_SIZE)
+      && !parseReplicaList(replicas ?? env.REPLICA_BACKENDS, normalizedStorage).length
+      && !(await needsProcessing(env, fileName, fileSize, { strip: strip.strip, compress: Boolean(compress) }));
+
+    const maxFileSize = direct ? MAX_DIRECT_FILE_SIZE : MAX_FILE_SIZE;
+    if (fileSize > maxFileSize) {
+      return new Response(JSON.stringify({ error: `文件大小超过限制 (最大 ${formatSize(maxFileSize)})` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
 
     const uploadTask = {
       uploadId,
@@ -64,19 +116,79 @@ export async function onRequestPost(context) {
       fileType,
       totalChunks,
       storageMode: normalizedStorage,
+      replicas: replicas ?? undefined,
+      tags: tags.length ? tags : undefined,
+      expiresIn: expiry.expiresIn ?? undefined,
+      expiresAt: expiry.expiresAt ?? undefined,
+      ...viewLimit,
+      // 任务记录中只保存哈希
+      passwordHash: password ? await hashPassword(password) : undefined,
+      private: body.private === true || undefined,
+      stripExif: strip.strip || undefined,
+      keepOrientation: strip.strip ? strip.keepOrientation : undefined,
+      compress: compress || undefined,
+      // 分片直传已上传分片的 ETag，句柄 direct 在下方创建
+      parts: direct ? [] : undefined,
+      chunkSize: direct ? CHUNK_SIZE : undefined,
       uploadedChunks: [],
       createdAt: Date.now(),
       status: 'pending'
     };
 
-    await env.img_url.put(`upload:${uploadId}`, JSON.stringify(uploadTask), {
-      expirationTtl: 3600 // 1小时过期
-    });
+    // 合并后的文件记录写不下时在上传前拒绝（后端字段未知，按已知字段估算）
+    try {
+      checkMetadataSize({
+        TimeStamp: uploadTask.createdAt,
+        ListType: 'None',
+        Label: 'None',
+        liked: false,
+        fileName,
+        fileSize,
+        storageType: normalizedStorage,
+        chunked: true,
+        totalChunks,
+        tags: uploadTask.tags,
+        expiresAt: expiry.expiresIn || expiry.expiresAt ? uploadTask.createdAt : undefined,
+        ...viewLimit,
+        passwordHash: uploadTask.passwordHash,
+        private: uploadTask.private
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // 分片直传的句柄，KV 写入失败时中止
+    if (direct) {
+      uploadTask.direct = await backend.createMultipartUpload({
+        fileName,
+        fileExtension: fileName.split('.').pop().toLowerCase(),
+        contentType: fileType
+      });
+    }
+
+    try {
+      if (direct) {
+        await trackMultipartUpload(env, uploadId, normalizedStorage, uploadTask.direct);
+      }
+      await env.img_url.put(`upload:${uploadId}`, JSON.stringify(uploadTask), {
+        expirationTtl: 3600 // 1小时过期
+      });
+    } catch (error) {
+      if (direct) {
+        await abortMultipartUpload(env, uploadId, normalizedStorage, uploadTask.direct)
+          .catch(abortError => console.error('Abort multipart upload failed:', abortError));
+      }
+      throw error;
+    }
 
     return new Response(JSON.stringify({
       success: true,
       uploadId,
-      chunkSize: CHUNK_SIZE
+      chunkSize: CHUNK_SIZE,
+      direct
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
@@ -116,9 +228,13 @@ export async function onRequestGet(context) {
       });
     }
 
+    // 不返回密码哈希和分片直传的句柄
+    const { passwordHash, direct, parts, ...task } = taskData;
     return new Response(JSON.stringify({
       success: true,
-      ...taskData
+      ...task,
+      direct: Boolean(direct),
+      passwordProtected: passwordHash ? true : undefined
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
@@ -131,6 +247,80 @@ export async function onRequestGet(context) {
   }
 }
 
+/**
+ * 取消上传，删除已上传的分片
+ * DELETE /api/chunked-upload/init?uploadId=xxx
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  if (isAuthRequired(env)) {
+    const auth = await checkAuthentication(context);
+    if (!auth.authenticated) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  const uploadId = new URL(request.url).searchParams.get('uploadId');
+  if (!uploadId) {
+    return new Response(JSON.stringify({ error: '缺少 uploadId' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const taskData = await env.img_url.get(`upload:${uploadId}`, { type: 'json' });
+    if (!taskData) {
+      return new Response(JSON.stringify({ error: '上传任务不存在或已过期' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (taskData.direct) {
+      await abortMultipartUpload(env, uploadId, taskData.storageMode, taskData.direct);
+    } else {
+      for (const chunkIndex of taskData.uploadedChunks) {
+        await env.img_url.delete(`chunk:${uploadId}:${chunkIndex}`);
+      }
+    }
+    await env.img_url.delete(`upload:${uploadId}`);
+
+    return new Response(JSON.stringify({ success: true, uploadId }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * 合并时是否需要读取完整文件：图片开启了元数据清理（不限大小），或 20MB 以内的图片开启了压缩、上传时水印
+ */
+async function needsProcessing(env, fileName, fileSize, { strip, compress }) {
+  if (getFileType(fileName) !== 'image') return false;
+  if (strip) return true;
+  if (fileSize > MAX_TRANSFORM_SOURCE_SIZE) return false;
+  if (compress) return true;
+  const watermark = await getWatermarkSettings(env);
+  return watermark.enabled && watermark.mode === 'upload';
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`
+    : `${bytes / 1024 / 1024}MB`;
+}
+
 function generateUploadId() {
   const array = new Uint8Array(16);
   crypto.getRandomValues(array);
@@ -1,3 +1,9 @@
+import { getRecordWithKey } from '../../utils/storage.js';
+import { isExpired } from '../../utils/expiry.js';
+import { isViewLimitReached } from '../../utils/view-limit.js';
+import { checkFileAccess } from '../../utils/file-password.js';
+import { checkSignedAccess } from '../../utils/signed-url.js';
+
 // 获取文件元数据 API（包括原始文件名）
 export async function onRequest(context) {
   const { request, env, params } = context;
@@ -39,21 +45,10 @@ export async function onRequest(context) {
   
   try {
     // 尝试多种前缀查找（兼容新旧 Key 格式）
-    const prefixes = ['img:', 'vid:', 'aud:', 'doc:', 'r2:', ''];
-    let record = null;
-    let foundKey = null;
+    const { record, kvKey: foundKey } = await getRecordWithKey(env.img_url, fileId);
     
-    for (const prefix of prefixes) {
-      const key = `${prefix}${fileId}`;
-      record = await env.img_url.getWithMetadata(key);
-      if (record && record.metadata) {
-        foundKey = key;
-        break;
-      }
-    }
-    
-    if (!record || !record.metadata) {
-      // 文件不存在或没有元数据
+    if (!record || !record.metadata || record.metadata.trashedAt) {
+      // 文件不存在、没有元数据或已移入回收站
       return new Response(JSON.stringify({ 
         error: 'File not found',
         fileId: fileId,
@@ -71,28 +66,111 @@ export async function onRequest(context) {
     
     const metadata = record.metadata;
     
+    if (isExpired(metadata)) {
+      return new Response(JSON.stringify({
+        error: 'File expired',
+        fileId: fileId,
+        expiresAt: metadata.expiresAt
+      }), {
+        status: 410,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+    
+    if (isViewLimitReached(metadata)) {
+      return new Response(JSON.stringify({
+        error: 'View limit reached',
+        fileId: fileId,
+        maxViews: metadata.maxViews || null
+      }), {
+        status: 410,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+    
+    // 私有文件需要有效的签名（可将 /file 的签名参数原样传给本接口）
+    const signed = await checkSignedAccess(context, foundKey, metadata);
+    if (!signed.allowed) {
+      return new Response(JSON.stringify({
+        error: signed.reason,
+        fileId: fileId
+      }), {
+        status: signed.status,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
+    
+    // 受密码保护的文件需要先解锁，只返回需要密码的提示
+    const access = signed.signed ? { allowed: true } : await checkFileAccess(context, foundKey, metadata);
+    if (!access.allowed) {
+      return new Response(JSON.stringify({
+        error: access.wrongPassword ? 'Wrong password' : 'Password required',
+        fileId: fileId,
+        passwordRequired: true
+      }), {
+        status: access.wrongPassword ? 403 : 401,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
+    
+    const headers = {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      // 限时、限次、受密码保护和私有的文件不缓存，避免失效或改密后仍返回旧信息
+      'Cache-Control': metadata.expiresAt || metadata.maxViews || metadata.passwordHash || metadata.private ? 'no-store' : 'public, max-age=3600'
+    };
+    if (access.setCookie) {
+      // 通过 ?pwd= 解锁后写入 Cookie，预览页随后加载文件时无需再带密码
+      headers['Set-Cookie'] = access.setCookie;
+    }
+    
     // 返回文件元数据
     return new Response(JSON.stringify({
       success: true,
       fileId: fileId,
       key: foundKey,
-      // 原始文件名（上传时保存的）
+      // 文件名；压缩转换格式后扩展名会变化，originalName 为上传时的文件名
       fileName: metadata.fileName || fileId,
-      originalName: metadata.fileName || null,
-      // 其他元数据
+      originalName: metadata.originalName || metadata.fileName || null,
+      // 其他元数据（压缩过的文件 fileSize 为压缩后大小）
       fileSize: metadata.fileSize || 0,
+      originalSize: metadata.originalSize || metadata.fileSize || 0,
       uploadTime: metadata.TimeStamp || null,
       storageType: metadata.storageType || metadata.storage || 'telegram',
       listType: metadata.ListType || 'None',
       label: metadata.Label || 'None',
-      liked: metadata.liked || false
+      liked: metadata.liked || false,
+      expiresAt: metadata.expiresAt || null,
+      views: metadata.views || 0,
+      maxViews: metadata.maxViews || null,
+      passwordProtected: Boolean(metadata.passwordHash),
+      private: Boolean(metadata.private),
+      sanitized: Boolean(metadata.sanitized),
+      // 图片信息（上传时解析，主色调和 BlurHash 在生成缩略图后才有）
+      width: metadata.width || null,
+      height: metadata.height || null,
+      orientation: metadata.orientation || null,
+      takenAt: metadata.takenAt || null,
+      cameraModel: metadata.cameraModel || null,
+      dominantColor: metadata.dominantColor || null,
+      blurhash: metadata.blurhash || null
     }), {
       status: 200,
-      headers: { 
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'public, max-age=3600'
-      }
+      headers
     });
     
   } catch (error) {
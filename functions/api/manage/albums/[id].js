@@ -0,0 +1,70 @@
+/**
+ * 单个相册 API
+ * GET    /api/manage/albums/:id                                相册详情（含有序文件列表）
+ * PATCH  /api/manage/albums/:id  { name?, description?, cover? }  修改相册信息
+ * DELETE /api/manage/albums/:id                                删除相册（不删除其中的文件）
+ */
+import { getAlbum, saveAlbum, deleteAlbum, MAX_ALBUM_NAME_LENGTH } from '../../../utils/albums.js';
+
+export async function onRequestGet(context) {
+  const { env, params } = context;
+
+  const album = await getAlbum(env.img_url, params.id);
+  if (!album) {
+    return jsonResponse({ error: '相册不存在' }, 404);
+  }
+  return jsonResponse({ success: true, album });
+}
+
+export async function onRequestPatch(context) {
+  const { request, env, params } = context;
+
+  try {
+    const album = await getAlbum(env.img_url, params.id);
+    if (!album) {
+      return jsonResponse({ error: '相册不存在' }, 404);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (body.name !== undefined) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name || name.length > MAX_ALBUM_NAME_LENGTH) {
+        return jsonResponse({ error: `相册名称不能为空且不超过 ${MAX_ALBUM_NAME_LENGTH} 个字符` }, 400);
+      }
+      album.name = name;
+    }
+    if (typeof body.description === 'string') {
+      album.description = body.description;
+    }
+    if (body.cover !== undefined) {
+      if (body.cover !== null && !album.files.includes(body.cover)) {
+        return jsonResponse({ error: '封面必须是相册中的文件' }, 400);
+      }
+      album.cover = body.cover;
+    }
+
+    await saveAlbum(env.img_url, album);
+    return jsonResponse({ success: true, album });
+  } catch (error) {
+    console.error('Update album error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { env, params } = context;
+
+  const album = await getAlbum(env.img_url, params.id);
+  if (!album) {
+    return jsonResponse({ error: '相册不存在' }, 404);
+  }
+  await deleteAlbum(env.img_url, params.id);
+  return jsonResponse({ success: true, id: params.id });
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
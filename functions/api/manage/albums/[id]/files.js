@@ -0,0 +1,87 @@
+/**
+ * 相册文件管理 API
+ * POST   /api/manage/albums/:id/files  { files: [id, ...] }  添加文件（追加到末尾，已存在的忽略）
+ * DELETE /api/manage/albums/:id/files  { files: [id, ...] }  从相册移除文件（不删除文件本身）
+ * PUT    /api/manage/albums/:id/files  { files: [id, ...] }  按给定顺序重排，必须包含相册中的全部文件
+ */
+import { getRecordWithKey } from '../../../../utils/storage.js';
+import { getAlbum, saveAlbum } from '../../../../utils/albums.js';
+
+export async function onRequestPost(context) {
+  return await withAlbumFiles(context, async (album, files, env) => {
+    const added = [];
+    const notFound = [];
+
+    for (const fileId of files) {
+      const { record, kvKey } = await getRecordWithKey(env.img_url, fileId);
+      if (!record) {
+        notFound.push(fileId);
+        continue;
+      }
+      if (!album.files.includes(kvKey)) {
+        album.files.push(kvKey);
+        added.push(kvKey);
+      }
+    }
+
+    await saveAlbum(env.img_url, album);
+    return jsonResponse({ success: true, added, notFound, album });
+  });
+}
+
+export async function onRequestDelete(context) {
+  return await withAlbumFiles(context, async (album, files, env) => {
+    const removing = new Set(files);
+    const removed = album.files.filter(key => removing.has(key));
+    album.files = album.files.filter(key => !removing.has(key));
+    if (removing.has(album.cover)) album.cover = null;
+
+    await saveAlbum(env.img_url, album);
+    return jsonResponse({ success: true, removed, album });
+  });
+}
+
+export async function onRequestPut(context) {
+  return await withAlbumFiles(context, async (album, files, env) => {
+    const ordered = [...new Set(files)];
+    const current = new Set(album.files);
+    if (ordered.length !== current.size || !ordered.every(key => current.has(key))) {
+      return jsonResponse({ error: '排序列表必须与相册中的文件完全一致' }, 400);
+    }
+
+    album.files = ordered;
+    await saveAlbum(env.img_url, album);
+    return jsonResponse({ success: true, album });
+  });
+}
+
+/**
+ * 读取相册和请求体中的 files 数组，校验通过后交给具体操作处理
+ */
+async function withAlbumFiles(context, handler) {
+  const { request, env, params } = context;
+
+  try {
+    const album = await getAlbum(env.img_url, params.id);
+    if (!album) {
+      return jsonResponse({ error: '相册不存在' }, 404);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (!Array.isArray(body.files) || !body.files.every(file => typeof file === 'string' && file)) {
+      return jsonResponse({ error: 'files 必须是文件 ID 数组' }, 400);
+    }
+
+    return await handler(album, body.files, env);
+  } catch (error) {
+    console.error('Album files error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
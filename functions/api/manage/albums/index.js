@@ -0,0 +1,54 @@
+/**
+ * 相册列表 API
+ * GET  /api/manage/albums                         列出所有相册
+ * POST /api/manage/albums  { name, description? }  创建相册
+ */
+import { generateAlbumId, listAlbums, saveAlbum, MAX_ALBUM_NAME_LENGTH } from '../../../utils/albums.js';
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    const albums = await listAlbums(env.img_url);
+    albums.sort((a, b) => a.name.localeCompare(b.name));
+    return jsonResponse({ success: true, albums });
+  } catch (error) {
+    console.error('List albums error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_ALBUM_NAME_LENGTH) {
+      return jsonResponse({ error: `相册名称不能为空且不超过 ${MAX_ALBUM_NAME_LENGTH} 个字符` }, 400);
+    }
+
+    const now = Date.now();
+    const album = await saveAlbum(env.img_url, {
+      id: generateAlbumId(),
+      name,
+      description: typeof body.description === 'string' ? body.description : '',
+      cover: null,
+      files: [],
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return jsonResponse({ success: true, album }, 201);
+  } catch (error) {
+    console.error('Create album error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -1,3 +1,7 @@
+import { resolveStorageType } from '../../../utils/backends/index.js';
+import { updateFileIndex } from '../../../utils/file-index.js';
+import { purgeEdgeCache } from '../../../utils/file-records.js';
+
 export async function onRequest(context) {
     // Contents of context object
     const {
@@ -17,6 +21,8 @@ export async function onRequest(context) {
     //change the metadata
     value.metadata.ListType = "Block"
     await env.img_url.put(params.id,"",{metadata: value.metadata});
+    await updateFileIndex(env.img_url, params.id, value.metadata, resolveStorageType({ key: params.id, metadata: value.metadata }));
+    await purgeEdgeCache(new URL(request.url).origin, params.id);
     const info = JSON.stringify(value.metadata);
     return new Response(info);
 
@@ -0,0 +1,219 @@
+/**
+ * 批量管理 API
+ * POST /api/manage/bulk
+ * Body: { ids: [id, ...], action, tags?, album?, fromAlbum? }
+ *
+ * action:
+ *   delete         移入回收站（回收站关闭时等同 purge）
+ *   restore        从回收站恢复
+ *   purge          彻底删除（所有副本 + KV 记录）
+ *   block / white  加入黑名单 / 白名单
+ *   unblock        恢复为未分类（ListType 为 None）
+ *   like / unlike  收藏 / 取消收藏
+ *   private / public  设为私有（仅签名链接可访问）/ 取消私有
+ *   retag          将标签替换为 tags
+ *   move-to-album  加入相册 album，指定 fromAlbum 时同时从该相册移除
+ *
+ * 返回每个文件的处理结果，远端删除失败时在对应条目中给出原因
+ * 单次请求的子请求数有上限，每次最多处理的文件数随操作而定，见 getMaxBulkSize
+ */
+import { getRecordWithKey } from '../../utils/storage.js';
+import { deleteFileRecord, updateFileRecord, purgeEdgeCache } from '../../utils/file-records.js';
+import { getAlbum, saveAlbum, removeFilesFromAllAlbums } from '../../utils/albums.js';
+import { normalizeTags, updateFileTags, MAX_TAGS } from '../../utils/tags.js';
+import { trashFile, restoreFile, getTrashRetentionDays, getPurgeAt } from '../../utils/trash.js';
+
+// 免费版 Workers 单次请求最多 50 个子请求（fetch、Cache API 都计入），KV 操作最多 1000 次
+const MAX_BULK_SIZE = 50; // 只读写 KV：每个文件最多约 15 次 KV 操作
+const MAX_BULK_CACHE_PURGE_SIZE = 15; // 清除边缘缓存：每个文件 3 次 Cache API
+const MAX_BULK_DELETE_SIZE = 5; // 彻底删除：另需删除各副本的远端对象（Telegram 大文件每个分片一次）和缩略图
+
+const LIST_TYPE_ACTIONS = { block: 'Block', white: 'White', unblock: 'None' };
+const LIKE_ACTIONS = { like: true, unlike: false };
+const PRIVATE_ACTIONS = { private: true, public: false };
+const ACTIONS = ['delete', 'restore', 'purge', ...Object.keys(LIST_TYPE_ACTIONS), ...Object.keys(LIKE_ACTIONS), ...Object.keys(PRIVATE_ACTIONS), 'retag', 'move-to-album'];
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { action } = body;
+    const ids = Array.isArray(body.ids) ? [...new Set(body.ids.filter(id => typeof id === 'string' && id))] : [];
+
+    if (!ACTIONS.includes(action)) {
+      return jsonResponse({ error: `action 必须是以下之一: ${ACTIONS.join(', ')}` }, 400);
+    }
+    if (ids.length === 0) {
+      return jsonResponse({ error: 'ids 必须是非空的文件 ID 数组' }, 400);
+    }
+    const maxSize = getMaxBulkSize(action, env);
+    if (ids.length > maxSize) {
+      return jsonResponse({ error: `${action} 单次最多处理 ${maxSize} 个文件` }, 400);
+    }
+
+    let results;
+    if (action === 'purge' || (action === 'delete' && getTrashRetentionDays(env) === 0)) {
+      results = await bulkDelete(env, ids, new URL(request.url).origin);
+    } else if (action === 'delete') {
+      const origin = new URL(request.url).origin;
+      results = await forEachFile(ids, async (id) => {
+        const trashed = await trashFile(env, id);
+        if (!trashed) return null;
+        await purgeEdgeCache(origin, id, trashed.kvKey);
+        return { kvKey: trashed.kvKey, trashed: true, purgeAt: getPurgeAt(env, trashed.metadata.trashedAt) };
+      });
+    } else if (action === 'restore') {
+      results = await forEachFile(ids, async (id) => {
+        const restored = await restoreFile(env, id);
+        return restored && { kvKey: restored.kvKey };
+      });
+    } else if (action === 'retag') {
+      const tags = normalizeTags(body.tags);
+      if (tags.length > MAX_TAGS) {
+        return jsonResponse({ error: `每个文件最多 ${MAX_TAGS} 个标签` }, 400);
+      }
+      results = await forEachFile(ids, async (id) => {
+        const updated = await updateFileTags(env, id, { set: tags });
+        return updated && { kvKey: updated.kvKey, tags: updated.tags };
+      });
+    } else if (action === 'move-to-album') {
+      const album = await getAlbum(env.img_url, body.album);
+      if (!album) {
+        return jsonResponse({ error: '目标相册不存在' }, 400);
+      }
+      const fromAlbum = body.fromAlbum ? await getAlbum(env.img_url, body.fromAlbum) : null;
+      if (body.fromAlbum && !fromAlbum) {
+        return jsonResponse({ error: '来源相册不存在' }, 400);
+      }
+      results = await bulkMoveToAlbum(env, ids, album, fromAlbum);
+    } else {
+      let update;
+      if (action in LIST_TYPE_ACTIONS) {
+        update = (metadata) => ({ ...metadata, ListType: LIST_TYPE_ACTIONS[action] });
+      } else if (action in LIKE_ACTIONS) {
+        update = (metadata) => ({ ...metadata, liked: LIKE_ACTIONS[action] });
+      } else {
+        update = (metadata) => {
+          if (PRIVATE_ACTIONS[action]) return { ...metadata, private: true };
+          delete metadata.private;
+          return metadata;
+        };
+      }
+      // 屏蔽、白名单和私有状态变化后清除边缘缓存，立即生效
+      const purge = !(action in LIKE_ACTIONS);
+      const origin = new URL(request.url).origin;
+      results = await forEachFile(ids, async (id) => {
+        const updated = await updateFileRecord(env, id, update);
+        if (updated && purge) await purgeEdgeCache(origin, id, updated.kvKey);
+        return updated && { kvKey: updated.kvKey };
+      });
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    return jsonResponse({
+      success: succeeded === results.length,
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk action error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+/**
+ * 操作单次最多处理的文件数
+ */
+function getMaxBulkSize(action, env) {
+  if (action === 'purge' || (action === 'delete' && getTrashRetentionDays(env) === 0)) {
+    return MAX_BULK_DELETE_SIZE;
+  }
+  if (action === 'delete' || action in LIST_TYPE_ACTIONS || action in PRIVATE_ACTIONS) {
+    return MAX_BULK_CACHE_PURGE_SIZE;
+  }
+  return MAX_BULK_SIZE;
+}
+
+/**
+ * 逐个处理文件，handler 返回 null 表示文件不存在
+ */
+async function forEachFile(ids, handler) {
+  const results = [];
+  for (const id of ids) {
+    try {
+      const result = await handler(id);
+      results.push(result
+        ? { id, success: true, ...result }
+        : { id, success: false, error: '文件不存在' });
+    } catch (error) {
+      console.error(`Bulk action on ${id} failed:`, error);
+      results.push({ id, success: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+async function bulkDelete(env, ids, origin) {
+  const deletedKeys = [];
+  const results = await forEachFile(ids, async (id) => {
+    const deleted = await deleteFileRecord(env, id, { removeFromAlbums: false });
+    if (!deleted) return null;
+
+    await purgeEdgeCache(origin, id, deleted.kvKey);
+    // 远端删除失败时记录保留在回收站中，该条目标记为失败，再次 purge 即可重试
+    if (deleted.kept) {
+      return {
+        kvKey: deleted.kvKey,
+        kvDeleted: false,
+        remoteDeleted: false,
+        replicas: deleted.replicas,
+        success: false,
+        error: `远端删除失败，记录已保留在回收站中: ${deleted.metadata.purge.error}`
+      };
+    }
+
+    deletedKeys.push(deleted.kvKey);
+    return {
+      kvKey: deleted.kvKey,
+      kvDeleted: true,
+      remoteDeleted: true,
+      replicas: deleted.replicas
+    };
+  });
+
+  if (deletedKeys.length) {
+    await removeFilesFromAllAlbums(env.img_url, deletedKeys);
+  }
+  return results;
+}
+
+async function bulkMoveToAlbum(env, ids, album, fromAlbum) {
+  const results = await forEachFile(ids, async (id) => {
+    const { record, kvKey } = await getRecordWithKey(env.img_url, id);
+    if (!record) return null;
+
+    if (!album.files.includes(kvKey)) album.files.push(kvKey);
+    if (fromAlbum && fromAlbum.id !== album.id) {
+      fromAlbum.files = fromAlbum.files.filter(key => key !== kvKey);
+      if (fromAlbum.cover === kvKey) fromAlbum.cover = null;
+    }
+    return { kvKey, album: album.id };
+  });
+
+  await saveAlbum(env.img_url, album);
+  if (fromAlbum && fromAlbum.id !== album.id) {
+    await saveAlbum(env.img_url, fromAlbum);
+  }
+  return results;
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
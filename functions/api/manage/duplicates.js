@@ -0,0 +1,118 @@
+/**
+ * 重复文件 API
+ * 按 metadata.sha256 对已有文件分组，列出内容完全相同的文件
+ *
+ * GET  /api/manage/duplicates             列出所有重复分组
+ * POST /api/manage/duplicates             为缺少哈希的旧文件补算 SHA-256
+ * Body: { cursor?, limit? }               每次处理一批，返回的 cursor 为 null 时完成
+ */
+import { isFileRecord, sha256Hex, hashIndexKey } from '../../utils/storage.js';
+import { getWithFailover, resolveStorageType } from '../../utils/backends/index.js';
+
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_BATCH_SIZE = 50;
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    const groups = new Map();
+    let unhashed = 0;
+    let cursor;
+
+    do {
+      const page = await env.img_url.list({ limit: 1000, cursor });
+      for (const key of page.keys) {
+        if (!isFileRecord(key) || key.metadata.trashedAt) continue;
+        const sha256 = key.metadata.sha256;
+        if (!sha256) {
+          unhashed++;
+          continue;
+        }
+        if (!groups.has(sha256)) groups.set(sha256, []);
+        groups.get(sha256).push({
+          key: key.name,
+          fileName: key.metadata.fileName,
+          fileSize: key.metadata.fileSize,
+          TimeStamp: key.metadata.TimeStamp,
+          storageType: resolveStorageType({ key: key.name, metadata: key.metadata })
+        });
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    const duplicates = [...groups.entries()]
+      .filter(([, files]) => files.length > 1)
+      .map(([sha256, files]) => ({
+        sha256,
+        count: files.length,
+        fileSize: files[0].fileSize,
+        files: files.sort((a, b) => a.TimeStamp - b.TimeStamp)
+      }))
+      .sort((a, b) => (b.fileSize || 0) * (b.count - 1) - (a.fileSize || 0) * (a.count - 1));
+
+    return jsonResponse({ success: true, groups: duplicates, unhashed });
+  } catch (error) {
+    console.error('List duplicates error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    let limit = parseInt(body.limit || DEFAULT_BATCH_SIZE, 10);
+    if (!Number.isFinite(limit) || limit <= 0) limit = DEFAULT_BATCH_SIZE;
+    if (limit > MAX_BATCH_SIZE) limit = MAX_BATCH_SIZE;
+
+    const page = await env.img_url.list({ limit, cursor: body.cursor || undefined });
+    let hashed = 0;
+    const errors = [];
+
+    for (const key of page.keys) {
+      if (!isFileRecord(key) || key.metadata.sha256) continue;
+
+      try {
+        const { value, metadata } = await env.img_url.getWithMetadata(key.name);
+        if (!metadata || metadata.sha256) continue;
+
+        const { response } = await getWithFailover({ key: key.name, metadata }, env);
+        if (!response.ok) {
+          throw new Error(`读取文件失败 (${response.status})`);
+        }
+
+        const sha256 = await sha256Hex(await response.arrayBuffer());
+        await env.img_url.put(key.name, value ?? '', { metadata: { ...metadata, sha256 } });
+        // 已有索引时保持原指向不变
+        if (!await env.img_url.get(hashIndexKey(sha256))) {
+          await env.img_url.put(hashIndexKey(sha256), key.name);
+        }
+        hashed++;
+      } catch (error) {
+        console.error(`Hash ${key.name} failed:`, error);
+        errors.push({ key: key.name, error: error.message });
+      }
+    }
+
+    return jsonResponse({
+      success: true,
+      hashed,
+      errors,
+      cursor: page.list_complete ? null : page.cursor,
+      done: page.list_complete
+    });
+  } catch (error) {
+    console.error('Backfill hashes error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
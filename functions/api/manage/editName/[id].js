@@ -1,5 +1,9 @@
+import { resolveStorageType } from '../../../utils/backends/index.js';
+import { updateFileIndex } from '../../../utils/file-index.js';
+import { purgeEdgeCache } from '../../../utils/file-records.js';
+
 export async function onRequest(context) {
-    const { params, env } = context;
+    const { request, params, env } = context;
 
     console.log("Request ID:", params.id);
 
@@ -13,6 +17,8 @@ export async function onRequest(context) {
     // 更新文件名
     value.metadata.fileName = params.name;
     await env.img_url.put(params.id, "", { metadata: value.metadata });
+    await updateFileIndex(env.img_url, params.id, value.metadata, resolveStorageType({ key: params.id, metadata: value.metadata }));
+    await purgeEdgeCache(new URL(request.url).origin, params.id);
 
     console.log("Updated metadata:", value.metadata);
 
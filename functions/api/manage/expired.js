@@ -0,0 +1,48 @@
+/**
+ * 限时文件 API
+ * GET  /api/manage/expired  限时文件统计：总数、已过期数、最近的过期时间
+ * POST /api/manage/expired  立即清理已过期的文件（与定时任务相同）
+ */
+import { listIndexEntries } from '../../utils/file-index.js';
+import { isExpired, purgeExpiredUploads } from '../../utils/expiry.js';
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    const now = Date.now();
+    const expiring = (await listIndexEntries(env.img_url)).filter(entry => entry.metadata.expiresAt);
+    const pending = expiring.filter(entry => !isExpired(entry.metadata, now));
+
+    return jsonResponse({
+      success: true,
+      count: expiring.length,
+      expired: expiring.length - pending.length,
+      nextExpiresAt: pending.length
+        ? Math.min(...pending.map(entry => entry.metadata.expiresAt))
+        : null
+    });
+  } catch (error) {
+    console.error('Expired info error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { env } = context;
+
+  try {
+    const result = await purgeExpiredUploads(env);
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    console.error('Purge expired error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -1,3 +1,8 @@
+import { isFileRecord } from '../../utils/storage.js';
+import { resolveStorageType } from '../../utils/backends/index.js';
+import { parseFileQuery, queryFileIndex } from '../../utils/file-index.js';
+import { getAlbum } from '../../utils/albums.js';
+
 export async function onRequest(context) {
   const { request, env } = context;
   const url = new URL(request.url);
@@ -9,39 +14,47 @@ export async function onRequest(context) {
 
   const cursor = url.searchParams.get("cursor") || undefined;
   const prefix = url.searchParams.get("prefix") || undefined;
-  const storageFilter = url.searchParams.get("storage") || undefined; // 'kv', 'r2', or undefined for all
-  
-  const value = await env.img_url.list({ limit, cursor, prefix });
+  const storageFilter = url.searchParams.get("storage") || undefined; // backend type ('kv' = telegram), or undefined for all
 
-  const invalidPrefixes = ['session:', 'chunk:', 'upload:', 'temp:'];
-  const isValidKey = (key) => {
-    if (!key?.name) return false;
-    if (invalidPrefixes.some(prefix => key.name.startsWith(prefix))) return false;
-    const metadata = key.metadata || {};
-    return Boolean(metadata.fileName) && metadata.TimeStamp !== undefined && metadata.TimeStamp !== null;
-  };
-
-  // 过滤掉会话缓存、分片临时键等无效条目，并要求完整元数据
-  const sanitizedKeys = value.keys.filter(isValidKey);
-
-  // 为每个文件添加存储类型标识
-  const keysWithStorageType = sanitizedKeys.map(key => {
-    const isR2 = key.name.startsWith('r2:');
-    return {
-      ...key,
-      metadata: {
-        ...key.metadata,
-        storageType: isR2 ? 'r2' : 'telegram'
+  // 指定了搜索/筛选/排序条件时走二级索引，结果顺序在翻页间保持稳定
+  const query = parseFileQuery(url.searchParams);
+  if (query) {
+    if (query.album) {
+      const album = await getAlbum(env.img_url, query.album);
+      if (!album) {
+        return new Response(JSON.stringify({ error: 'Album not found' }), {
+          status: 404,
+          headers: { "Content-Type": "application/json" }
+        });
       }
-    };
-  });
+      query.albumFiles = new Map(album.files.map((key, index) => [key, index]));
+    }
+    const result = await queryFileIndex(env.img_url, query, { limit, cursor });
+    return new Response(JSON.stringify(result), {
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  const value = await env.img_url.list({ limit, cursor, prefix });
+
+  // 过滤掉会话缓存、分片临时键等无效条目，并要求完整元数据；回收站中的文件通过 trash=1 查询
+  const sanitizedKeys = value.keys.filter(key => isFileRecord(key) && !key.metadata.trashedAt);
+
+  // 为每个文件添加存储类型标识；密码哈希不返回，只标记是否受密码保护（与索引一致）
+  const keysWithStorageType = sanitizedKeys.map(({ metadata: { passwordHash, ...metadata }, ...key }) => ({
+    ...key,
+    metadata: {
+      ...metadata,
+      ...(passwordHash ? { passwordProtected: true } : {}),
+      storageType: resolveStorageType({ key: key.name, metadata })
+    }
+  }));
 
-  // 如果指定了存储类型过滤
+  // 如果指定了存储类型过滤（kv 为 telegram 的旧别名）
   let filteredKeys = keysWithStorageType;
-  if (storageFilter === 'r2') {
-    filteredKeys = keysWithStorageType.filter(key => key.name.startsWith('r2:'));
-  } else if (storageFilter === 'kv' || storageFilter === 'telegram') {
-    filteredKeys = keysWithStorageType.filter(key => !key.name.startsWith('r2:'));
+  if (storageFilter) {
+    const storageType = storageFilter === 'kv' ? 'telegram' : storageFilter;
+    filteredKeys = keysWithStorageType.filter(key => key.metadata.storageType === storageType);
   }
 
   return new Response(JSON.stringify({
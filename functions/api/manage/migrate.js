@@ -0,0 +1,270 @@
+/**
+ * 存储后端迁移 API
+ * 将已有文件从一个后端复制到另一个后端，并改写 KV 元数据
+ * 文件的 KV Key（即 /file/ 链接）保持不变
+ *
+ * POST /api/manage/migrate
+ * Body: { from, to, deleteSource?, limit? }  创建任务并执行第一批
+ * Body: { jobId, limit? }                    继续执行已有任务
+ * GET  /api/manage/migrate?jobId=xxx          查询任务进度
+ *
+ * 每次请求只处理一批（按 env.img_url.list 的 cursor 推进），
+ * 客户端循环调用直到 done 为 true，避免超出 Worker 执行时间限制
+ *
+ * 复制时从源后端读取、按文档上传保持字节不变，改写元数据和删除源文件前读回目标副本校验 SHA-256
+ * 复制和校验需要将整个文件读入内存，超过 MAX_MIGRATE_SIZE 的文件跳过并在结果中注明原因
+ */
+import { isFileRecord, sha256Hex } from '../../utils/storage.js';
+import { updateFileIndex } from '../../utils/file-index.js';
+import {
+  getBackend,
+  getReplicaEntries,
+  isKnownBackend,
+  resolveStorageType
+} from '../../utils/backends/index.js';
+
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_BATCH_SIZE = 50;
+const MAX_MIGRATE_SIZE = 50 * 1024 * 1024; // Worker 内存限制 128MB，源文件和读回的副本都要放进内存
+const JOB_TTL = 7 * 24 * 60 * 60; // 任务记录保留 7 天
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    let job;
+    if (body.jobId) {
+      job = await env.img_url.get(`migration:${body.jobId}`, { type: 'json' });
+      if (!job) {
+        return jsonResponse({ error: '迁移任务不存在或已过期' }, 404);
+      }
+      if (job.done) {
+        return jsonResponse({ success: true, ...job });
+      }
+    } else {
+      const { from, to } = body;
+      if (!isKnownBackend(from) || !isKnownBackend(to) || from === to) {
+        return jsonResponse({ error: 'from 和 to 必须是两个不同的存储后端' }, 400);
+      }
+      if (!getBackend(to, env).isConfigured()) {
+        return jsonResponse({ error: `${getBackend(to, env).label} 未配置，无法迁移` }, 400);
+      }
+
+      job = {
+        jobId: generateJobId(),
+        from,
+        to,
+        deleteSource: body.deleteSource === true,
+        cursor: null,
+        done: false,
+        scanned: 0,
+        migrated: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+    }
+
+    let limit = parseInt(body.limit || DEFAULT_BATCH_SIZE, 10);
+    if (!Number.isFinite(limit) || limit <= 0) limit = DEFAULT_BATCH_SIZE;
+    if (limit > MAX_BATCH_SIZE) limit = MAX_BATCH_SIZE;
+
+    const batch = await runBatch(env, job, limit);
+
+    await env.img_url.put(`migration:${job.jobId}`, JSON.stringify(job), {
+      expirationTtl: JOB_TTL
+    });
+
+    return jsonResponse({ success: true, ...job, batch });
+  } catch (error) {
+    console.error('Migrate error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const jobId = new URL(request.url).searchParams.get('jobId');
+
+  if (!jobId) {
+    return jsonResponse({ error: '缺少 jobId' }, 400);
+  }
+
+  const job = await env.img_url.get(`migration:${jobId}`, { type: 'json' });
+  if (!job) {
+    return jsonResponse({ error: '迁移任务不存在或已过期' }, 404);
+  }
+  return jsonResponse({ success: true, ...job });
+}
+
+/**
+ * 处理一批 KV 记录，就地更新 job 的进度
+ * @returns {Array<{ key, status, reason?, error? }>} 本批次每个文件的结果
+ */
+async function runBatch(env, job, limit) {
+  const page = await env.img_url.list({ limit, cursor: job.cursor || undefined });
+  const results = [];
+
+  for (const key of page.keys) {
+    if (!isFileRecord(key)) continue;
+    job.scanned++;
+
+    try {
+      const { status, reason } = await migrateRecord(env, key.name, job);
+      job[status]++;
+      results.push({ key: key.name, status, ...(reason ? { reason } : {}) });
+    } catch (error) {
+      console.error(`Migrate ${key.name} failed:`, error);
+      job.failed++;
+      // 只保留最近的错误，避免任务记录过大
+      job.errors = [...job.errors, { key: key.name, error: error.message }].slice(-20);
+      results.push({ key: key.name, status: 'failed', error: error.message });
+    }
+  }
+
+  job.cursor = page.list_complete ? null : page.cursor;
+  job.done = page.list_complete;
+  job.updatedAt = Date.now();
+  return results;
+}
+
+/**
+ * 迁移单个文件
+ * @returns {Promise<{ status: 'migrated'|'skipped', reason?: string }>}
+ */
+async function migrateRecord(env, kvKey, job) {
+  // 重新读取，避免使用 list 返回的过期元数据
+  const { value, metadata } = await env.img_url.getWithMetadata(kvKey);
+  if (!metadata) return { status: 'skipped' };
+
+  const entry = { key: kvKey, metadata };
+  const [sourceEntry] = getReplicaEntries(entry);
+  const source = getBackend(job.from, env);
+  if (resolveStorageType(entry) !== job.from) {
+    return { status: 'skipped' };
+  }
+  if (Number(metadata.fileSize) > MAX_MIGRATE_SIZE) {
+    return { status: 'skipped', reason: tooLargeReason(metadata.fileSize) };
+  }
+
+  // 已有目标后端的副本时直接提升为主副本，无需重新复制
+  const replicas = Array.isArray(metadata.replicas) ? metadata.replicas : [];
+  let target = replicas.find(replica => replica.storageType === job.to);
+  const copied = !target;
+
+  let expectedHash;
+  if (copied) {
+    // 只从源后端读取，不切换到其他副本
+    const response = await source.get(sourceEntry);
+    if (!response.ok) {
+      throw new Error(`读取 ${source.label} 源文件失败 (${response.status})`);
+    }
+    // 元数据中没有大小的旧文件按响应头判断
+    const contentLength = Number(response.headers.get('Content-Length'));
+    if (contentLength > MAX_MIGRATE_SIZE) {
+      await response.body?.cancel();
+      return { status: 'skipped', reason: tooLargeReason(contentLength) };
+    }
+
+    const fileName = metadata.fileName || kvKey;
+    const contentType = response.headers.get('Content-Type') || 'application/octet-stream';
+    const content = await response.arrayBuffer();
+    expectedHash = await sha256Hex(content);
+    const uploaded = await getBackend(job.to, env).upload(new File([content], fileName, { type: contentType }), {
+      fileName,
+      fileExtension: fileName.split('.').pop().toLowerCase(),
+      asDocument: true
+    });
+    target = { key: uploaded.key, storageType: job.to, ...uploaded.metadata };
+  } else {
+    // 不使用 metadata.sha256：Telegram 按图片发送的文件与上传时的内容不一致
+    expectedHash = await readSha256(env, job.from, sourceEntry);
+  }
+
+  // 目标副本与源文件内容不一致时放弃迁移，新复制的副本尽力删除
+  const targetHash = await readSha256(env, job.to, { key: target.key, metadata: target });
+  if (targetHash !== expectedHash) {
+    if (copied) {
+      await getBackend(job.to, env).delete({ key: target.key, metadata: target })
+        .catch(error => console.error(`Delete mismatched ${job.to} copy failed:`, error));
+    }
+    throw new Error(`${getBackend(job.to, env).label} 副本的 SHA-256 与源文件不一致，未迁移`);
+  }
+
+  // 源位置：保留为副本，或在删除源文件后丢弃
+  const sourceLocation = { key: sourceEntry.key, storageType: job.from };
+  for (const field of source.metadataFields) {
+    if (metadata[field] !== undefined) sourceLocation[field] = metadata[field];
+  }
+
+  const newMetadata = { ...metadata };
+  for (const field of [...source.metadataFields, 'storage', 'storageKey']) {
+    delete newMetadata[field];
+  }
+  const { key: targetKey, ...targetFields } = target;
+  Object.assign(newMetadata, targetFields);
+  if (targetKey !== kvKey) {
+    newMetadata.storageKey = targetKey;
+  }
+
+  const remainingReplicas = replicas.filter(replica => replica !== target);
+  if (!job.deleteSource) {
+    remainingReplicas.unshift(sourceLocation);
+  }
+  if (remainingReplicas.length) {
+    newMetadata.replicas = remainingReplicas;
+  } else {
+    delete newMetadata.replicas;
+  }
+
+  await env.img_url.put(kvKey, value ?? '', { metadata: newMetadata });
+  await updateFileIndex(env.img_url, kvKey, newMetadata, job.to);
+
+  // 先改写元数据再删除源文件，删除失败不影响迁移结果
+  if (job.deleteSource) {
+    try {
+      await source.delete({ key: sourceLocation.key, metadata: sourceLocation });
+    } catch (error) {
+      console.error(`${source.label} delete after migration failed:`, error);
+    }
+  }
+
+  return { status: 'migrated' };
+}
+
+function tooLargeReason(size) {
+  return `文件大小 ${Math.ceil(size / 1024 / 1024)}MB 超过迁移上限 ${MAX_MIGRATE_SIZE / 1024 / 1024}MB`;
+}
+
+/**
+ * 从指定后端读取文件并计算 SHA-256
+ */
+async function readSha256(env, type, entry) {
+  const backend = getBackend(type, env);
+  const response = await backend.get(entry);
+  if (!response.ok) {
+    throw new Error(`读取 ${backend.label} 文件失败 (${response.status})`);
+  }
+  if (Number(response.headers.get('Content-Length')) > MAX_MIGRATE_SIZE) {
+    await response.body?.cancel();
+    throw new Error(`${backend.label} 文件超过迁移上限 ${MAX_MIGRATE_SIZE / 1024 / 1024}MB，无法校验`);
+  }
+  return await sha256Hex(await response.arrayBuffer());
+}
+
+function generateJobId() {
+  const array = new Uint8Array(8);
+  crypto.getRandomValues(array);
+  return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
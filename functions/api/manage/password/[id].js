@@ -0,0 +1,71 @@
+/**
+ * 文件访问密码
+ * POST   /api/manage/password/:id  { password }  设置或修改密码
+ * DELETE /api/manage/password/:id               移除密码
+ *
+ * 修改或移除密码后，访问者之前的解锁 Cookie 立即失效
+ */
+import { updateFileRecord } from '../../../utils/file-records.js';
+import { normalizePassword, hashPassword } from '../../../utils/file-password.js';
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const fileId = decodeFileId(context.params.id);
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    let password;
+    try {
+      password = normalizePassword(body.password);
+    } catch (error) {
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!password) {
+      return jsonResponse({ success: false, error: '请提供密码，移除密码请使用 DELETE' }, 400);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const updated = await updateFileRecord(env, fileId, (metadata) => ({ ...metadata, passwordHash }));
+    if (!updated) {
+      return jsonResponse({ success: false, error: 'File metadata not found.' }, 404);
+    }
+    return jsonResponse({ success: true, kvKey: updated.kvKey, passwordProtected: true });
+  } catch (error) {
+    console.error('Set password error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { env } = context;
+  const fileId = decodeFileId(context.params.id);
+
+  try {
+    const updated = await updateFileRecord(env, fileId, (metadata) => {
+      delete metadata.passwordHash;
+      return metadata;
+    });
+    if (!updated) {
+      return jsonResponse({ success: false, error: 'File metadata not found.' }, 404);
+    }
+    return jsonResponse({ success: true, kvKey: updated.kvKey, passwordProtected: false });
+  } catch (error) {
+    console.error('Remove password error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+function decodeFileId(id) {
+  try {
+    return decodeURIComponent(id);
+  } catch (error) {
+    return id;
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
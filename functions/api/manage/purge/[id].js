@@ -0,0 +1,42 @@
+import { deleteFileRecord, deletionSummary, purgeEdgeCache } from '../../../utils/file-records.js';
+
+/**
+ * 彻底删除文件（无论是否在回收站中），不可恢复
+ */
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  let fileId = params.id;
+
+  try {
+    fileId = decodeURIComponent(fileId);
+  } catch (error) {
+    console.warn('Failed to decode fileId, using raw value:', fileId);
+  }
+
+  console.log('Purging file:', fileId);
+
+  try {
+    const deleted = await deleteFileRecord(env, fileId);
+    if (!deleted) {
+      return jsonResponse({ success: false, error: 'File metadata not found.' }, 404);
+    }
+    await purgeEdgeCache(new URL(request.url).origin, fileId, deleted.kvKey);
+
+    // 远端删除失败时记录保留在回收站中，再次彻底删除即可重试
+    const summary = deletionSummary(deleted);
+    if (deleted.kept) {
+      return jsonResponse({ success: false, fileId, error: summary.warning, ...summary });
+    }
+    return jsonResponse({ success: true, fileId, ...summary });
+  } catch (error) {
+    console.error('Purge error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
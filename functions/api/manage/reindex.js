@@ -0,0 +1,52 @@
+/**
+ * 重建文件索引 API
+ * 为已有文件（包括索引功能上线前上传的文件）写入 /api/manage/list 使用的二级索引
+ *
+ * POST /api/manage/reindex
+ * Body: { cursor?, limit? }  每次处理一批，返回的 cursor 为 null 时完成
+ */
+import { isFileRecord } from '../../utils/storage.js';
+import { resolveStorageType } from '../../utils/backends/index.js';
+import { updateFileIndex } from '../../utils/file-index.js';
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_BATCH_SIZE = 500;
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    let limit = parseInt(body.limit || DEFAULT_BATCH_SIZE, 10);
+    if (!Number.isFinite(limit) || limit <= 0) limit = DEFAULT_BATCH_SIZE;
+    if (limit > MAX_BATCH_SIZE) limit = MAX_BATCH_SIZE;
+
+    const page = await env.img_url.list({ limit, cursor: body.cursor || undefined });
+    let indexed = 0;
+
+    for (const key of page.keys) {
+      if (!isFileRecord(key)) continue;
+      const entry = { key: key.name, metadata: key.metadata };
+      await updateFileIndex(env.img_url, key.name, key.metadata, resolveStorageType(entry));
+      indexed++;
+    }
+
+    return jsonResponse({
+      success: true,
+      indexed,
+      cursor: page.list_complete ? null : page.cursor,
+      done: page.list_complete
+    });
+  } catch (error) {
+    console.error('Reindex error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
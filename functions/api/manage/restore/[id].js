@@ -0,0 +1,30 @@
+import { restoreFile } from '../../../utils/trash.js';
+
+export async function onRequest(context) {
+  const { env, params } = context;
+  let fileId = params.id;
+
+  try {
+    fileId = decodeURIComponent(fileId);
+  } catch (error) {
+    console.warn('Failed to decode fileId, using raw value:', fileId);
+  }
+
+  try {
+    const restored = await restoreFile(env, fileId);
+    if (!restored) {
+      return jsonResponse({ success: false, error: 'File metadata not found.' }, 404);
+    }
+    return jsonResponse({ success: true, message: 'Restored from trash.', fileId, kvKey: restored.kvKey });
+  } catch (error) {
+    console.error('Restore error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
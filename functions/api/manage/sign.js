@@ -0,0 +1,60 @@
+/**
+ * 生成签名链接
+ * POST /api/manage/sign
+ * Body: { id, expiresIn?, expiresAt? }  有效期格式与上传的过期参数相同，默认 1 小时
+ *
+ * 返回 /file/<id>?exp=...&sig=...，在有效期内可直接嵌入，私有文件也可访问
+ */
+import { getRecordWithKey } from '../../utils/storage.js';
+import { parseExpiry } from '../../utils/expiry.js';
+import { signFile, isSigningConfigured, DEFAULT_SIGNED_URL_TTL } from '../../utils/signed-url.js';
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    if (!isSigningConfigured(env)) {
+      return jsonResponse({ error: 'URL_SIGNING_SECRET 未配置，无法生成签名链接' }, 400);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (!body.id || typeof body.id !== 'string') {
+      return jsonResponse({ error: 'id 必须是文件 ID' }, 400);
+    }
+
+    let expiresAt;
+    try {
+      expiresAt = parseExpiry(body) ?? Date.now() + DEFAULT_SIGNED_URL_TTL * 1000;
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+
+    const { record, kvKey } = await getRecordWithKey(env.img_url, body.id);
+    if (!record?.metadata) {
+      return jsonResponse({ error: '文件不存在' }, 404);
+    }
+
+    const exp = Math.floor(expiresAt / 1000);
+    const sig = await signFile(env, kvKey, exp);
+    const path = `/file/${kvKey}?exp=${exp}&sig=${sig}`;
+
+    return jsonResponse({
+      success: true,
+      kvKey,
+      path,
+      url: new URL(path, request.url).toString(),
+      exp,
+      expiresAt: exp * 1000
+    });
+  } catch (error) {
+    console.error('Sign URL error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * 标签管理 API
+ * GET  /api/manage/tags                                 列出所有标签及文件数（基于列表索引）
+ * POST /api/manage/tags  { files: [id, ...], add?: [...], remove?: [...] }  批量添加/移除标签
+ *   每个文件的结果见 results，所有文件都未修改时返回 400
+ */
+import { listIndexEntries } from '../../utils/file-index.js';
+import { normalizeTags, updateFileTags } from '../../utils/tags.js';
+
+const MAX_BATCH_SIZE = 50; // 每个文件需要数次 KV 读写，避免超出单次请求的子请求限制
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    const counts = new Map();
+    for (const entry of await listIndexEntries(env.img_url)) {
+      if (entry.metadata.trashedAt) continue;
+      for (const tag of entry.metadata.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    const tags = [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+    return jsonResponse({ success: true, tags });
+  } catch (error) {
+    console.error('List tags error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    if (!Array.isArray(body.files) || body.files.length === 0) {
+      return jsonResponse({ error: 'files 必须是非空的文件 ID 数组' }, 400);
+    }
+    if (body.files.length > MAX_BATCH_SIZE) {
+      return jsonResponse({ error: `单次最多处理 ${MAX_BATCH_SIZE} 个文件` }, 400);
+    }
+
+    const add = normalizeTags(body.add);
+    const remove = normalizeTags(body.remove);
+    if (!add.length && !remove.length) {
+      return jsonResponse({ error: '请指定要添加 (add) 或移除 (remove) 的标签' }, 400);
+    }
+
+    const results = [];
+    for (const fileId of body.files) {
+      try {
+        const updated = await updateFileTags(env, String(fileId), { add, remove });
+        results.push(updated
+          ? { id: fileId, success: true, tags: updated.tags }
+          : { id: fileId, success: false, error: '文件不存在' });
+      } catch (error) {
+        results.push({ id: fileId, success: false, error: error.message });
+      }
+    }
+
+    const status = results.some(result => result.success) ? 200 : 400;
+    return jsonResponse({ success: results.every(result => result.success), results }, status);
+  } catch (error) {
+    console.error('Update tags error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -1,3 +1,6 @@
+import { resolveStorageType } from '../../../utils/backends/index.js';
+import { updateFileIndex } from '../../../utils/file-index.js';
+
 export async function onRequest(context) {
     const { params, env } = context;
 
@@ -13,6 +16,7 @@ export async function onRequest(context) {
     // 切换 liked 状态并更新
     value.metadata.liked = !value.metadata.liked;
     await env.img_url.put(params.id, "", { metadata: value.metadata });
+    await updateFileIndex(env.img_url, params.id, value.metadata, resolveStorageType({ key: params.id, metadata: value.metadata }));
 
     console.log("Updated metadata:", value.metadata);
 
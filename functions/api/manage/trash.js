@@ -0,0 +1,51 @@
+/**
+ * 回收站 API
+ * GET  /api/manage/trash  回收站信息：保留天数、文件数、即将被清理的时间
+ * POST /api/manage/trash  立即清理已超过保留期的文件（与定时任务相同）
+ *
+ * 回收站中的文件列表使用 /api/manage/list?trash=1，
+ * 单个文件的恢复与彻底删除见 /api/manage/restore/:id 和 /api/manage/purge/:id
+ */
+import { listIndexEntries } from '../../utils/file-index.js';
+import { getTrashRetentionDays, getPurgeAt, purgeExpiredTrash } from '../../utils/trash.js';
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    const trashed = (await listIndexEntries(env.img_url)).filter(entry => entry.metadata.trashedAt);
+    const nextPurgeAt = trashed.length
+      ? Math.min(...trashed.map(entry => getPurgeAt(env, entry.metadata.trashedAt)))
+      : null;
+
+    return jsonResponse({
+      success: true,
+      retentionDays: getTrashRetentionDays(env),
+      count: trashed.length,
+      totalSize: trashed.reduce((sum, entry) => sum + (entry.metadata.fileSize || 0), 0),
+      nextPurgeAt
+    });
+  } catch (error) {
+    console.error('Trash info error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { env } = context;
+
+  try {
+    const result = await purgeExpiredTrash(env);
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
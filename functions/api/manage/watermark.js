@@ -0,0 +1,87 @@
+/**
+ * 水印设置 API
+ * GET    /api/manage/watermark                 读取设置（hasImage 表示是否已上传水印图片）
+ * POST   /api/manage/watermark  { enabled?, mode?, type?, text?, color?, position?, opacity?, scale? }  更新设置
+ * PUT    /api/manage/watermark  请求体为 PNG/JPEG/WebP 图片  上传图片水印
+ * DELETE /api/manage/watermark                 清除设置和水印图片
+ */
+import {
+  getWatermarkSettings, saveWatermarkSettings, normalizeWatermarkSettings,
+  getWatermarkImage, saveWatermarkImage, deleteWatermark
+} from '../../utils/watermark.js';
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    const settings = await getWatermarkSettings(env);
+    const hasImage = Boolean(await getWatermarkImage(env));
+    return jsonResponse({ success: true, settings, hasImage });
+  } catch (error) {
+    console.error('Get watermark settings error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') {
+      return jsonResponse({ error: '请求体必须是 JSON 对象' }, 400);
+    }
+
+    let settings;
+    try {
+      settings = normalizeWatermarkSettings(body, await getWatermarkSettings(env));
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+    if (settings.enabled && settings.type === 'image' && !(await getWatermarkImage(env))) {
+      return jsonResponse({ error: '请先上传水印图片（PUT /api/manage/watermark）' }, 400);
+    }
+
+    return jsonResponse({ success: true, settings: await saveWatermarkSettings(env, settings) });
+  } catch (error) {
+    console.error('Update watermark settings error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  try {
+    try {
+      await saveWatermarkImage(env, await request.arrayBuffer());
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+    // 更新时间变化后访问时水印的缓存随之失效
+    const settings = await saveWatermarkSettings(env, await getWatermarkSettings(env));
+    return jsonResponse({ success: true, settings, hasImage: true });
+  } catch (error) {
+    console.error('Upload watermark image error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { env } = context;
+
+  try {
+    await deleteWatermark(env);
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Delete watermark error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -4,6 +4,7 @@
  */
 
 import { createStorageManager, generateKey, getFileType } from '../../utils/storage.js';
+import { updateFileIndex } from '../../utils/file-index.js';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
@@ -56,15 +57,15 @@ export async function onRequestPost(context) {
     // 同时在 KV 中存储元数据（用于管理和列表）
     if (env.img_url) {
       const key = generateKey(fileId, file.name);
-      await env.img_url.put(key, '', {
-        metadata: {
-          fileName: file.name,
-          fileSize: file.size,
-          TimeStamp: timestamp,
-          storage: 'r2',
-          contentType: file.type || 'application/octet-stream'
-        }
-      });
+      const metadata = {
+        fileName: file.name,
+        fileSize: file.size,
+        TimeStamp: timestamp,
+        storage: 'r2',
+        contentType: file.type || 'application/octet-stream'
+      };
+      await env.img_url.put(key, '', { metadata });
+      await updateFileIndex(env.img_url, key, metadata, 'r2');
     }
     
     // 返回成功响应
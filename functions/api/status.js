@@ -3,9 +3,7 @@
  * GET /api/status
  * 返回 Telegram、KV、R2、S3、Discord、HuggingFace 等服务的连接状态
  */
-import { createS3Client } from '../utils/s3client.js';
-import { checkDiscordConnection } from '../utils/discord.js';
-import { checkHuggingFaceConnection } from '../utils/huggingface.js';
+import { getBackend, getBackendTypes } from '../utils/backends/index.js';
 import { getGuestConfig } from '../utils/guest.js';
 
 export async function onRequestGet(context) {
@@ -25,24 +23,14 @@ export async function onRequestGet(context) {
   // 并行检查所有服务状态
   const checks = [];
 
-  // 检查 Telegram 配置
-  if (env.TG_Bot_Token && env.TG_Chat_ID) {
+  // 检查各存储后端
+  for (const type of getBackendTypes()) {
+    const backend = getBackend(type, env);
+    if (!backend.isConfigured()) continue;
     checks.push(
-      fetch(`https://api.telegram.org/bot${env.TG_Bot_Token}/getMe`)
-        .then(r => r.json())
-        .then(data => {
-          if (data.ok) {
-            status.telegram = {
-              connected: true,
-              message: `已连接 - @${data.result.username}`,
-              botName: data.result.first_name,
-              botUsername: data.result.username
-            };
-          } else {
-            status.telegram = { connected: false, message: `连接失败: ${data.description}` };
-          }
-        })
-        .catch(e => { status.telegram = { connected: false, message: `连接错误: ${e.message}` }; })
+      backend.health()
+        .then(result => { status[type] = result; })
+        .catch(e => { status[type] = { connected: false, enabled: false, message: `连接错误: ${e.message}` }; })
     );
   }
 
@@ -61,76 +49,6 @@ export async function onRequestGet(context) {
     );
   }
 
-  // 检查 R2 配置
-  if (env.R2_BUCKET) {
-    checks.push(
-      env.R2_BUCKET.list({ limit: 1 })
-        .then(result => {
-          status.r2 = {
-            connected: true,
-            enabled: true,
-            message: '已启用',
-            hasData: result.objects && result.objects.length > 0
-          };
-        })
-        .catch(e => { status.r2 = { connected: false, enabled: false, message: `连接错误: ${e.message}` }; })
-    );
-  }
-
-  // 检查 S3 配置
-  if (env.S3_ENDPOINT && env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY && env.S3_BUCKET) {
-    checks.push(
-      (async () => {
-        try {
-          const s3 = createS3Client(env);
-          const connected = await s3.checkConnection();
-          status.s3 = {
-            connected,
-            enabled: connected,
-            message: connected ? `已连接 - ${env.S3_BUCKET}` : '连接失败'
-          };
-        } catch (e) {
-          status.s3 = { connected: false, enabled: false, message: `连接错误: ${e.message}` };
-        }
-      })()
-    );
-  }
-
-  // 检查 Discord 配置
-  if (env.DISCORD_WEBHOOK_URL || env.DISCORD_BOT_TOKEN) {
-    checks.push(
-      checkDiscordConnection(env)
-        .then(result => {
-          status.discord = {
-            connected: result.connected,
-            enabled: result.connected,
-            message: result.connected
-              ? `已连接 (${result.mode}) - ${result.name}`
-              : '连接失败',
-            mode: result.mode
-          };
-        })
-        .catch(e => { status.discord = { connected: false, enabled: false, message: `连接错误: ${e.message}` }; })
-    );
-  }
-
-  // 检查 HuggingFace 配置
-  if (env.HF_TOKEN && env.HF_REPO) {
-    checks.push(
-      checkHuggingFaceConnection(env)
-        .then(result => {
-          status.huggingface = {
-            connected: result.connected,
-            enabled: result.connected,
-            message: result.connected
-              ? `已连接 - ${result.repoId}${result.isPrivate ? ' (私有)' : ''}`
-              : '连接失败'
-          };
-        })
-        .catch(e => { status.huggingface = { connected: false, enabled: false, message: `连接错误: ${e.message}` }; })
-    );
-  }
-
   // 检查认证配置
   if (env.BASIC_USER && env.BASIC_PASS) {
     status.auth = {
@@ -1,12 +1,24 @@
 /**
- * URL代理上传API - 独立实现
+ * URL代理上传API
  * 解决前端直接fetch外部URL时的CORS限制问题
  * 支持多种文件格式：图片、视频、音频、文档等
+ * 支持所有已注册的存储后端
  *
  * POST /api/upload-from-url
- * Body: { url: string, storageMode?: string }
+ * Body: { url: string, storageMode?: string, replicas?: string|string[], expiresIn?: string|number, expiresAt?: string|number,
+ *         maxViews?: number, burnAfterReading?: boolean, password?: string, private?: boolean,
+ *         stripExif?: boolean, keepOrientation?: boolean }
  */
 
+import { storeFile, getBackend, isKnownBackend, DEFAULT_BACKEND } from "../utils/backends/index.js";
+import { parseExpiry } from "../utils/expiry.js";
+import { parseViewLimit } from "../utils/view-limit.js";
+import { normalizePassword, hashPassword } from "../utils/file-password.js";
+import { scheduleThumbnail } from "../utils/thumbnails.js";
+import { resolveStripOptions, sanitizeUpload } from "../utils/strip-metadata.js";
+import { compressUpload } from "../utils/upload-compress.js";
+import { loadWatermark } from "../utils/watermark.js";
+
 // 允许的最大文件大小（20MB，与Telegram限制一致）
 const MAX_FILE_SIZE = 20 * 1024 * 1024;
 // 请求超时时间（30秒）
@@ -18,13 +30,25 @@ export async function onRequestPost(context) {
   try {
     // 解析请求体
     const body = await request.json();
-    const { url, storageMode = "telegram" } = body;
+    const { url, storageMode = "telegram", replicas } = body;
 
     // 验证URL
     if (!url || typeof url !== "string") {
       return jsonResponse({ error: "请提供有效的URL" }, 400);
     }
 
+    // 可选的过期时间、访问次数限制和访问密码
+    let expiresAt;
+    let viewLimit;
+    let password;
+    try {
+      expiresAt = parseExpiry(body);
+      viewLimit = parseViewLimit(body);
+      password = normalizePassword(body.password);
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+
     // URL格式验证
     let parsedUrl;
     try {
@@ -92,18 +116,64 @@ export async function onRequestPost(context) {
       fileName = `${fileName}.${ext}`;
     }
 
-    const fileExtension = fileName.split(".").pop().toLowerCase();
+    // 根据存储模式上传（未知模式默认使用 Telegram）
+    const mode = isKnownBackend(storageMode) ? storageMode : DEFAULT_BACKEND;
+    const backend = getBackend(mode, env);
+    if (!backend.isConfigured()) {
+      return jsonResponse({ error: `${backend.label} 未配置或未启用` }, 400);
+    }
 
-    // 根据存储模式上传
-    if (storageMode === "r2") {
-      if (!env.R2_BUCKET) {
-        return jsonResponse({ error: "R2 未配置或未启用" }, 400);
+    // 清除元数据，水印设置为上传时添加时写入水印
+    let sanitized;
+    let processed;
+    try {
+      sanitized = await sanitizeUpload(new File([arrayBuffer], fileName, { type: contentType }), resolveStripOptions(env, body));
+      processed = await compressUpload(sanitized.file, null, await loadWatermark(env, 'upload'));
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+    const { file } = processed;
+    const stored = await storeFile(env, file, {
+      storageMode: mode,
+      replicas,
+      fileName,
+      extraMetadata: {
+        ...(expiresAt ? { expiresAt } : {}),
+        ...viewLimit,
+        ...(password ? { passwordHash: await hashPassword(password) } : {}),
+        ...(body.private === true ? { private: true } : {}),
+        ...(sanitized.sanitized ? { sanitized: true } : {}),
+        ...(processed.watermarked ? { watermarked: true } : {})
       }
-      return await uploadToR2(arrayBuffer, fileName, fileExtension, contentType, fileSize, env);
-    } else {
-      // 默认上传到 Telegram
-      return await uploadToTelegram(arrayBuffer, fileName, fileExtension, contentType, fileSize, env);
+    });
+    scheduleThumbnail(context, stored, file);
+
+    const result = { src: stored.src };
+    if (stored.duplicate) {
+      result.duplicate = true;
+    }
+    if (expiresAt) {
+      result.expiresAt = expiresAt;
+    }
+    if (viewLimit.maxViews) {
+      result.maxViews = viewLimit.maxViews;
+    }
+    if (password) {
+      result.passwordProtected = true;
+    }
+    if (body.private === true) {
+      result.private = true;
+    }
+    if (sanitized.sanitized) {
+      result.sanitized = true;
     }
+    if (processed.watermarked) {
+      result.watermarked = true;
+    }
+    if (stored.replicaErrors.length) {
+      result.replicaErrors = stored.replicaErrors;
+    }
+    return jsonResponse([result]);
   } catch (error) {
     console.error("URL upload error:", error);
     return jsonResponse({ error: "服务器内部错误: " + error.message }, 500);
@@ -157,140 +227,3 @@ function getExtensionFromMimeType(mimeType) {
   };
   return mimeMap[type] || "bin";
 }
-
-// --- Telegram 上传 ---
-async function uploadToTelegram(arrayBuffer, fileName, fileExtension, contentType, fileSize, env) {
-  // 从 arrayBuffer 创建 Blob 和 File
-  const blob = new Blob([arrayBuffer], { type: contentType });
-  const file = new File([blob], fileName, { type: contentType });
-
-  const formData = new FormData();
-  formData.append("chat_id", env.TG_Chat_ID);
-
-  let apiEndpoint;
-  if (contentType.startsWith("image/")) {
-    formData.append("photo", file);
-    apiEndpoint = "sendPhoto";
-  } else if (contentType.startsWith("audio/")) {
-    formData.append("audio", file);
-    apiEndpoint = "sendAudio";
-  } else if (contentType.startsWith("video/")) {
-    formData.append("video", file);
-    apiEndpoint = "sendVideo";
-  } else {
-    formData.append("document", file);
-    apiEndpoint = "sendDocument";
-  }
-
-  const apiUrl = `https://api.telegram.org/bot${env.TG_Bot_Token}/${apiEndpoint}`;
-
-  let response;
-  try {
-    response = await fetch(apiUrl, {
-      method: "POST",
-      body: formData,
-    });
-  } catch (error) {
-    return jsonResponse({ error: "Telegram API 请求失败: " + error.message }, 502);
-  }
-
-  const responseData = await response.json();
-
-  if (!response.ok) {
-    // 如果图片/音频上传失败，尝试作为文档上传
-    if (apiEndpoint === "sendPhoto" || apiEndpoint === "sendAudio") {
-      const docFormData = new FormData();
-      docFormData.append("chat_id", env.TG_Chat_ID);
-      docFormData.append("document", file);
-      
-      const docResponse = await fetch(`https://api.telegram.org/bot${env.TG_Bot_Token}/sendDocument`, {
-        method: "POST",
-        body: docFormData,
-      });
-      
-      const docData = await docResponse.json();
-      if (docResponse.ok) {
-        return await processTelegramSuccess(docData, fileName, fileExtension, fileSize, env);
-      }
-    }
-    return jsonResponse({ error: responseData.description || "Telegram 上传失败" }, 500);
-  }
-
-  return await processTelegramSuccess(responseData, fileName, fileExtension, fileSize, env);
-}
-
-async function processTelegramSuccess(responseData, fileName, fileExtension, fileSize, env) {
-  const fileId = getFileId(responseData);
-  const messageId = responseData?.result?.message_id;
-
-  if (!fileId) {
-    return jsonResponse({ error: "无法获取文件ID" }, 500);
-  }
-
-  // 保存到 KV
-  if (env.img_url) {
-    await env.img_url.put(`${fileId}.${fileExtension}`, "", {
-      metadata: {
-        TimeStamp: Date.now(),
-        ListType: "None",
-        Label: "None",
-        liked: false,
-        fileName: fileName,
-        fileSize: fileSize,
-        storageType: "telegram",
-        telegramMessageId: messageId || undefined,
-      },
-    });
-  }
-
-  return jsonResponse([{ src: `/file/${fileId}.${fileExtension}` }]);
-}
-
-function getFileId(response) {
-  if (!response.ok || !response.result) return null;
-
-  const result = response.result;
-  if (result.photo) {
-    return result.photo.reduce((prev, current) =>
-      prev.file_size > current.file_size ? prev : current
-    ).file_id;
-  }
-  if (result.document) return result.document.file_id;
-  if (result.video) return result.video.file_id;
-  if (result.audio) return result.audio.file_id;
-
-  return null;
-}
-
-// --- R2 上传 ---
-async function uploadToR2(arrayBuffer, fileName, fileExtension, contentType, fileSize, env) {
-  try {
-    const fileId = `r2_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-    const objectKey = `${fileId}.${fileExtension}`;
-
-    await env.R2_BUCKET.put(objectKey, arrayBuffer, {
-      httpMetadata: { contentType },
-      customMetadata: { fileName, uploadTime: Date.now().toString() },
-    });
-
-    if (env.img_url) {
-      await env.img_url.put(`r2:${objectKey}`, "", {
-        metadata: {
-          TimeStamp: Date.now(),
-          ListType: "None",
-          Label: "None",
-          liked: false,
-          fileName,
-          fileSize,
-          storageType: "r2",
-          r2Key: objectKey,
-        },
-      });
-    }
-
-    return jsonResponse([{ src: `/file/r2:${objectKey}` }]);
-  } catch (error) {
-    console.error("R2 upload error:", error);
-    return jsonResponse({ error: "R2 上传失败: " + error.message }, 500);
-  }
-}
@@ -1,6 +1,19 @@
-import { createS3Client } from '../utils/s3client.js';
-import { getDiscordFileUrl } from '../utils/discord.js';
-import { getHuggingFaceFile } from '../utils/huggingface.js';
+import { getRecordWithKey, getFileType } from '../utils/storage.js';
+import { resolveStorageType } from '../utils/backends/index.js';
+import { fetchWithEdgeCache } from '../utils/edge-cache.js';
+import { updateFileIndex } from '../utils/file-index.js';
+import { parseRangeHeader } from '../utils/range.js';
+import { isExpired } from '../utils/expiry.js';
+import { isViewLimitReached, recordView, destroyFile } from '../utils/view-limit.js';
+import { checkFileAccess, verifyPassword, createUnlockCookieHeader } from '../utils/file-password.js';
+import { checkSignedAccess } from '../utils/signed-url.js';
+import {
+    parseTransformOptions, resolveTransformOptions, transformCacheQuery, sourceFormat,
+    OUTPUT_FORMATS, MAX_TRANSFORM_SOURCE_SIZE, exceedsPixelLimit
+} from '../utils/image-transform.js';
+import { getServeWatermark, applyWatermark } from '../utils/watermark.js';
+import { applyOrientation } from '../utils/image-metadata.js';
+import { getValidators, isNotModified, matchesIfRange } from '../utils/conditional.js';
 
 // MIME 类型映射表
 const MIME_TYPES = {
@@ -57,6 +70,9 @@ const MIME_TYPES = {
     'gz': 'application/gzip',
 };
 
+// 只加水印不处理时按原格式和默认质量重新编码
+const NO_TRANSFORM = { width: null, height: null, fit: 'scale-down', format: null, quality: null };
+
 // 根据文件名获取 MIME 类型
 function getMimeType(fileName) {
     const ext = fileName.split('.').pop()?.toLowerCase();
@@ -72,8 +88,8 @@ function isStreamableType(mimeType) {
 function addCorsHeaders(headers) {
     headers.set('Access-Control-Allow-Origin', '*');
     headers.set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    headers.set('Access-Control-Allow-Headers', 'Range, Content-Type, Accept, Origin');
-    headers.set('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges, Content-Type, Content-Disposition');
+    headers.set('Access-Control-Allow-Headers', 'Range, If-Range, If-None-Match, If-Modified-Since, Content-Type, Accept, Origin');
+    headers.set('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges, Content-Type, Content-Disposition, ETag, Last-Modified');
     // 同时阻止 Cloudflare CDN 边缘缓存，防止删除后仍从边缘返回旧响应
     headers.set('CDN-Cache-Control', 'no-store');
     return headers;
@@ -87,32 +103,6 @@ function handleOptions() {
     return new Response(null, { status: 204, headers });
 }
 
-// 解析 Range 请求头
-function parseRangeHeader(rangeHeader, totalSize) {
-    if (!rangeHeader) return null;
-    
-    const match = rangeHeader.match(/bytes=(\d*)-(\d*)/);
-    if (!match) return null;
-    
-    let start = match[1] ? parseInt(match[1], 10) : 0;
-    let end = match[2] ? parseInt(match[2], 10) : totalSize - 1;
-    
-    // 处理后缀范围请求 (bytes=-500 表示最后 500 字节)
-    if (!match[1] && match[2]) {
-        start = Math.max(0, totalSize - parseInt(match[2], 10));
-        end = totalSize - 1;
-    }
-    
-    // 确保范围有效
-    if (start >= totalSize || start < 0 || end < start) {
-        return { invalid: true, totalSize };
-    }
-    
-    end = Math.min(end, totalSize - 1);
-    
-    return { start, end, totalSize };
-}
-
 export async function onRequest(context) {
     const {
         request,
@@ -126,136 +116,166 @@ export async function onRequest(context) {
     }
 
     const url = new URL(request.url);
-    let fileId = params.id;
+    const fileId = params.id;
+
+    // 先检查 KV 中是否有该文件的元数据，判断存储类型
+    let record = null;
+    let kvKey = fileId;
+    if (env.img_url) {
+        ({ record, kvKey } = await getRecordWithKey(env.img_url, fileId));
+
+        // KV 门禁：如果 KV 可用但未找到文件记录（或文件在回收站中），直接返回 404
+        // 阻止已删除文件通过 CDN 缓存或 Telegram 直链继续被访问
+        if (!record || !record.metadata || record.metadata.trashedAt) {
+            const headers = new Headers();
+            addCorsHeaders(headers);
+            headers.set('Cache-Control', 'no-store, max-age=0');
+            return new Response('File not found', { status: 404, headers });
+        }
+
+        // 限时文件过期后返回 410，远端对象和记录由定时任务清理
+        if (isExpired(record.metadata)) {
+            const headers = new Headers();
+            addCorsHeaders(headers);
+            headers.set('Cache-Control', 'no-store, max-age=0');
+            return new Response('File expired', { status: 410, headers });
+        }
 
-    // 检查是否是 R2 存储的文件（以 r2: 开头）
-    if (fileId.startsWith('r2:')) {
-        return await handleR2File(context, fileId.substring(3)); // 移除 r2: 前缀
+        // 访问次数已用完或已焚毁
+        if (isViewLimitReached(record.metadata)) {
+            const headers = new Headers();
+            addCorsHeaders(headers);
+            headers.set('Cache-Control', 'no-store, max-age=0');
+            return new Response('View limit reached', { status: 410, headers });
+        }
     }
 
-    // 检查是否是 S3 存储的文件
-    if (fileId.startsWith('s3:')) {
-        return await handleS3File(context, fileId);
+    const entry = { key: kvKey, metadata: record?.metadata || {} };
+
+    // 签名链接与私有文件：携带的签名必须有效，私有文件只能通过签名链接访问
+    const signed = await checkSignedAccess(context, kvKey, entry.metadata);
+    if (!signed.allowed) {
+        const headers = new Headers();
+        addCorsHeaders(headers);
+        headers.set('Cache-Control', 'no-store, max-age=0');
+        return new Response(signed.reason, { status: signed.status, headers });
     }
 
-    // 检查是否是 Discord 存储的文件
-    if (fileId.startsWith('discord:')) {
-        return await handleDiscordFile(context, fileId);
+    // 密码保护：解锁页提交的表单
+    if (request.method === 'POST' && entry.metadata.passwordHash && !signed.signed) {
+        return await handleUnlock(request, url, kvKey, entry.metadata);
     }
 
-    // 检查是否是 HuggingFace 存储的文件
-    if (fileId.startsWith('hf:')) {
-        return await handleHFFile(context, fileId);
+    // 密码保护：?pwd= 参数、解锁 Cookie 或已登录的管理员；有效的签名链接无需密码
+    const access = signed.signed ? { allowed: true } : await checkFileAccess(context, kvKey, entry.metadata);
+    if (!access.allowed) {
+        return passwordRequiredResponse(request, url, access.wrongPassword);
     }
 
-    // 先检查 KV 中是否有该文件的元数据，判断存储类型
-    let record = null;
-    let isR2Storage = false;
-    let isS3Storage = false;
-    let isDiscordStorage = false;
-    let isHFStorage = false;
+    const metadata = {
+        ListType: entry.metadata.ListType || "None",
+        Label: entry.metadata.Label || "None",
+        fileName: entry.metadata.fileName || fileId,
+    };
 
-    if (env.img_url) {
-        // 尝试多种前缀查找（兼容新旧 Key 格式）
-        const prefixes = ['img:', 'vid:', 'aud:', 'doc:', 'r2:', 's3:', 'discord:', 'hf:', ''];
-        for (const prefix of prefixes) {
-            const key = `${prefix}${fileId}`;
-            record = await env.img_url.getWithMetadata(key);
-            if (record && record.metadata) {
-                isR2Storage = record.metadata.storage === 'r2' || record.metadata.storageType === 'r2';
-                isS3Storage = record.metadata.storageType === 's3';
-                isDiscordStorage = record.metadata.storageType === 'discord';
-                isHFStorage = record.metadata.storageType === 'huggingface';
-                break;
+    // 访问控制：白名单直接放行，屏蔽内容重定向（管理后台预览除外）
+    if (metadata.ListType !== "White") {
+        const referer = request.headers.get('Referer');
+        if (metadata.ListType === "Block" || metadata.Label === "adult") {
+            const isAdmin = referer?.includes(`${url.origin}/admin`);
+            if (!isAdmin) {
+                const redirectUrl = referer ? "https://static-res.pages.dev/teleimage/img-block-compressed.png" : `${url.origin}/block-img.html`;
+                return Response.redirect(redirectUrl, 302);
             }
+        } else if (env.WhiteList_Mode === "true") {
+            return Response.redirect(`${url.origin}/whitelist-on.html`, 302);
         }
     }
 
-    // KV 门禁：如果 KV 可用但未找到文件记录，直接返回 404
-    // 阻止已删除文件通过 CDN 缓存或 Telegram 直链继续被访问
-    if (env.img_url && (!record || !record.metadata)) {
+    const mimeType = getMimeType(metadata.fileName);
+    const original = { ...(await getValidators(kvKey, entry.metadata)), cacheControl: cacheControlFor(entry.metadata) };
+
+    // If-Range 与当前文件不一致时忽略 Range，返回完整文件
+    let rangeHeader = request.headers.get('Range');
+    if (rangeHeader && !matchesIfRange(request, original)) {
+        rangeHeader = null;
+    }
+
+    // 图片处理：?w=&h=&fit=&format=&q=，非图片、文件或像素过大的原图直接返回原文件
+    let transform;
+    try {
+        transform = parseTransformOptions(url.searchParams);
+    } catch (error) {
+        const headers = new Headers();
+        addCorsHeaders(headers);
+        return new Response(error.message, { status: 400, headers });
+    }
+    const inputFormat = sourceFormat(mimeType);
+    const readable = request.method === 'GET' || request.method === 'HEAD';
+    const processable = inputFormat && readable
+        && (Number(entry.metadata.fileSize) || 0) <= MAX_TRANSFORM_SOURCE_SIZE
+        && !exceedsPixelLimit(entry.metadata.width, entry.metadata.height);
+
+    // 访问时水印：公开访问的非白名单图片，忽略 Range 以免绕过水印取得原图
+    const watermark = readable && getFileType(metadata.fileName) === 'image'
+        ? await getServeWatermark(context, entry.metadata)
+        : null;
+    if (watermark && !processable) {
+        // 无法加水印的图片（GIF、SVG、HEIC、过大的原图等）不返回原图
         const headers = new Headers();
         addCorsHeaders(headers);
         headers.set('Cache-Control', 'no-store, max-age=0');
-        return new Response('File not found', { status: 404, headers });
-    }
-
-    // 如果是 R2 存储，从 R2 获取文件
-    if (isR2Storage && env.R2_BUCKET) {
-        const r2Key = record?.metadata?.r2Key || fileId;
-        return await handleR2File(context, r2Key, record);
+        return new Response('Image not available without watermark', { status: 403, headers });
     }
 
-    // 如果是 S3 存储
-    if (isS3Storage) {
-        return await handleS3File(context, fileId, record);
-    }
+    const options = processable && (watermark || (transform && !rangeHeader))
+        ? resolveTransformOptions(transform || NO_TRANSFORM, inputFormat)
+        : null;
 
-    // 如果是 Discord 存储
-    if (isDiscordStorage) {
-        return await handleDiscordFile(context, fileId, record);
+    // 条件请求：校验值一致时直接返回 304，不再请求存储后端
+    const validators = options ? {
+        ...(await getValidators(kvKey, entry.metadata, variantQuery(options, watermark))),
+        cacheControl: cacheControlFor(entry.metadata, watermark)
+    } : original;
+    if (isNotModified(request, validators)) {
+        return withCookie(notModifiedResponse(validators), access.setCookie);
     }
 
-    // 如果是 HuggingFace 存储
-    if (isHFStorage) {
-        return await handleHFFile(context, fileId, record);
-    }
-    
-    // 从 Telegram 获取文件（原有逻辑）
-    let fileUrl = 'https://telegra.ph/' + url.pathname + url.search
-    let isTelegramBotFile = false;
-    
-    if (url.pathname.length > 39) { // Path length > 39 indicates file uploaded via Telegram Bot API
-        isTelegramBotFile = true;
-        const formdata = new FormData();
-        formdata.append("file_id", url.pathname);
-
-        const requestOptions = {
-            method: "POST",
-            body: formdata,
-            redirect: "follow"
-        };
-        // /file/AgACAgEAAxkDAAMDZt1Gzs4W8dQPWiQJxO5YSH5X-gsAAt-sMRuWNelGOSaEM_9lHHgBAAMCAANtAAM2BA.png
-        //get the AgACAgEAAxkDAAMDZt1Gzs4W8dQPWiQJxO5YSH5X-gsAAt-sMRuWNelGOSaEM_9lHHgBAAMCAANtAAM2BA
-        console.log(url.pathname.split(".")[0].split("/")[2])
-        const filePath = await getFilePath(env, url.pathname.split(".")[0].split("/")[2]);
-        console.log(filePath)
-        if (!filePath) {
+    if (options) {
+        let transformed = await serveTransformed(context, entry, inputFormat, options, metadata.fileName, watermark, validators);
+        if (!transformed && watermark) {
+            // 加水印失败时不返回原图
             const headers = new Headers();
             addCorsHeaders(headers);
-            return new Response('Failed to get file path from Telegram', { status: 500, headers });
+            headers.set('Cache-Control', 'no-store, max-age=0');
+            return new Response('Watermark failed', { status: 502, headers });
+        }
+        if (transformed) {
+            if (entry.metadata.maxViews && env.img_url && request.method === 'GET') {
+                transformed = await countView(context, kvKey, entry.metadata, transformed);
+            }
+            return withCookie(transformed, access.setCookie);
         }
-        fileUrl = `https://api.telegram.org/file/bot${env.TG_Bot_Token}/${filePath}`;
-    }
-
-    // 获取文件名和 MIME 类型
-    const fileName = record?.metadata?.fileName || params.id;
-    const mimeType = getMimeType(fileName);
-    const rangeHeader = request.headers.get('Range');
-    
-    // 对于流媒体文件，使用增强的 Range 处理
-    if (isStreamableType(mimeType) && rangeHeader) {
-        return await handleStreamableFile(fileUrl, fileName, mimeType, rangeHeader, request);
     }
 
-    // 构建请求头，透传 Range 请求
-    const fetchHeaders = new Headers();
-    if (rangeHeader) {
-        fetchHeaders.set('Range', rangeHeader);
-        console.log('Range request:', rangeHeader);
+    // 主副本返回 404/5xx 时自动切换到其他副本；Telegram 等外部后端的文件优先从边缘缓存读取
+    let response;
+    let backend;
+    try {
+        ({ response, backend } = await fetchWithEdgeCache(context, entry, { range: rangeHeader, method: request.method }));
+    } catch (error) {
+        console.error('File fetch error:', error);
+        const headers = new Headers();
+        addCorsHeaders(headers);
+        return new Response('Error fetching file: ' + error.message, { status: 500, headers });
     }
 
-    // 发起请求到 Telegram（禁用 Cloudflare 边缘缓存，确保删除后立即生效）
-    const response = await fetch(fileUrl, {
-        method: request.method === 'HEAD' ? 'HEAD' : 'GET',
-        headers: fetchHeaders,
-        cf: { cacheTtl: 0, cacheEverything: false },
-    });
-
     // If the response is not OK (excluding 206 Partial Content), return error
     if (!response.ok && response.status !== 206) {
         const errorHeaders = new Headers();
         addCorsHeaders(errorHeaders);
+        const contentRange = response.headers.get('Content-Range');
+        if (contentRange) errorHeaders.set('Content-Range', contentRange);
         return new Response(response.body, {
             status: response.status,
             statusText: response.statusText,
@@ -263,35 +283,8 @@ export async function onRequest(context) {
         });
     }
 
-    // Log response details
-    console.log('Response status:', response.status, 'Range requested:', !!rangeHeader);
-
-    // KV 记录已在前面的门禁中确认存在，直接使用
-    const metadata = {
-        ListType: record.metadata.ListType || "None",
-        Label: record.metadata.Label || "None",
-        TimeStamp: record.metadata.TimeStamp || Date.now(),
-        liked: record.metadata.liked !== undefined ? record.metadata.liked : false,
-        fileName: record.metadata.fileName || params.id,
-        fileSize: record.metadata.fileSize || 0,
-    };
-
-    // Handle based on ListType and Label
-    if (metadata.ListType === "White") {
-        return createStreamResponse(response, metadata.fileName, mimeType, rangeHeader);
-    } else if (metadata.ListType === "Block" || metadata.Label === "adult") {
-        const referer = request.headers.get('Referer');
-        const redirectUrl = referer ? "https://static-res.pages.dev/teleimage/img-block-compressed.png" : `${url.origin}/block-img.html`;
-        return Response.redirect(redirectUrl, 302);
-    }
-
-    // Check if WhiteList_Mode is enabled
-    if (env.WhiteList_Mode === "true") {
-        return Response.redirect(`${url.origin}/whitelist-on.html`, 302);
-    }
-
-    // If no metadata or further actions required, moderate content and add to KV if needed
-    if (env.ModerateContentApiKey) {
+    // 内容审核（仅 Telegram，需要 telegra.ph 公网地址）
+    if (backend.type === 'telegram' && metadata.ListType !== "White" && env.ModerateContentApiKey && env.img_url) {
         try {
             console.log("Starting content moderation...");
             const moderateUrl = `https://api.moderatecontent.com/moderate/?key=${env.ModerateContentApiKey}&url=https://telegra.ph${url.pathname}${url.search}`;
@@ -304,11 +297,11 @@ export async function onRequest(context) {
                 console.log("Content moderation results:", moderateData);
 
                 if (moderateData && moderateData.rating_label) {
-                    metadata.Label = moderateData.rating_label;
-
                     if (moderateData.rating_label === "adult") {
                         console.log("Content marked as adult, saving metadata and redirecting");
-                        await env.img_url.put(params.id, "", { metadata });
+                        const labeled = { ...entry.metadata, Label: moderateData.rating_label };
+                        await env.img_url.put(kvKey, "", { metadata: labeled });
+                        await updateFileIndex(env.img_url, kvKey, labeled, resolveStorageType(entry));
                         return Response.redirect(`${url.origin}/block-img.html`, 302);
                     }
                 }
@@ -319,14 +312,177 @@ export async function onRequest(context) {
         }
     }
 
-    // 已存在元数据，不再自动写入，避免删除后被重新创建
+    // 上游不支持 Range（返回 200）时，流媒体文件需要自行切片；否则使用流式响应返回文件
+    let fileResponse = rangeHeader && response.status === 200 && isStreamableType(mimeType)
+        ? await sliceFullResponse(response, metadata.fileName, mimeType, rangeHeader, original)
+        : createStreamResponse(response, metadata.fileName, mimeType, rangeHeader, original);
+
+    // 访问次数限制：统计从第一个字节开始返回内容的 GET 请求（包括 Range: bytes=0-），播放器后续的分段请求不计数
+    if (entry.metadata.maxViews && env.img_url && request.method === 'GET' && startsAtFirstByte(fileResponse)) {
+        fileResponse = await countView(context, kvKey, entry.metadata, fileResponse);
+    }
+    return withCookie(fileResponse, access.setCookie);
+}
+
+// 响应是否包含文件开头的内容：完整文件，或从 0 开始的 206 分段
+function startsAtFirstByte(response) {
+    if (response.status === 200) return true;
+    return response.status === 206 && /^bytes 0-/.test(response.headers.get('Content-Range') || '');
+}
+
+// 记录一次访问；阅后即焚的文件在响应传输完成后删除远端对象，避免中断本次访问
+async function countView(context, kvKey, fileMetadata, response) {
+    const view = await recordView(context.env, kvKey, fileMetadata);
+    if (view.destroy) {
+        return afterBodySent(response, context, () => destroyFile(context.env, kvKey));
+    }
+    return response;
+}
+
+// 缓存策略：每次使用前都向服务器校验（删除、屏蔽后立即生效，未变化时返回 304）
+// 有访问次数限制的文件不缓存，受密码保护、私有或加了水印的响应只允许浏览器缓存
+function cacheControlFor(fileMetadata, watermark = null) {
+    if (fileMetadata.maxViews) return 'no-store, max-age=0';
+    if (fileMetadata.passwordHash || fileMetadata.private || watermark) return 'private, no-cache';
+    return 'no-cache';
+}
+
+// 处理后图片的标识：处理参数 + 水印设置版本
+function variantQuery(options, watermark) {
+    return `${transformCacheQuery(options)}${watermark ? `&wm=${watermark.settings.updatedAt}` : ''}`;
+}
+
+function notModifiedResponse(validators) {
+    const headers = new Headers();
+    addCorsHeaders(headers);
+    setValidatorHeaders(headers, validators);
+    return new Response(null, { status: 304, headers });
+}
+
+function setValidatorHeaders(headers, validators) {
+    headers.set('ETag', validators.etag);
+    if (validators.lastModified) {
+        headers.set('Last-Modified', validators.lastModified);
+    }
+    headers.set('Cache-Control', validators.cacheControl);
+}
+
+// 返回处理后的图片，结果按文件、参数和水印设置缓存在边缘；处理失败时返回 null，由调用方决定是否返回原图
+// 加水印时按 EXIF 方向校正像素，重新编码后原图的方向信息会丢失
+async function serveTransformed(context, entry, inputFormat, options, fileName, watermark, validators) {
+    const { request, env } = context;
+    const cacheKey = new Request(`${new URL(request.url).origin}/__transform/${encodeURIComponent(entry.key)}?${variantQuery(options, watermark)}`);
+    const outputType = OUTPUT_FORMATS[options.format];
+
+    let body;
+    try {
+        const cached = await caches.default.match(cacheKey);
+        if (cached) {
+            body = await cached.arrayBuffer();
+        } else {
+            const { response } = await fetchWithEdgeCache(context, entry, { method: 'GET' });
+            if (!response.ok) return null;
+
+            const { transformImage } = await import('../utils/image-codec.js');
+            const process = watermark
+                ? image => applyWatermark(applyOrientation(image, entry.metadata.orientation), watermark)
+                : undefined;
+            body = await transformImage(await response.arrayBuffer(), inputFormat, options, process);
+            context.waitUntil(caches.default.put(cacheKey, new Response(body.slice(0), {
+                headers: { 'Content-Type': outputType, 'Cache-Control': 'public, max-age=2592000' }
+            })));
+        }
+    } catch (error) {
+        console.error('Image transform failed:', error);
+        return null;
+    }
+
+    const extension = options.format === 'jpeg' ? 'jpg' : options.format;
+    const outputName = `${fileName.replace(/\.[^.]+$/, '')}.${extension}`;
+    const upstream = new Response(request.method === 'HEAD' ? null : body, {
+        headers: { 'Content-Length': String(body.byteLength) }
+    });
+    return createStreamResponse(upstream, outputName, outputType, null, validators);
+}
+
+// 通过 ?pwd= 解锁时写入 Cookie，后续请求（如播放器的 Range 请求）无需再带密码
+function withCookie(response, setCookie) {
+    if (setCookie) {
+        response.headers.append('Set-Cookie', setCookie);
+    }
+    return response;
+}
+
+// 处理解锁页提交的密码，成功后写入 Cookie 并跳回文件地址
+async function handleUnlock(request, url, kvKey, fileMetadata) {
+    let password = null;
+    try {
+        password = (await request.formData()).get('password');
+    } catch {
+        // 非表单请求按密码错误处理
+    }
+
+    if (typeof password !== 'string' || !(await verifyPassword(password, fileMetadata.passwordHash))) {
+        return passwordRequiredResponse(request, url, true);
+    }
 
-    // 使用流式响应返回文件
-    return createStreamResponse(response, metadata.fileName, mimeType, rangeHeader);
+    const headers = new Headers();
+    addCorsHeaders(headers);
+    headers.set('Location', url.pathname);
+    headers.set('Cache-Control', 'no-store, max-age=0');
+    headers.append('Set-Cookie', await createUnlockCookieHeader(kvKey, fileMetadata.passwordHash));
+    return new Response(null, { status: 303, headers });
 }
 
-// 创建响应，正确处理 Range 请求和 CORS
-function createStreamResponse(upstreamResponse, fileName, mimeType, rangeHeader) {
+// 需要密码：浏览器直接打开时返回解锁页，其他请求（如 <img>）返回 401/403 文本
+function passwordRequiredResponse(request, url, wrongPassword) {
+    const status = wrongPassword ? 403 : 401;
+    const headers = new Headers();
+    addCorsHeaders(headers);
+    headers.set('Cache-Control', 'no-store, max-age=0');
+
+    const accept = request.headers.get('Accept') || '';
+    if (!accept.includes('text/html')) {
+        headers.set('Content-Type', 'text/plain; charset=utf-8');
+        return new Response(wrongPassword ? 'Wrong password' : 'Password required', { status, headers });
+    }
+
+    headers.set('Content-Type', 'text/html; charset=utf-8');
+    return new Response(renderUnlockPage(url.pathname, wrongPassword), { status, headers });
+}
+
+function renderUnlockPage(action, wrongPassword) {
+    const escapedAction = action.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>需要密码</title>
+<style>
+body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #f5f5f7; color: #333; }
+form { background: #fff; padding: 32px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.08); width: 280px; text-align: center; }
+h1 { font-size: 20px; margin: 0 0 8px; }
+p { font-size: 14px; color: #888; margin: 0 0 20px; }
+.error { color: #e53935; }
+input { width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #ddd; border-radius: 8px; font-size: 15px; margin-bottom: 12px; }
+button { width: 100%; padding: 10px; border: none; border-radius: 8px; background: #4a6cf7; color: #fff; font-size: 15px; cursor: pointer; }
+</style>
+</head>
+<body>
+<form method="POST" action="${escapedAction}">
+<h1>🔒 此文件需要密码</h1>
+<p${wrongPassword ? ' class="error">密码错误，请重试' : '>请输入访问密码'}</p>
+<input type="password" name="password" autofocus required autocomplete="current-password">
+<button type="submit">解锁</button>
+</form>
+</body>
+</html>`;
+}
+
+// 创建响应，正确处理 Range 请求和 CORS；validators 为 ETag、Last-Modified 和缓存策略
+function createStreamResponse(upstreamResponse, fileName, mimeType, rangeHeader, validators) {
     const headers = new Headers();
     
     // 添加 CORS 头
@@ -355,8 +511,8 @@ function createStreamResponse(upstreamResponse, fileName, mimeType, rangeHeader)
     // 设置文件名
     headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
     
-    // 缓存控制（删除后立即生效，避免缓存继续访问）
-    headers.set('Cache-Control', 'no-store, max-age=0');
+    // 校验值与缓存控制（每次使用前校验，删除后立即生效）
+    setValidatorHeaders(headers, validators);
     
     // 直接传递 body，Cloudflare Workers 会自动处理流式传输
     return new Response(upstreamResponse.body, {
@@ -366,84 +522,30 @@ function createStreamResponse(upstreamResponse, fileName, mimeType, rangeHeader)
     });
 }
 
-// 处理流媒体文件（视频/音频），支持 Range 请求
-async function handleStreamableFile(fileUrl, fileName, mimeType, rangeHeader, originalRequest) {
-    console.log('Handling streamable file with Range:', rangeHeader);
-    
-    // 首先尝试透传 Range 请求
-    const fetchHeaders = new Headers();
-    fetchHeaders.set('Range', rangeHeader);
-    
-    let response = await fetch(fileUrl, {
-        method: 'GET',
-        headers: fetchHeaders,
-        cf: { cacheTtl: 0, cacheEverything: false },
-    });
-    
-    // 检查上游是否支持 Range 请求
-    if (response.status === 206) {
-        // 上游支持 Range，直接透传
-        console.log('Upstream supports Range, status 206');
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        headers.set('Content-Type', mimeType);
-        headers.set('Accept-Ranges', 'bytes');
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"`);
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        
-        // 透传关键头
-        const contentLength = response.headers.get('Content-Length');
-        const contentRange = response.headers.get('Content-Range');
-        
-        if (contentLength) headers.set('Content-Length', contentLength);
-        if (contentRange) headers.set('Content-Range', contentRange);
-        
-        return new Response(response.body, {
-            status: 206,
-            statusText: 'Partial Content',
-            headers
-        });
+// 响应体发送完成（或客户端中断）后执行 callback
+function afterBodySent(response, context, callback) {
+    const run = () => Promise.resolve()
+        .then(callback)
+        .catch(error => console.error('After response task failed:', error));
+
+    if (!response.body) {
+        context.waitUntil(run());
+        return response;
     }
-    
-    // 上游不支持 Range (返回 200)，需要自行实现分片
-    // 这种情况下，我们需要先获取文件总大小
-    console.log('Upstream does not support Range, implementing manually');
-    
+
+    const { readable, writable } = new TransformStream();
+    context.waitUntil(response.body.pipeTo(writable).catch(() => {}).then(run));
+    return new Response(readable, response);
+}
+
+// 上游返回完整文件时，按 Range 手动切片（流媒体播放器需要 206）
+async function sliceFullResponse(response, fileName, mimeType, rangeHeader, validators) {
     const totalSize = parseInt(response.headers.get('Content-Length') || '0', 10);
-    
-    if (!totalSize) {
-        // 无法获取文件大小，返回完整文件
-        console.log('Cannot determine file size, returning full file');
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        headers.set('Content-Type', mimeType);
-        headers.set('Accept-Ranges', 'bytes');
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"`);
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        
-        return new Response(response.body, {
-            status: 200,
-            headers
-        });
-    }
-    
-    // 解析 Range 请求
-    const range = parseRangeHeader(rangeHeader, totalSize);
+    const range = totalSize ? parseRangeHeader(rangeHeader, totalSize) : null;
     
     if (!range) {
-        // Range 头无效，返回完整文件
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        headers.set('Content-Type', mimeType);
-        headers.set('Content-Length', totalSize.toString());
-        headers.set('Accept-Ranges', 'bytes');
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"`);
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        
-        return new Response(response.body, {
-            status: 200,
-            headers
-        });
+        // 无法获取文件大小或 Range 头无效，返回完整文件
+        return createStreamResponse(response, fileName, mimeType, null, validators);
     }
     
     if (range.invalid) {
@@ -457,8 +559,6 @@ async function handleStreamableFile(fileUrl, fileName, mimeType, rangeHeader, or
     const { start, end } = range;
     const chunkSize = end - start + 1;
     
-    console.log(`Manually slicing: bytes ${start}-${end}/${totalSize}`);
-    
     // 读取完整文件并切片（这不是最优方案，但在上游不支持 Range 时是唯一选择）
     // 注意：这会消耗内存，大文件可能会有问题
     try {
@@ -472,7 +572,7 @@ async function handleStreamableFile(fileUrl, fileName, mimeType, rangeHeader, or
         headers.set('Content-Range', `bytes ${start}-${end}/${totalSize}`);
         headers.set('Accept-Ranges', 'bytes');
         headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"`);
-        headers.set('Cache-Control', 'no-store, max-age=0');
+        setValidatorHeaders(headers, validators);
         
         return new Response(slicedBuffer, {
             status: 206,
@@ -486,392 +586,3 @@ async function handleStreamableFile(fileUrl, fileName, mimeType, rangeHeader, or
         return new Response('Error processing file: ' + error.message, { status: 500, headers });
     }
 }
-
-async function getFilePath(env, file_id) {
-    try {
-        const url = `https://api.telegram.org/bot${env.TG_Bot_Token}/getFile?file_id=${file_id}`;
-        const res = await fetch(url, {
-            method: 'GET',
-        });
-
-        if (!res.ok) {
-            console.error(`HTTP error! status: ${res.status}`);
-            return null;
-        }
-
-        const responseData = await res.json();
-        const { ok, result } = responseData;
-
-        if (ok && result) {
-            return result.file_path;
-        } else {
-            console.error('Error in response data:', responseData);
-            return null;
-        }
-    } catch (error) {
-        console.error('Error fetching file path:', error.message);
-        return null;
-    }
-}
-
-// R2 文件处理函数 - 支持 Range 请求
-async function getR2RecordFromKV(env, r2Key) {
-    if (!env.img_url) {
-        return null;
-    }
-
-    const candidateKeys = [];
-    if (r2Key.startsWith('r2:')) {
-        candidateKeys.push(r2Key);
-    } else {
-        candidateKeys.push(`r2:${r2Key}`);
-    }
-    candidateKeys.push(r2Key);
-
-    for (const key of [...new Set(candidateKeys)]) {
-        const record = await env.img_url.getWithMetadata(key);
-        if (record && record.metadata) {
-            return record;
-        }
-    }
-
-    return null;
-}
-
-async function handleR2File(context, r2Key, record = null) {
-    const { request, env, params } = context;
-    const url = new URL(request.url);
-    
-    // 处理 CORS 预检请求
-    if (request.method === 'OPTIONS') {
-        return handleOptions();
-    }
-    
-    if (!env.R2_BUCKET) {
-        return new Response('R2 storage not configured', { status: 500 });
-    }
-    
-    try {
-        // 如果没有 record，尝试从 KV 获取
-        if (!record || !record.metadata) {
-            record = await getR2RecordFromKV(env, r2Key);
-        }
-        if (!record || !record.metadata) {
-            const headers = new Headers();
-            addCorsHeaders(headers);
-            headers.set('Cache-Control', 'no-store, max-age=0');
-            return new Response('File not found', { status: 404, headers });
-        }
-        
-        // 检查访问控制
-        if (record?.metadata?.ListType === 'Block' || record?.metadata?.Label === 'adult') {
-            const referer = request.headers.get('Referer');
-            const isAdmin = referer?.includes(`${url.origin}/admin`);
-            if (!isAdmin) {
-                const redirectUrl = referer 
-                    ? "https://static-res.pages.dev/teleimage/img-block-compressed.png" 
-                    : `${url.origin}/block-img.html`;
-                return Response.redirect(redirectUrl, 302);
-            }
-        }
-        
-        // 获取文件名和 MIME 类型
-        const fileName = record?.metadata?.fileName || r2Key;
-        const mimeType = getMimeType(fileName);
-        
-        // 解析 Range 请求头
-        const rangeHeader = request.headers.get('Range');
-        let object;
-        let isPartialContent = false;
-        let rangeStart, rangeEnd, totalSize;
-        
-        if (rangeHeader) {
-            // 解析 Range: bytes=start-end
-            const match = rangeHeader.match(/bytes=(\d*)-(\d*)/);
-            if (match) {
-                // 首先获取对象以得到总大小
-                const headObject = await env.R2_BUCKET.head(r2Key);
-                if (!headObject) {
-                    return new Response('File not found in R2', { status: 404 });
-                }
-                totalSize = headObject.size;
-                
-                rangeStart = match[1] ? parseInt(match[1], 10) : 0;
-                rangeEnd = match[2] ? parseInt(match[2], 10) : totalSize - 1;
-                
-                // 确保范围有效
-                if (rangeStart >= totalSize) {
-                    const headers = new Headers();
-                    addCorsHeaders(headers);
-                    headers.set('Content-Range', `bytes */${totalSize}`);
-                    return new Response('Range Not Satisfiable', { status: 416, headers });
-                }
-                
-                rangeEnd = Math.min(rangeEnd, totalSize - 1);
-                
-                // 使用 R2 的 range 参数获取部分内容
-                object = await env.R2_BUCKET.get(r2Key, {
-                    range: { offset: rangeStart, length: rangeEnd - rangeStart + 1 }
-                });
-                isPartialContent = true;
-                console.log(`R2 Range request: bytes=${rangeStart}-${rangeEnd}/${totalSize}`);
-            }
-        }
-        
-        // 如果不是 Range 请求，或 Range 解析失败，获取整个文件
-        if (!object) {
-            object = await env.R2_BUCKET.get(r2Key);
-            if (!object) {
-                return new Response('File not found in R2', { status: 404 });
-            }
-            totalSize = object.size;
-        }
-        
-        // 构建响应头
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        
-        // 设置正确的 Content-Type
-        headers.set('Content-Type', mimeType);
-        
-        // 声明支持 Range 请求
-        headers.set('Accept-Ranges', 'bytes');
-        
-        if (isPartialContent) {
-            // 206 Partial Content 响应
-            headers.set('Content-Length', (rangeEnd - rangeStart + 1).toString());
-            headers.set('Content-Range', `bytes ${rangeStart}-${rangeEnd}/${totalSize}`);
-        } else {
-            headers.set('Content-Length', totalSize.toString());
-        }
-        
-        // 缓存控制
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        
-        // 设置文件名
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
-        
-        // 直接传递 body
-        return new Response(object.body, { 
-            status: isPartialContent ? 206 : 200,
-            headers 
-        });
-    } catch (error) {
-        console.error('R2 fetch error:', error);
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        return new Response('Error fetching file from R2: ' + error.message, { status: 500, headers });
-    }
-}
-
-// --- S3 文件处理 ---
-async function handleS3File(context, fileId, record = null) {
-    const { request, env } = context;
-
-    if (request.method === 'OPTIONS') return handleOptions();
-
-    try {
-        // 获取 KV 记录
-        if (!record || !record.metadata) {
-            if (env.img_url) {
-                const prefixes = ['s3:', 'img:', 'vid:', 'aud:', 'doc:', ''];
-                for (const prefix of prefixes) {
-                    record = await env.img_url.getWithMetadata(`${prefix}${fileId}`);
-                    if (record?.metadata) break;
-                }
-            }
-        }
-        if (!record?.metadata) {
-            const headers = new Headers();
-            addCorsHeaders(headers);
-            return new Response('File not found', { status: 404, headers });
-        }
-
-        // 访问控制
-        if (record.metadata.ListType === 'Block' || record.metadata.Label === 'adult') {
-            const url = new URL(request.url);
-            return Response.redirect(`${url.origin}/block-img.html`, 302);
-        }
-
-        const s3Key = record.metadata.s3Key || fileId.replace(/^s3:/, '');
-        const fileName = record.metadata.fileName || fileId;
-        const mimeType = getMimeType(fileName);
-        const rangeHeader = request.headers.get('Range');
-
-        const s3 = createS3Client(env);
-        const s3Response = await s3.getObject(s3Key, rangeHeader ? { range: rangeHeader } : {});
-
-        if (!s3Response) {
-            return new Response('File not found in S3', { status: 404 });
-        }
-
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        headers.set('Content-Type', mimeType);
-        headers.set('Accept-Ranges', 'bytes');
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
-
-        // 透传 Content-Length 和 Content-Range
-        const cl = s3Response.headers.get('Content-Length');
-        if (cl) headers.set('Content-Length', cl);
-        const cr = s3Response.headers.get('Content-Range');
-        if (cr) headers.set('Content-Range', cr);
-
-        return new Response(s3Response.body, {
-            status: s3Response.status,
-            headers
-        });
-    } catch (error) {
-        console.error('S3 fetch error:', error);
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        return new Response('Error fetching file from S3: ' + error.message, { status: 500, headers });
-    }
-}
-
-// --- Discord 文件处理 ---
-async function handleDiscordFile(context, fileId, record = null) {
-    const { request, env } = context;
-
-    if (request.method === 'OPTIONS') return handleOptions();
-
-    try {
-        // 获取 KV 记录
-        if (!record || !record.metadata) {
-            if (env.img_url) {
-                const prefixes = ['discord:', 'img:', 'vid:', 'aud:', 'doc:', ''];
-                for (const prefix of prefixes) {
-                    record = await env.img_url.getWithMetadata(`${prefix}${fileId}`);
-                    if (record?.metadata) break;
-                }
-            }
-        }
-        if (!record?.metadata) {
-            const headers = new Headers();
-            addCorsHeaders(headers);
-            return new Response('File not found', { status: 404, headers });
-        }
-
-        // 访问控制
-        if (record.metadata.ListType === 'Block' || record.metadata.Label === 'adult') {
-            const url = new URL(request.url);
-            return Response.redirect(`${url.origin}/block-img.html`, 302);
-        }
-
-        const { discordChannelId, discordMessageId } = record.metadata;
-        if (!discordChannelId || !discordMessageId) {
-            return new Response('Discord metadata incomplete', { status: 500 });
-        }
-
-        // 从 Discord API 获取最新的文件 URL
-        const fileInfo = await getDiscordFileUrl(discordChannelId, discordMessageId, env);
-        if (!fileInfo) {
-            return new Response('File not found on Discord', { status: 404 });
-        }
-
-        // 代理文件内容（Discord CDN URL 会过期，不能直接重定向）
-        const fileName = record.metadata.fileName || fileInfo.filename;
-        const mimeType = getMimeType(fileName);
-
-        const fetchHeaders = {};
-        const rangeHeader = request.headers.get('Range');
-        if (rangeHeader) fetchHeaders['Range'] = rangeHeader;
-
-        const discordResponse = await fetch(fileInfo.url, { headers: fetchHeaders });
-
-        if (!discordResponse.ok && discordResponse.status !== 206) {
-            return new Response('Error fetching file from Discord', { status: 502 });
-        }
-
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        headers.set('Content-Type', mimeType);
-        headers.set('Accept-Ranges', 'bytes');
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
-
-        const cl = discordResponse.headers.get('Content-Length');
-        if (cl) headers.set('Content-Length', cl);
-        const cr = discordResponse.headers.get('Content-Range');
-        if (cr) headers.set('Content-Range', cr);
-
-        return new Response(discordResponse.body, {
-            status: discordResponse.status,
-            headers
-        });
-    } catch (error) {
-        console.error('Discord fetch error:', error);
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        return new Response('Error fetching file from Discord: ' + error.message, { status: 500, headers });
-    }
-}
-
-// --- HuggingFace 文件处理 ---
-async function handleHFFile(context, fileId, record = null) {
-    const { request, env } = context;
-
-    if (request.method === 'OPTIONS') return handleOptions();
-
-    try {
-        // 获取 KV 记录
-        if (!record || !record.metadata) {
-            if (env.img_url) {
-                const prefixes = ['hf:', 'img:', 'vid:', 'aud:', 'doc:', ''];
-                for (const prefix of prefixes) {
-                    record = await env.img_url.getWithMetadata(`${prefix}${fileId}`);
-                    if (record?.metadata) break;
-                }
-            }
-        }
-        if (!record?.metadata) {
-            const headers = new Headers();
-            addCorsHeaders(headers);
-            return new Response('File not found', { status: 404, headers });
-        }
-
-        // 访问控制
-        if (record.metadata.ListType === 'Block' || record.metadata.Label === 'adult') {
-            const url = new URL(request.url);
-            return Response.redirect(`${url.origin}/block-img.html`, 302);
-        }
-
-        const hfPath = record.metadata.hfPath;
-        if (!hfPath) {
-            return new Response('HuggingFace path not found in metadata', { status: 500 });
-        }
-
-        const fileName = record.metadata.fileName || fileId;
-        const mimeType = getMimeType(fileName);
-        const rangeHeader = request.headers.get('Range');
-
-        const hfResponse = await getHuggingFaceFile(hfPath, env, rangeHeader ? { range: rangeHeader } : {});
-
-        if (!hfResponse.ok && hfResponse.status !== 206) {
-            return new Response('File not found on HuggingFace', { status: 404 });
-        }
-
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        headers.set('Content-Type', mimeType);
-        headers.set('Accept-Ranges', 'bytes');
-        headers.set('Cache-Control', 'no-store, max-age=0');
-        headers.set('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
-
-        const cl = hfResponse.headers.get('Content-Length');
-        if (cl) headers.set('Content-Length', cl);
-        const cr = hfResponse.headers.get('Content-Range');
-        if (cr) headers.set('Content-Range', cr);
-
-        return new Response(hfResponse.body, {
-            status: hfResponse.status,
-            headers
-        });
-    } catch (error) {
-        console.error('HuggingFace fetch error:', error);
-        const headers = new Headers();
-        addCorsHeaders(headers);
-        return new Response('Error fetching file from HuggingFace: ' + error.message, { status: 500, headers });
-    }
-}
\ No newline at end of file
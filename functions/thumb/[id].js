@@ -0,0 +1,126 @@
+import { getRecordWithKey, getFileType } from '../utils/storage.js';
+import { isExpired } from '../utils/expiry.js';
+import { isViewLimitReached } from '../utils/view-limit.js';
+import { checkFileAccess } from '../utils/file-password.js';
+import { checkSignedAccess } from '../utils/signed-url.js';
+import { getThumbnail, generateThumbnail, watermarkThumbnail, THUMBNAIL_TYPE } from '../utils/thumbnails.js';
+import { getServeWatermark } from '../utils/watermark.js';
+
+// 缩略图：/thumb/:id
+// 访问控制与 /file/:id 一致；限制访问次数的文件不提供缩略图，避免绕过计数
+// 无法生成缩略图的图片（GIF、SVG、过大的原图等）重定向到原图，其他文件返回 404
+// 图片缩略图与原图一样按访问时水印设置添加水印
+
+function addCorsHeaders(headers) {
+    headers.set('Access-Control-Allow-Origin', '*');
+    headers.set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    headers.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Origin');
+    headers.set('CDN-Cache-Control', 'no-store');
+    return headers;
+}
+
+function textResponse(message, status) {
+    const headers = new Headers();
+    addCorsHeaders(headers);
+    headers.set('Cache-Control', 'no-store, max-age=0');
+    return new Response(message, { status, headers });
+}
+
+export async function onRequest(context) {
+    const { request, env, params } = context;
+
+    if (request.method === 'OPTIONS') {
+        const headers = new Headers();
+        addCorsHeaders(headers);
+        headers.set('Access-Control-Max-Age', '86400');
+        return new Response(null, { status: 204, headers });
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return textResponse('Method not allowed', 405);
+    }
+    if (!env.img_url) {
+        return textResponse('Thumbnails require KV', 404);
+    }
+
+    const url = new URL(request.url);
+    const fileId = params.id;
+    const { record, kvKey } = await getRecordWithKey(env.img_url, fileId);
+    if (!record || !record.metadata || record.metadata.trashedAt) {
+        return textResponse('File not found', 404);
+    }
+    if (isExpired(record.metadata)) {
+        return textResponse('File expired', 410);
+    }
+    if (isViewLimitReached(record.metadata)) {
+        return textResponse('View limit reached', 410);
+    }
+    if (record.metadata.maxViews) {
+        return textResponse('Thumbnail not available', 404);
+    }
+
+    const entry = { key: kvKey, metadata: record.metadata };
+
+    const signed = await checkSignedAccess(context, kvKey, entry.metadata);
+    if (!signed.allowed) {
+        return textResponse(signed.reason, signed.status);
+    }
+    const access = signed.signed ? { allowed: true } : await checkFileAccess(context, kvKey, entry.metadata);
+    if (!access.allowed) {
+        return textResponse(access.wrongPassword ? 'Wrong password' : 'Password required', access.wrongPassword ? 403 : 401);
+    }
+
+    // 屏蔽内容与白名单模式的处理同 /file/:id
+    const listType = entry.metadata.ListType || 'None';
+    if (listType !== 'White') {
+        const referer = request.headers.get('Referer');
+        if (listType === 'Block' || entry.metadata.Label === 'adult') {
+            if (!referer?.includes(`${url.origin}/admin`)) {
+                const redirectUrl = referer ? 'https://static-res.pages.dev/teleimage/img-block-compressed.png' : `${url.origin}/block-img.html`;
+                return Response.redirect(redirectUrl, 302);
+            }
+        } else if (env.WhiteList_Mode === 'true') {
+            return Response.redirect(`${url.origin}/whitelist-on.html`, 302);
+        }
+    }
+
+    let thumbnail = await getThumbnail(env, kvKey, entry.metadata);
+    if (!thumbnail && entry.metadata.thumbnail !== 'none') {
+        // 旧文件或上传时生成失败：现在生成
+        try {
+            thumbnail = await generateThumbnail(env, entry);
+        } catch (error) {
+            console.error('Thumbnail generation failed:', error);
+            return textResponse('Error generating thumbnail: ' + error.message, 502);
+        }
+    }
+
+    const isImage = getFileType(entry.metadata.fileName || kvKey) === 'image';
+    if (!thumbnail) {
+        if (isImage) {
+            return Response.redirect(`${url.origin}/file/${fileId}${url.search}`, 302);
+        }
+        return textResponse('Thumbnail not available', 404);
+    }
+
+    const watermark = isImage ? await getServeWatermark(context, entry.metadata) : null;
+    if (watermark) {
+        try {
+            thumbnail = await watermarkThumbnail(thumbnail, watermark);
+        } catch (error) {
+            // 加水印失败时不返回原缩略图
+            console.error('Thumbnail watermark failed:', error);
+            return textResponse('Watermark failed', 502);
+        }
+    }
+
+    const headers = new Headers();
+    addCorsHeaders(headers);
+    headers.set('Content-Type', THUMBNAIL_TYPE);
+    headers.set('Content-Length', String(thumbnail.byteLength));
+    // 与原文件一致不做缓存，删除或屏蔽后立即生效
+    headers.set('Cache-Control', 'no-store, max-age=0');
+    if (access.setCookie) {
+        headers.append('Set-Cookie', access.setCookie);
+    }
+    return new Response(request.method === 'HEAD' ? null : thumbnail, { status: 200, headers });
+}
@@ -1,9 +1,15 @@
 import { errorHandling, telemetryData } from "./utils/middleware";
 import { checkAuthentication, isAuthRequired } from "./utils/auth.js";
 import { checkGuestUpload, incrementGuestCount } from "./utils/guest.js";
-import { createS3Client } from "./utils/s3client.js";
-import { uploadToDiscord } from "./utils/discord.js";
-import { uploadToHuggingFace } from "./utils/huggingface.js";
+import { storeFile, isKnownBackend, DEFAULT_BACKEND } from "./utils/backends/index.js";
+import { scheduleThumbnail } from "./utils/thumbnails.js";
+import { normalizeTags, MAX_TAGS } from "./utils/tags.js";
+import { parseExpiry } from "./utils/expiry.js";
+import { parseViewLimit } from "./utils/view-limit.js";
+import { normalizePassword, hashPassword } from "./utils/file-password.js";
+import { resolveStripOptions, sanitizeUpload } from "./utils/strip-metadata.js";
+import { parseCompressOptions, compressUpload } from "./utils/upload-compress.js";
+import { loadWatermark } from "./utils/watermark.js";
 
 export async function onRequestPost(context) {
     const { request, env } = context;
@@ -20,9 +26,6 @@ export async function onRequestPost(context) {
             throw new Error('No file uploaded');
         }
 
-        const fileName = uploadFile.name;
-        const fileExtension = fileName.split('.').pop().toLowerCase();
-
         // --- 访客权限检查 ---
         const isAdmin = await isUserAuthenticated(context);
         if (!isAdmin) {
@@ -35,50 +38,87 @@ export async function onRequestPost(context) {
             }
         }
 
-        // 获取存储模式 - 默认使用 telegram
-        const storageMode = formData.get('storageMode') || 'telegram';
+        // 获取存储模式 - 未知模式默认使用 telegram
+        const requestedMode = formData.get('storageMode');
+        const storageMode = isKnownBackend(requestedMode) ? requestedMode : DEFAULT_BACKEND;
 
-        let result;
+        // 可选的副本后端，逗号分隔，如 "r2,s3"
+        const replicas = formData.get('replicas') ?? undefined;
 
-        // --- 根据存储模式分发 ---
-        if (storageMode === 'r2') {
-            if (!env.R2_BUCKET) {
-                return errorResponse('R2 未配置或未启用，无法上传');
-            }
-            result = await uploadToR2(uploadFile, fileName, fileExtension, env);
-        } else if (storageMode === 's3') {
-            if (!env.S3_ENDPOINT || !env.S3_ACCESS_KEY_ID) {
-                return errorResponse('S3 未配置，无法上传');
-            }
-            result = await uploadToS3(uploadFile, fileName, fileExtension, env);
-        } else if (storageMode === 'discord') {
-            if (!env.DISCORD_WEBHOOK_URL && !env.DISCORD_BOT_TOKEN) {
-                return errorResponse('Discord 未配置，无法上传');
-            }
-            result = await uploadToDiscordStorage(uploadFile, fileName, fileExtension, env);
-        } else if (storageMode === 'huggingface') {
-            if (!env.HF_TOKEN || !env.HF_REPO) {
-                return errorResponse('HuggingFace 未配置，无法上传');
-            }
-            result = await uploadToHFStorage(uploadFile, fileName, fileExtension, env);
-        } else {
-            // 默认上传到 Telegram
-            result = await uploadToTelegramStorage(uploadFile, fileName, fileExtension, env);
+        // 可选的标签，逗号分隔
+        const tags = normalizeTags(formData.get('tags'));
+        if (tags.length > MAX_TAGS) {
+            return errorResponse(`每个文件最多 ${MAX_TAGS} 个标签`, 400);
         }
 
-        // 如果返回的已经是 Response 对象，直接返回
-        if (result instanceof Response) {
-            // 访客计数（仅成功时）
-            if (!isAdmin) {
-                const status = result.status;
-                if (status >= 200 && status < 300) {
-                    await incrementGuestCount(request, env);
-                }
-            }
-            return result;
+        // 可选的过期时间：expiresIn（秒数或 30m、12h、7d）或 expiresAt（时间戳或日期）
+        // 可选的访问次数限制：maxViews、burnAfterReading（阅后即焚）
+        // 可选的访问密码：password；private 为 true 时只能通过签名链接访问
+        let expiresAt;
+        let viewLimit;
+        let password;
+        try {
+            expiresAt = parseExpiry({
+                expiresIn: formData.get('expiresIn'),
+                expiresAt: formData.get('expiresAt')
+            });
+            viewLimit = parseViewLimit({
+                maxViews: formData.get('maxViews'),
+                burnAfterReading: formData.get('burnAfterReading')
+            });
+            password = normalizePassword(formData.get('password'));
+        } catch (error) {
+            return errorResponse(error.message, 400);
+        }
+
+        // 可选的隐私清理：stripExif 清除 EXIF/GPS/XMP/IPTC，keepOrientation 保留方向（默认值见环境变量）
+        // 可选的压缩：compress、maxWidth、targetFormat、quality，在清理之后重新编码；上传时水印在同一次编码中写入
+        let sanitized;
+        let compressed;
+        try {
+            sanitized = await sanitizeUpload(uploadFile, resolveStripOptions(env, {
+                stripExif: formData.get('stripExif'),
+                keepOrientation: formData.get('keepOrientation')
+            }));
+            compressed = await compressUpload(sanitized.file, parseCompressOptions({
+                compress: formData.get('compress'),
+                maxWidth: formData.get('maxWidth'),
+                targetFormat: formData.get('targetFormat'),
+                quality: formData.get('quality')
+            }), await loadWatermark(env, 'upload'));
+        } catch (error) {
+            return errorResponse(error.message, 400);
+        }
+        const file = compressed.file;
+
+        const extraMetadata = {
+            ...(tags.length ? { tags } : {}),
+            ...(expiresAt ? { expiresAt } : {}),
+            ...viewLimit,
+            ...(password ? { passwordHash: await hashPassword(password) } : {}),
+            ...(isTruthy(formData.get('private')) ? { private: true } : {}),
+            ...(sanitized.sanitized ? { sanitized: true } : {}),
+            ...compressed.compression,
+            ...(compressed.watermarked ? { watermarked: true } : {})
+        };
+
+        const stored = await storeFile(env, file, {
+            storageMode,
+            replicas,
+            fileName: file.name,
+            extraMetadata
+        });
+        scheduleThumbnail(context, stored, file);
+
+        // 访客计数（仅成功时）
+        if (!isAdmin) {
+            await incrementGuestCount(request, env);
         }
 
-        return result;
+        return new Response(
+            JSON.stringify([{ 'src': stored.src, ...uploadSummary(stored) }]),
+            { status: 200, headers: { 'Content-Type': 'application/json' } }
+        );
     } catch (error) {
         console.error('Upload error:', error);
         return errorResponse(error.message);
@@ -97,296 +137,50 @@ async function isUserAuthenticated(context) {
     }
 }
 
-function errorResponse(message, status = 500) {
-    return new Response(
-        JSON.stringify({ error: message }),
-        { status, headers: { 'Content-Type': 'application/json' } }
-    );
-}
-
-// --- Telegram 上传 ---
-async function uploadToTelegramStorage(uploadFile, fileName, fileExtension, env) {
-    const telegramFormData = new FormData();
-    telegramFormData.append("chat_id", env.TG_Chat_ID);
-
-    let apiEndpoint;
-    if (uploadFile.type.startsWith('image/')) {
-        telegramFormData.append("photo", uploadFile);
-        apiEndpoint = 'sendPhoto';
-    } else if (uploadFile.type.startsWith('audio/')) {
-        telegramFormData.append("audio", uploadFile);
-        apiEndpoint = 'sendAudio';
-    } else if (uploadFile.type.startsWith('video/')) {
-        telegramFormData.append("video", uploadFile);
-        apiEndpoint = 'sendVideo';
-    } else {
-        telegramFormData.append("document", uploadFile);
-        apiEndpoint = 'sendDocument';
+// 附加的上传结果：去重、过期时间、访问次数、密码、元数据清理、压缩、水印、副本（仅在相应功能生效时返回）
+function uploadSummary(stored) {
+    const summary = {};
+    if (stored.duplicate) {
+        summary.duplicate = true;
     }
-
-    const result = await sendToTelegram(telegramFormData, apiEndpoint, env);
-
-    if (!result.success) {
-        throw new Error(result.error);
+    if (stored.metadata.expiresAt) {
+        summary.expiresAt = stored.metadata.expiresAt;
     }
-
-    const fileId = getFileId(result.data);
-    const messageId = result.messageId || result.data?.result?.message_id;
-
-    if (!fileId) {
-        throw new Error('Failed to get file ID');
+    if (stored.metadata.maxViews) {
+        summary.maxViews = stored.metadata.maxViews;
     }
-
-    if (env.img_url) {
-        await env.img_url.put(`${fileId}.${fileExtension}`, "", {
-            metadata: {
-                TimeStamp: Date.now(),
-                ListType: "None",
-                Label: "None",
-                liked: false,
-                fileName: fileName,
-                fileSize: uploadFile.size,
-                storageType: 'telegram',
-                telegramMessageId: messageId || undefined,
-            }
-        });
+    if (stored.metadata.passwordHash) {
+        summary.passwordProtected = true;
     }
-
-    return new Response(
-        JSON.stringify([{ 'src': `/file/${fileId}.${fileExtension}` }]),
-        { status: 200, headers: { 'Content-Type': 'application/json' } }
-    );
-}
-
-function getFileId(response) {
-    if (!response.ok || !response.result) return null;
-
-    const result = response.result;
-    if (result.photo) {
-        return result.photo.reduce((prev, current) =>
-            (prev.file_size > current.file_size) ? prev : current
-        ).file_id;
+    if (stored.metadata.private) {
+        summary.private = true;
     }
-    if (result.document) return result.document.file_id;
-    if (result.video) return result.video.file_id;
-    if (result.audio) return result.audio.file_id;
-
-    return null;
-}
-
-async function sendToTelegram(formData, apiEndpoint, env, retryCount = 0) {
-    const MAX_RETRIES = 3;
-    const apiUrl = `https://api.telegram.org/bot${env.TG_Bot_Token}/${apiEndpoint}`;
-
-    try {
-        // 使用 AbortController 添加 30 秒超时
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 30000);
-
-        let response;
-        try {
-            response = await fetch(apiUrl, {
-                method: "POST",
-                body: formData,
-                signal: controller.signal
-            });
-        } finally {
-            clearTimeout(timeout);
-        }
-
-        const responseData = await response.json();
-
-        if (response.ok) {
-            return { success: true, data: responseData, messageId: responseData?.result?.message_id };
-        }
-
-        // 处理 429 速率限制
-        if (response.status === 429) {
-            const retryAfter = responseData.parameters?.retry_after || 5;
-            console.log(`Rate limited, retrying after ${retryAfter}s...`);
-            if (retryCount < MAX_RETRIES) {
-                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-                return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
-            }
-            return { success: false, error: `速率限制，请 ${retryAfter} 秒后重试` };
-        }
-
-        // 处理 413 文件过大
-        if (response.status === 413) {
-            return { success: false, error: 'Telegram 限制：文件大小不能超过 20MB' };
-        }
-
-        // 图片/音频上传失败时转为文档方式重试
-        if (retryCount < MAX_RETRIES && (apiEndpoint === 'sendPhoto' || apiEndpoint === 'sendAudio')) {
-            console.log(`Retrying ${apiEndpoint} as document...`);
-            const newFormData = new FormData();
-            newFormData.append('chat_id', formData.get('chat_id'));
-            const fileField = apiEndpoint === 'sendPhoto' ? 'photo' : 'audio';
-            newFormData.append('document', formData.get(fileField));
-            return await sendToTelegram(newFormData, 'sendDocument', env, retryCount + 1);
-        }
-
-        return {
-            success: false,
-            error: responseData.description || 'Upload to Telegram failed'
-        };
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('Telegram API request timed out');
-            if (retryCount < MAX_RETRIES) {
-                await new Promise(resolve => setTimeout(resolve, 2000 * (retryCount + 1)));
-                return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
-            }
-            return { success: false, error: '上传超时，请重试' };
-        }
-
-        console.error('Network error:', error);
-        if (retryCount < MAX_RETRIES) {
-            // 指数退避: 1s, 2s, 4s
-            await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retryCount)));
-            return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
-        }
-        return { success: false, error: '网络错误，请检查网络连接后重试' };
+    if (stored.metadata.sanitized) {
+        summary.sanitized = true;
     }
-}
-
-// --- R2 上传 ---
-async function uploadToR2(file, fileName, fileExtension, env) {
-    try {
-        const fileId = `r2_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-        const objectKey = `${fileId}.${fileExtension}`;
-        const arrayBuffer = await file.arrayBuffer();
-
-        await env.R2_BUCKET.put(objectKey, arrayBuffer, {
-            httpMetadata: { contentType: file.type },
-            customMetadata: { fileName: fileName, uploadTime: Date.now().toString() }
-        });
-
-        if (env.img_url) {
-            await env.img_url.put(`r2:${objectKey}`, "", {
-                metadata: {
-                    TimeStamp: Date.now(),
-                    ListType: "None", Label: "None", liked: false,
-                    fileName: fileName, fileSize: file.size,
-                    storageType: 'r2', r2Key: objectKey
-                }
-            });
-        }
-
-        return new Response(
-            JSON.stringify([{ 'src': `/file/r2:${objectKey}` }]),
-            { status: 200, headers: { 'Content-Type': 'application/json' } }
-        );
-    } catch (error) {
-        console.error('R2 upload error:', error);
-        return errorResponse('R2 上传失败: ' + error.message);
+    if (stored.metadata.originalSize) {
+        summary.originalSize = stored.metadata.originalSize;
+        summary.storedSize = stored.metadata.fileSize;
     }
-}
-
-// --- S3 上传 ---
-async function uploadToS3(file, fileName, fileExtension, env) {
-    try {
-        const s3 = createS3Client(env);
-        const fileId = `s3_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-        const objectKey = `${fileId}.${fileExtension}`;
-        const arrayBuffer = await file.arrayBuffer();
-
-        await s3.putObject(objectKey, arrayBuffer, {
-            contentType: file.type || 'application/octet-stream',
-            metadata: { 'x-amz-meta-filename': fileName, 'x-amz-meta-uploadtime': Date.now().toString() }
-        });
-
-        if (env.img_url) {
-            await env.img_url.put(`s3:${objectKey}`, "", {
-                metadata: {
-                    TimeStamp: Date.now(),
-                    ListType: "None", Label: "None", liked: false,
-                    fileName: fileName, fileSize: file.size,
-                    storageType: 's3', s3Key: objectKey
-                }
-            });
-        }
-
-        return new Response(
-            JSON.stringify([{ 'src': `/file/s3:${objectKey}` }]),
-            { status: 200, headers: { 'Content-Type': 'application/json' } }
-        );
-    } catch (error) {
-        console.error('S3 upload error:', error);
-        return errorResponse('S3 上传失败: ' + error.message);
+    if (stored.metadata.watermarked) {
+        summary.watermarked = true;
     }
-}
-
-// --- Discord 上传 ---
-async function uploadToDiscordStorage(file, fileName, fileExtension, env) {
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        const result = await uploadToDiscord(arrayBuffer, fileName, file.type, env);
-
-        if (!result.success) {
-            return errorResponse('Discord 上传失败: ' + result.error);
-        }
-
-        const fileId = `discord_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-        const kvKey = `discord:${fileId}.${fileExtension}`;
-
-        if (env.img_url) {
-            await env.img_url.put(kvKey, "", {
-                metadata: {
-                    TimeStamp: Date.now(),
-                    ListType: "None", Label: "None", liked: false,
-                    fileName: fileName, fileSize: file.size,
-                    storageType: 'discord',
-                    discordChannelId: result.channelId,
-                    discordMessageId: result.messageId,
-                    discordAttachmentId: result.attachmentId,
-                }
-            });
-        }
-
-        return new Response(
-            JSON.stringify([{ 'src': `/file/${kvKey}` }]),
-            { status: 200, headers: { 'Content-Type': 'application/json' } }
-        );
-    } catch (error) {
-        console.error('Discord upload error:', error);
-        return errorResponse('Discord 上传失败: ' + error.message);
+    if (stored.metadata.replicas) {
+        summary.replicas = stored.metadata.replicas.map(replica => replica.storageType);
+    }
+    if (stored.replicaErrors.length) {
+        summary.replicaErrors = stored.replicaErrors;
     }
+    return summary;
 }
 
-// --- HuggingFace 上传 ---
-async function uploadToHFStorage(file, fileName, fileExtension, env) {
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        const fileId = `hf_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-        const hfPath = `uploads/${fileId}.${fileExtension}`;
-
-        const result = await uploadToHuggingFace(arrayBuffer, hfPath, fileName, env);
-
-        if (!result.success) {
-            return errorResponse('HuggingFace 上传失败: ' + result.error);
-        }
-
-        const kvKey = `hf:${fileId}.${fileExtension}`;
-
-        if (env.img_url) {
-            await env.img_url.put(kvKey, "", {
-                metadata: {
-                    TimeStamp: Date.now(),
-                    ListType: "None", Label: "None", liked: false,
-                    fileName: fileName, fileSize: file.size,
-                    storageType: 'huggingface',
-                    hfPath: hfPath
-                }
-            });
-        }
+function isTruthy(value) {
+    return ['true', '1', 'on'].includes(String(value).toLowerCase());
+}
 
-        return new Response(
-            JSON.stringify([{ 'src': `/file/${kvKey}` }]),
-            { status: 200, headers: { 'Content-Type': 'application/json' } }
-        );
-    } catch (error) {
-        console.error('HuggingFace upload error:', error);
-        return errorResponse('HuggingFace 上传失败: ' + error.message);
-    }
-}
\ No newline at end of file
+function errorResponse(message, status = 500) {
+    return new Response(
+        JSON.stringify({ error: message }),
+        { status, headers: { 'Content-Type': 'application/json' } }
+    );
+}
@@ -0,0 +1,77 @@
+/**
+ * 相册存储
+ * 每个相册保存为一条 `album:${id}` 记录，值为 JSON：
+ * { id, name, description, cover, files: [kvKey, ...], createdAt, updatedAt }
+ * files 的顺序即相册内的展示顺序，同一文件可以属于多个相册
+ */
+import { KEY_PREFIXES } from './storage.js';
+
+export const MAX_ALBUM_NAME_LENGTH = 100;
+
+function albumKey(id) {
+  return `${KEY_PREFIXES.ALBUM}${id}`;
+}
+
+export function generateAlbumId() {
+  const array = new Uint8Array(6);
+  crypto.getRandomValues(array);
+  return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 读取相册，不存在时返回 null
+ * @param {KVNamespace} kv KV 命名空间
+ * @param {string} id 相册 ID
+ */
+export async function getAlbum(kv, id) {
+  if (!id) return null;
+  return await kv.get(albumKey(id), { type: 'json' });
+}
+
+/**
+ * 保存相册，metadata 中冗余名称和文件数，列出相册时无需逐个读取
+ */
+export async function saveAlbum(kv, album) {
+  album.updatedAt = Date.now();
+  await kv.put(albumKey(album.id), JSON.stringify(album), {
+    metadata: { name: album.name, count: album.files.length, cover: album.cover || album.files[0] || null }
+  });
+  return album;
+}
+
+export async function deleteAlbum(kv, id) {
+  await kv.delete(albumKey(id));
+}
+
+/**
+ * 列出所有相册的摘要信息
+ * @returns {Promise<Array<{ id, name, count, cover }>>}
+ */
+export async function listAlbums(kv) {
+  const albums = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: KEY_PREFIXES.ALBUM, cursor });
+    for (const key of page.keys) {
+      albums.push({ id: key.name.slice(KEY_PREFIXES.ALBUM.length), ...key.metadata });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return albums;
+}
+
+/**
+ * 文件删除后将其从所有相册中移除
+ * @param {KVNamespace} kv KV 命名空间
+ * @param {string[]} kvKeys 已删除文件的 KV Key
+ */
+export async function removeFilesFromAllAlbums(kv, kvKeys) {
+  const removed = new Set(kvKeys);
+  for (const summary of await listAlbums(kv)) {
+    const album = await getAlbum(kv, summary.id);
+    if (!album || !album.files.some(key => removed.has(key))) continue;
+    album.files = album.files.filter(key => !removed.has(key));
+    if (removed.has(album.cover)) album.cover = null;
+    await saveAlbum(kv, album);
+  }
+}
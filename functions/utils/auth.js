@@ -157,3 +157,12 @@ export async function checkAuthentication(context) {
   
   return { authenticated: false };
 }
+
+/**
+ * 请求是否来自已登录的管理员
+ * 与 checkAuthentication 不同，未配置认证时返回 false，用于受保护文件的访问判断
+ */
+export async function isAdminRequest(context) {
+  if (!isAuthRequired(context.env)) return false;
+  return (await checkAuthentication(context)).authenticated;
+}
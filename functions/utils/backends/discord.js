@@ -0,0 +1,86 @@
+/**
+ * Discord 存储后端
+ * KV Key 为 `discord:${id}`，文件通过消息 API 刷新附件 URL 后代理
+ */
+import { StorageBackend } from '../storage.js';
+import {
+    uploadToDiscord,
+    getDiscordFileUrl,
+    deleteDiscordMessage,
+    checkDiscordConnection
+} from '../discord.js';
+
+export class DiscordBackend extends StorageBackend {
+    constructor(env) {
+        super(env, 'discord', 'Discord', 'discord:');
+        this.metadataFields = ['discordChannelId', 'discordMessageId', 'discordAttachmentId'];
+    }
+
+    isConfigured() {
+        return Boolean(this.env.DISCORD_WEBHOOK_URL || this.env.DISCORD_BOT_TOKEN);
+    }
+
+    async upload(file, { fileName, fileExtension }) {
+        const arrayBuffer = await file.arrayBuffer();
+        const result = await uploadToDiscord(arrayBuffer, fileName, file.type, this.env);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return {
+            key: `discord:${this.generateObjectId('discord')}.${fileExtension}`,
+            metadata: {
+                discordChannelId: result.channelId,
+                discordMessageId: result.messageId,
+                discordAttachmentId: result.attachmentId,
+            }
+        };
+    }
+
+    async get(entry, options = {}) {
+        const { discordChannelId, discordMessageId } = entry.metadata || {};
+        if (!discordChannelId || !discordMessageId) {
+            return new Response('Discord metadata incomplete', { status: 500 });
+        }
+
+        // 从 Discord API 获取最新的文件 URL（CDN URL 会过期，不能直接重定向）
+        const fileInfo = await getDiscordFileUrl(discordChannelId, discordMessageId, this.env);
+        if (!fileInfo) {
+            return new Response('File not found on Discord', { status: 404 });
+        }
+
+        const fetchHeaders = {};
+        if (options.range) fetchHeaders['Range'] = options.range;
+
+        const response = await fetch(fileInfo.url, { headers: fetchHeaders });
+        if (!response.ok && response.status !== 206) {
+            return new Response('Error fetching file from Discord', { status: 502 });
+        }
+        return response;
+    }
+
+    async head(entry) {
+        const { discordChannelId, discordMessageId } = entry.metadata || {};
+        if (!discordChannelId || !discordMessageId) return null;
+        const fileInfo = await getDiscordFileUrl(discordChannelId, discordMessageId, this.env);
+        return fileInfo ? { size: fileInfo.size, contentType: fileInfo.contentType } : null;
+    }
+
+    async delete(entry) {
+        const { discordChannelId, discordMessageId } = entry.metadata || {};
+        if (!discordChannelId || !discordMessageId) return false;
+        return await deleteDiscordMessage(discordChannelId, discordMessageId, this.env);
+    }
+
+    async health() {
+        const result = await checkDiscordConnection(this.env);
+        return {
+            connected: result.connected,
+            enabled: result.connected,
+            message: result.connected
+                ? `已连接 (${result.mode}) - ${result.name}`
+                : '连接失败',
+            mode: result.mode
+        };
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * HuggingFace Datasets 存储后端
+ * KV Key 为 `hf:${id}`，仓库内路径记录在 metadata.hfPath
+ */
+import { StorageBackend } from '../storage.js';
+import {
+    uploadToHuggingFace,
+    getHuggingFaceFile,
+    deleteHuggingFaceFile,
+    checkHuggingFaceConnection
+} from '../huggingface.js';
+
+export class HuggingFaceBackend extends StorageBackend {
+    constructor(env) {
+        super(env, 'huggingface', 'HuggingFace', 'hf:');
+        this.metadataFields = ['hfPath'];
+    }
+
+    isConfigured() {
+        return Boolean(this.env.HF_TOKEN && this.env.HF_REPO);
+    }
+
+    async upload(file, { fileName, fileExtension }) {
+        const arrayBuffer = await file.arrayBuffer();
+        const objectId = this.generateObjectId('hf');
+        const hfPath = `uploads/${objectId}.${fileExtension}`;
+
+        const result = await uploadToHuggingFace(arrayBuffer, hfPath, fileName, this.env);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return {
+            key: `hf:${objectId}.${fileExtension}`,
+            metadata: { hfPath }
+        };
+    }
+
+    async get(entry, options = {}) {
+        const hfPath = entry.metadata?.hfPath;
+        if (!hfPath) {
+            return new Response('HuggingFace path not found in metadata', { status: 500 });
+        }
+
+        const response = await getHuggingFaceFile(hfPath, this.env, options.range ? { range: options.range } : {});
+        if (!response.ok && response.status !== 206) {
+            return new Response('File not found on HuggingFace', { status: 404 });
+        }
+        return response;
+    }
+
+    async head(entry) {
+        const hfPath = entry.metadata?.hfPath;
+        if (!hfPath) return null;
+        const response = await getHuggingFaceFile(hfPath, this.env, { method: 'HEAD' });
+        if (!response.ok) return null;
+        return {
+            size: parseInt(response.headers.get('Content-Length') || '0', 10),
+            contentType: response.headers.get('Content-Type')
+        };
+    }
+
+    async delete(entry) {
+        if (!entry.metadata?.hfPath) return false;
+        return await deleteHuggingFaceFile(entry.metadata.hfPath, this.env);
+    }
+
+    async health() {
+        const result = await checkHuggingFaceConnection(this.env);
+        return {
+            connected: result.connected,
+            enabled: result.connected,
+            message: result.connected
+                ? `已连接 - ${result.repoId}${result.isPrivate ? ' (私有)' : ''}`
+                : '连接失败'
+        };
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * 存储后端注册表
+ * 上传、读取、删除、状态检查统一通过这里分发到具体后端
+ * 新增后端：在本目录实现一个 StorageBackend 子类，并在 BACKENDS 中注册
+ */
+import { TelegramBackend } from './telegram.js';
+import { R2Backend } from './r2.js';
+import { S3Backend } from './s3.js';
+import { DiscordBackend } from './discord.js';
+import { HuggingFaceBackend } from './huggingface.js';
+import { sha256Hex, hashIndexKey, metadataSize, MAX_METADATA_SIZE } from '../storage.js';
+import { updateFileIndex, removeFileIndex, toIndexMetadata } from '../file-index.js';
+import { readImageInfo } from '../image-metadata.js';
+
+const BACKENDS = {
+    telegram: TelegramBackend,
+    r2: R2Backend,
+    s3: S3Backend,
+    discord: DiscordBackend,
+    huggingface: HuggingFaceBackend,
+};
+
+export const DEFAULT_BACKEND = 'telegram';
+
+/**
+ * 所有已注册的后端类型
+ */
+export function getBackendTypes() {
+    return Object.keys(BACKENDS);
+}
+
+export function isKnownBackend(type) {
+    return Object.prototype.hasOwnProperty.call(BACKENDS, type);
+}
+
+/**
+ * 按类型创建后端实例
+ */
+export function getBackend(type, env) {
+    const Backend = BACKENDS[type];
+    if (!Backend) {
+        throw new Error(`未知的存储后端: ${type}`);
+    }
+    return new Backend(env);
+}
+
+/**
+ * 判断 KV 记录所属的存储后端
+ * 优先使用 metadata.storageType，其次旧字段 storage，最后按 Key 前缀推断
+ * @param {{ key: string, metadata?: object }} entry
+ */
+export function resolveStorageType(entry) {
+    const metadata = entry.metadata || {};
+    const declared = metadata.storageType || metadata.storage;
+    if (declared && isKnownBackend(declared)) {
+        return declared;
+    }
+
+    for (const type of getBackendTypes()) {
+        const prefix = new BACKENDS[type]({}).keyPrefix;
+        if (prefix && entry.key.startsWith(prefix)) {
+            return type;
+        }
+    }
+    return DEFAULT_BACKEND;
+}
+
+/**
+ * 获取 KV 记录对应的后端实例
+ */
+export function getBackendForEntry(entry, env) {
+    return getBackend(resolveStorageType(entry), env);
+}
+
+/**
+ * 解析副本后端列表（数组或逗号分隔字符串），去重并排除主后端和未知后端
+ * @param {string|string[]} value 如 "r2,s3"
+ * @param {string} primary 主后端类型
+ * @returns {string[]}
+ */
+export function parseReplicaList(value, primary) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const types = list.map(type => String(type).trim()).filter(Boolean);
+    return [...new Set(types)].filter(type => type !== primary && isKnownBackend(type));
+}
+
+/**
+ * 获取一个文件的所有副本（主副本在前）
+ * 副本记录在 metadata.replicas 中，每项为 { key, storageType, ...后端专属字段 }
+ * 迁移过的文件保留原 KV Key，后端侧的 Key 记录在 metadata.storageKey
+ * @returns {Array<{ key: string, metadata: object }>}
+ */
+export function getReplicaEntries(entry) {
+    const replicas = Array.isArray(entry.metadata?.replicas) ? entry.metadata.replicas : [];
+    return [
+        { key: entry.metadata?.storageKey || entry.key, metadata: entry.metadata || {} },
+        ...replicas.map(replica => ({ key: replica.key, metadata: replica }))
+    ];
+}
+
+/**
+ * 依次从各副本读取文件，主副本返回 404/5xx 或抛错时切换到下一个
+ * @returns {Promise<{ response: Response, backend: StorageBackend }>} 全部失败时返回最后一个结果
+ */
+export async function getWithFailover(entry, env, options = {}) {
+    const candidates = getReplicaEntries(entry);
+    let last = null;
+
+    for (const candidate of candidates) {
+        const backend = getBackendForEntry(candidate, env);
+        if (candidates.length > 1 && !backend.isConfigured()) {
+            continue;
+        }
+
+        try {
+            const response = await backend.get(candidate, options);
+            if (response.status !== 404 && response.status < 500) {
+                return { response, backend };
+            }
+            console.warn(`${backend.label} replica returned ${response.status}, trying next replica`);
+            last = { response, backend };
+        } catch (error) {
+            console.error(`${backend.label} replica fetch error:`, error);
+            last = { error, backend };
+        }
+    }
+
+    if (last?.error) {
+        throw last.error;
+    }
+    if (!last) {
+        throw new Error('No configured backend holds this file');
+    }
+    return last;
+}
+
+/**
+ * 删除文件的所有副本，逐个返回结果（不抛错）
+ * @param {{ skip?: number[] }} options 已删除的副本在 getReplicaEntries 中的序号，不再重复删除
+ * @returns {Promise<Array<{ index: number, storageType: string, key: string, deleted: boolean, error: string|null }>>}
+ */
+export async function deleteAllReplicas(entry, env, { skip = [] } = {}) {
+    const results = [];
+    for (const [index, candidate] of getReplicaEntries(entry).entries()) {
+        if (skip.includes(index)) continue;
+        const backend = getBackendForEntry(candidate, env);
+        const result = { index, storageType: backend.type, key: candidate.key, deleted: false, error: null };
+        try {
+            result.deleted = await backend.delete(candidate);
+            if (!result.deleted) {
+                result.error = `${backend.label} 未删除：缺少删除所需的配置或元数据`;
+            }
+        } catch (error) {
+            console.error(`${backend.label} delete error (best-effort):`, error);
+            result.error = error.message;
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+/**
+ * 文件能否作为去重目标：回收站中的文件以及限时、限次、受密码保护、私有的文件不会被新上传复用
+ */
+function isDedupTarget(metadata) {
+    return !metadata.trashedAt && !metadata.expiresAt && !metadata.maxViews && !metadata.passwordHash && !metadata.private;
+}
+
+/**
+ * 按内容哈希查找已存在的文件记录
+ * 索引指向的记录已被删除或不能作为去重目标时视为不存在
+ * @returns {Promise<{ key: string, metadata: object }|null>}
+ */
+export async function findByHash(env, sha256) {
+    if (!env.img_url || !sha256) return null;
+    const key = await env.img_url.get(hashIndexKey(sha256));
+    if (!key) return null;
+    const record = await env.img_url.getWithMetadata(key);
+    if (!record?.metadata || record.metadata.sha256 !== sha256 || !isDedupTarget(record.metadata)) return null;
+    return { key, metadata: record.metadata };
+}
+
+/**
+ * 删除文件记录时同步移除其哈希索引（仅当索引仍指向该记录）
+ */
+export async function removeHashIndex(env, entry) {
+    const sha256 = entry.metadata?.sha256;
+    if (!env.img_url || !sha256) return;
+    const indexKey = hashIndexKey(sha256);
+    if (await env.img_url.get(indexKey) === entry.key) {
+        await env.img_url.delete(indexKey);
+    }
+}
+
+/**
+ * 上传文件到单个后端，返回 { backend, key, metadata }
+ */
+async function uploadToBackend(env, type, file, fileName) {
+    const backend = getBackend(type, env);
+    if (!backend.isConfigured()) {
+        throw new Error(`${backend.label} 未配置，无法上传`);
+    }
+
+    const fileExtension = fileName.split('.').pop().toLowerCase();
+    try {
+        const stored = await backend.upload(file, { fileName, fileExtension });
+        return { backend, ...stored };
+    } catch (error) {
+        console.error(`${backend.label} upload error:`, error);
+        throw new Error(`${backend.label} 上传失败: ${error.message}`);
+    }
+}
+
+/**
+ * 上传文件到指定后端并写入 KV 元数据
+ * 指定 replicas（或环境变量 REPLICA_BACKENDS）时同时写入其他后端，
+ * 副本失败不影响主上传，结果见 replicaErrors；图片的宽高和 EXIF 信息一并写入元数据
+ * 元数据超出 KV 大小限制时不上传；写入记录失败时删除已上传的所有副本
+ * 内容与已有文件完全相同（SHA-256 一致）时直接返回已有文件，duplicate 为 true；
+ * 传入 dedup: false 可强制重新上传；extraMetadata 设置了过期时间、访问次数、密码或私有时同样不复用已有文件
+ * @param {object} env 环境变量
+ * @param {File|Blob} file 文件内容
+ * @param {{ storageMode?: string, replicas?: string|string[], fileName?: string, extraMetadata?: object, dedup?: boolean }} options
+ * @returns {Promise<{ key: string, src: string, metadata: object, replicaErrors: string[], duplicate: boolean }>}
+ */
+export async function storeFile(env, file, options = {}) {
+    const storageMode = options.storageMode || DEFAULT_BACKEND;
+    const fileName = options.fileName || file.name;
+
+    const content = await file.arrayBuffer();
+    const sha256 = await sha256Hex(content);
+    const existing = await findByHash(env, sha256);
+    if (existing && options.dedup !== false && isDedupTarget(options.extraMetadata || {})) {
+        return { ...existing, src: `/file/${existing.key}`, replicaErrors: [], duplicate: true };
+    }
+
+    const baseMetadata = {
+        TimeStamp: Date.now(),
+        ListType: 'None',
+        Label: 'None',
+        liked: false,
+        fileName,
+        fileSize: file.size,
+        sha256,
+        ...readImageInfo(new Uint8Array(content), fileName)
+    };
+    // 后端字段未知时先检查其余字段，明显写不下时不上传
+    checkMetadataSize({ ...baseMetadata, ...options.extraMetadata });
+
+    const primary = await uploadToBackend(env, storageMode, file, fileName);
+
+    const replicas = [];
+    const replicaErrors = [];
+    const replicaTypes = parseReplicaList(options.replicas ?? env.REPLICA_BACKENDS, primary.backend.type);
+    for (const type of replicaTypes) {
+        try {
+            const replica = await uploadToBackend(env, type, file, fileName);
+            replicas.push({ key: replica.key, storageType: type, ...replica.metadata });
+        } catch (error) {
+            replicaErrors.push(error.message);
+        }
+    }
+
+    const metadata = {
+        ...baseMetadata,
+        storageType: primary.backend.type,
+        ...primary.metadata,
+        ...(replicas.length ? { replicas } : {}),
+        ...options.extraMetadata
+    };
+
+    if (env.img_url) {
+        await saveFileRecord(env, { key: primary.key, metadata }, primary.backend.type, async () => {
+            // 强制重新上传时索引仍指向原文件，限时文件不写入索引
+            if (!existing && isDedupTarget(metadata)) {
+                await env.img_url.put(hashIndexKey(sha256), primary.key);
+            }
+        });
+    }
+
+    return { key: primary.key, src: `/file/${primary.key}`, metadata, replicaErrors, duplicate: false };
+}
+
+/**
+ * 元数据超过 KV 的大小限制时抛错
+ * 分片上传在初始化时用已知字段预先检查，避免上传完成后写不下记录
+ */
+export function checkMetadataSize(metadata) {
+    const size = metadataSize(metadata);
+    if (size > MAX_METADATA_SIZE) {
+        throw new Error(`文件元数据为 ${size} 字节，超过 KV 的 ${MAX_METADATA_SIZE} 字节限制，请缩短文件名或减少附加信息`);
+    }
+}
+
+/**
+ * 写入文件记录和列表索引（afterSave 写入其他关联记录）
+ * 任一步失败时删除已写入的记录和索引以及已上传的所有副本，避免远端对象没有记录指向
+ * @param {object} env 环境变量
+ * @param {{ key: string, metadata: object }} entry 文件记录
+ * @param {string} type 主副本的后端类型
+ * @param {() => Promise<void>} [afterSave]
+ */
+async function saveFileRecord(env, entry, type, afterSave) {
+    try {
+        checkMetadataSize(entry.metadata);
+        toIndexMetadata(entry.key, entry.metadata, type);
+        await env.img_url.put(entry.key, '', { metadata: entry.metadata });
+        await updateFileIndex(env.img_url, entry.key, entry.metadata, type);
+        if (afterSave) await afterSave();
+    } catch (error) {
+        console.error(`Save file record ${entry.key} failed, deleting uploaded copies:`, error);
+        await env.img_url.delete(entry.key).catch(() => {});
+        await removeFileIndex(env.img_url, entry.key, entry.metadata).catch(() => {});
+        for (const failure of (await deleteAllReplicas(entry, env)).filter(result => !result.deleted)) {
+            console.error(`Delete unsaved ${failure.storageType} copy ${failure.key} failed: ${failure.error}`);
+        }
+        throw new Error(`保存文件记录失败: ${error.message}`);
+    }
+}
+
+/**
+ * 为分片直传到后端的文件写入 KV 元数据（不读取文件内容）
+ * 没有内容哈希，不参与去重；图片宽高等信息由缩略图任务从后端读取后补全
+ * 写入失败时删除已合并的对象
+ * @param {object} env 环境变量
+ * @param {string} type 后端类型
+ * @param {{ key: string, metadata: object }} stored completeMultipartUpload 的返回值
+ * @param {{ fileName: string, fileSize: number, extraMetadata?: object }} options
+ * @returns {Promise<{ key: string, src: string, metadata: object, replicaErrors: string[], duplicate: boolean }>} 与 storeFile 相同
+ */
+export async function saveUploadedFile(env, type, stored, { fileName, fileSize, extraMetadata }) {
+    const metadata = {
+        TimeStamp: Date.now(),
+        ListType: 'None',
+        Label: 'None',
+        liked: false,
+        fileName,
+        fileSize,
+        storageType: type,
+        ...stored.metadata,
+        ...extraMetadata
+    };
+
+    await saveFileRecord(env, { key: stored.key, metadata }, type);
+
+    return { key: stored.key, src: `/file/${stored.key}`, metadata, replicaErrors: [], duplicate: false };
+}
@@ -0,0 +1,146 @@
+/**
+ * Cloudflare R2 存储后端
+ * KV Key 为 `r2:${objectKey}`，旧版 /api/r2/upload 的记录使用类型前缀
+ */
+import { StorageBackend } from '../storage.js';
+import { parseRangeHeader } from '../range.js';
+
+export class R2Backend extends StorageBackend {
+    constructor(env) {
+        super(env, 'r2', 'R2', 'r2:');
+        this.metadataFields = ['r2Key'];
+    }
+
+    isConfigured() {
+        return Boolean(this.env.R2_BUCKET);
+    }
+
+    getObjectKey(entry) {
+        return entry.metadata?.r2Key || this.stripKey(entry.key);
+    }
+
+    async upload(file, { fileName, fileExtension }) {
+        const objectKey = `${this.generateObjectId('r2')}.${fileExtension}`;
+        const arrayBuffer = await file.arrayBuffer();
+
+        await this.env.R2_BUCKET.put(objectKey, arrayBuffer, {
+            httpMetadata: { contentType: file.type || 'application/octet-stream' },
+            customMetadata: { fileName, uploadTime: Date.now().toString() }
+        });
+
+        return {
+            key: `r2:${objectKey}`,
+            metadata: { r2Key: objectKey }
+        };
+    }
+
+    supportsMultipart() {
+        return true;
+    }
+
+    async createMultipartUpload({ fileName, fileExtension, contentType }) {
+        const objectKey = `${this.generateObjectId('r2')}.${fileExtension}`;
+        const upload = await this.env.R2_BUCKET.createMultipartUpload(objectKey, {
+            httpMetadata: { contentType: contentType || 'application/octet-stream' },
+            customMetadata: { fileName, uploadTime: Date.now().toString() }
+        });
+        return { objectKey, uploadId: upload.uploadId };
+    }
+
+    async uploadPart({ objectKey, uploadId }, partNumber, body) {
+        const upload = this.env.R2_BUCKET.resumeMultipartUpload(objectKey, uploadId);
+        const part = await upload.uploadPart(partNumber, body);
+        return { partNumber: part.partNumber, etag: part.etag };
+    }
+
+    async completeMultipartUpload({ objectKey, uploadId }, parts, totalParts = parts.length) {
+        const sorted = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+        if (sorted.length !== totalParts || sorted.some((part, index) => part.partNumber !== index + 1)) {
+            throw new Error(`R2 分片不完整：已记录 ${sorted.length} 个，应为 1 到 ${totalParts} 共 ${totalParts} 个`);
+        }
+        const upload = this.env.R2_BUCKET.resumeMultipartUpload(objectKey, uploadId);
+        await upload.complete(sorted);
+        return {
+            key: `r2:${objectKey}`,
+            metadata: { r2Key: objectKey }
+        };
+    }
+
+    async abortMultipartUpload({ objectKey, uploadId }) {
+        await this.env.R2_BUCKET.resumeMultipartUpload(objectKey, uploadId).abort();
+    }
+
+    async get(entry, options = {}) {
+        const bucket = this.env.R2_BUCKET;
+        const r2Key = this.getObjectKey(entry);
+
+        if (options.method === 'HEAD') {
+            const object = await bucket.head(r2Key);
+            if (!object) return new Response('File not found in R2', { status: 404 });
+            return new Response(null, { status: 200, headers: { 'Content-Length': object.size.toString() } });
+        }
+
+        if (options.range) {
+            // 首先获取对象以得到总大小
+            const headObject = await bucket.head(r2Key);
+            if (!headObject) {
+                return new Response('File not found in R2', { status: 404 });
+            }
+
+            const range = parseRangeHeader(options.range, headObject.size);
+            if (range?.invalid) {
+                return new Response('Range Not Satisfiable', {
+                    status: 416,
+                    headers: { 'Content-Range': `bytes */${range.totalSize}` }
+                });
+            }
+
+            if (range) {
+                // 使用 R2 的 range 参数获取部分内容
+                const length = range.end - range.start + 1;
+                const object = await bucket.get(r2Key, { range: { offset: range.start, length } });
+                if (!object) {
+                    return new Response('File not found in R2', { status: 404 });
+                }
+                console.log(`R2 Range request: bytes=${range.start}-${range.end}/${range.totalSize}`);
+                return new Response(object.body, {
+                    status: 206,
+                    headers: {
+                        'Content-Length': length.toString(),
+                        'Content-Range': `bytes ${range.start}-${range.end}/${range.totalSize}`
+                    }
+                });
+            }
+        }
+
+        const object = await bucket.get(r2Key);
+        if (!object) {
+            return new Response('File not found in R2', { status: 404 });
+        }
+        return new Response(object.body, {
+            status: 200,
+            headers: { 'Content-Length': object.size.toString() }
+        });
+    }
+
+    async head(entry) {
+        const object = await this.env.R2_BUCKET.head(this.getObjectKey(entry));
+        if (!object) return null;
+        return { size: object.size, contentType: object.httpMetadata?.contentType };
+    }
+
+    async delete(entry) {
+        await this.env.R2_BUCKET.delete(this.getObjectKey(entry));
+        return true;
+    }
+
+    async health() {
+        const result = await this.env.R2_BUCKET.list({ limit: 1 });
+        return {
+            connected: true,
+            enabled: true,
+            message: '已启用',
+            hasData: result.objects && result.objects.length > 0
+        };
+    }
+}
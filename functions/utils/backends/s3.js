@@ -0,0 +1,117 @@
+/**
+ * S3 兼容存储后端
+ * KV Key 为 `s3:${objectKey}`
+ */
+import { StorageBackend } from '../storage.js';
+import { createS3Client } from '../s3client.js';
+
+// 超过此大小的文件使用分片上传，避免单个请求上传整个文件
+const MULTIPART_THRESHOLD = 20 * 1024 * 1024;
+const PART_SIZE = 10 * 1024 * 1024;
+
+export class S3Backend extends StorageBackend {
+    constructor(env) {
+        super(env, 's3', 'S3', 's3:');
+        this.metadataFields = ['s3Key'];
+    }
+
+    isConfigured() {
+        const { S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_BUCKET } = this.env;
+        return Boolean(S3_ENDPOINT && S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY && S3_BUCKET);
+    }
+
+    getObjectKey(entry) {
+        return entry.metadata?.s3Key || this.stripKey(entry.key);
+    }
+
+    async upload(file, { fileName, fileExtension }) {
+        const s3 = createS3Client(this.env);
+        const objectKey = `${this.generateObjectId('s3')}.${fileExtension}`;
+        const options = {
+            contentType: file.type || 'application/octet-stream',
+            metadata: { 'x-amz-meta-filename': fileName, 'x-amz-meta-uploadtime': Date.now().toString() }
+        };
+
+        if (file.size > MULTIPART_THRESHOLD) {
+            await s3.putObjectMultipart(objectKey, file, { ...options, partSize: PART_SIZE });
+        } else {
+            await s3.putObject(objectKey, await file.arrayBuffer(), options);
+        }
+
+        return {
+            key: `s3:${objectKey}`,
+            metadata: { s3Key: objectKey }
+        };
+    }
+
+    supportsMultipart() {
+        return true;
+    }
+
+    async createMultipartUpload({ fileName, fileExtension, contentType }) {
+        const s3 = createS3Client(this.env);
+        const objectKey = `${this.generateObjectId('s3')}.${fileExtension}`;
+        const uploadId = await s3.createMultipartUpload(objectKey, {
+            contentType: contentType || 'application/octet-stream',
+            metadata: { 'x-amz-meta-filename': fileName, 'x-amz-meta-uploadtime': Date.now().toString() }
+        });
+        return { objectKey, uploadId };
+    }
+
+    async uploadPart({ objectKey, uploadId }, partNumber, body) {
+        const s3 = createS3Client(this.env);
+        return await s3.uploadPart(objectKey, uploadId, partNumber, body);
+    }
+
+    async completeMultipartUpload({ objectKey, uploadId }, parts, totalParts = parts.length) {
+        const s3 = createS3Client(this.env);
+        // 以 S3 记录的分片为准，任务记录中的 ETag 可能因并发写入 KV 而缺失
+        const uploaded = await s3.listParts(objectKey, uploadId);
+        // 分片序号必须恰好为 1 到 totalParts，缺失或多出的分片都会使合并后的文件不完整
+        const partNumbers = uploaded.map(part => part.partNumber).sort((a, b) => a - b);
+        if (partNumbers.length !== totalParts || partNumbers.some((partNumber, index) => partNumber !== index + 1)) {
+            throw new Error(`S3 分片不完整：已上传 ${uploaded.length} 个，应为 1 到 ${totalParts} 共 ${totalParts} 个`);
+        }
+        await s3.completeMultipartUpload(objectKey, uploadId, uploaded);
+        return {
+            key: `s3:${objectKey}`,
+            metadata: { s3Key: objectKey }
+        };
+    }
+
+    async abortMultipartUpload({ objectKey, uploadId }) {
+        const s3 = createS3Client(this.env);
+        await s3.abortMultipartUpload(objectKey, uploadId);
+    }
+
+    async get(entry, options = {}) {
+        const s3 = createS3Client(this.env);
+        const s3Response = await s3.getObject(this.getObjectKey(entry), options.range ? { range: options.range } : {});
+        if (!s3Response) {
+            return new Response('File not found in S3', { status: 404 });
+        }
+        return s3Response;
+    }
+
+    async head(entry) {
+        const s3 = createS3Client(this.env);
+        const info = await s3.headObject(this.getObjectKey(entry));
+        if (!info) return null;
+        return { size: info.contentLength, contentType: info.contentType };
+    }
+
+    async delete(entry) {
+        const s3 = createS3Client(this.env);
+        return await s3.deleteObject(this.getObjectKey(entry));
+    }
+
+    async health() {
+        const s3 = createS3Client(this.env);
+        const connected = await s3.checkConnection();
+        return {
+            connected,
+            enabled: connected,
+            message: connected ? `已连接 - ${this.env.S3_BUCKET}` : '连接失败'
+        };
+    }
+}
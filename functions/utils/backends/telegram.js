@@ -0,0 +1,572 @@
+/**
+ * Telegram 存储后端
+ * 通过 Bot API 发送文件，KV Key 为 `${file_id}.${ext}`
+ *
+ * Bot API 只能下载不超过 20MB 的文件，更大的文件按 PART_SIZE 切分后逐个以文档发送，
+ * KV Key 使用第一个分片的 file_id，按顺序记录的分片在读取时拼接为一个文件（支持跨分片的 Range）
+ * 分片列表可能超出 KV 元数据 1KB 的限制，单独保存在 KV tgparts:<第一个分片的 file_id>
+ */
+import { StorageBackend, KEY_PREFIXES } from '../storage.js';
+import { parseRangeHeader } from '../range.js';
+
+const MAX_RETRIES = 3;
+const MAX_DOWNLOAD_SIZE = 20 * 1024 * 1024;
+// 分片大小比下载上限留出余量
+const PART_SIZE = 19 * 1024 * 1024;
+
+export class TelegramBackend extends StorageBackend {
+    constructor(env) {
+        super(env, 'telegram', 'Telegram');
+        // telegramParts 为分片数，分片列表见 loadParts
+        this.metadataFields = ['telegramMessageId', 'telegramParts', 'telegramPartSize', 'telegramSize'];
+    }
+
+    isConfigured() {
+        return Boolean(this.env.TG_Bot_Token && this.env.TG_Chat_ID);
+    }
+
+    async upload(file, { fileName, fileExtension, asDocument = false }) {
+        if (file.size > MAX_DOWNLOAD_SIZE) {
+            return await this.uploadParts(file, fileName, fileExtension);
+        }
+
+        const formData = new FormData();
+        formData.append('chat_id', this.env.TG_Chat_ID);
+
+        let apiEndpoint;
+        if (asDocument) {
+            formData.append('document', file);
+            apiEndpoint = 'sendDocument';
+        } else if (file.type.startsWith('image/')) {
+            formData.append('photo', file);
+            apiEndpoint = 'sendPhoto';
+        } else if (file.type.startsWith('audio/')) {
+            formData.append('audio', file);
+            apiEndpoint = 'sendAudio';
+        } else if (file.type.startsWith('video/')) {
+            formData.append('video', file);
+            apiEndpoint = 'sendVideo';
+        } else {
+            formData.append('document', file);
+            apiEndpoint = 'sendDocument';
+        }
+
+        const result = await sendToTelegram(formData, apiEndpoint, this.env);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const fileId = getFileId(result.data);
+        if (!fileId) {
+            throw new Error('Failed to get file ID');
+        }
+
+        return {
+            key: `${fileId}.${fileExtension}`,
+            metadata: { telegramMessageId: result.messageId || undefined }
+        };
+    }
+
+    /**
+     * 切分后逐个发送，任一分片失败或分片列表写入 KV 失败时删除已发送的分片
+     */
+    async uploadParts(file, fileName, fileExtension) {
+        if (!this.env.img_url) {
+            throw new Error('超过 20MB 的文件需要绑定 KV 保存分片列表');
+        }
+        const total = Math.ceil(file.size / PART_SIZE);
+        const parts = [];
+
+        try {
+            for (let index = 0; index < total; index++) {
+                const formData = new FormData();
+                formData.append('chat_id', this.env.TG_Chat_ID);
+                const part = file.slice(index * PART_SIZE, (index + 1) * PART_SIZE);
+                formData.append('document', new File([part], `${fileName || 'file'}.part${index + 1}`));
+
+                const result = await sendToTelegram(formData, 'sendDocument', this.env);
+                if (!result.success) {
+                    throw new Error(`分片 ${index + 1}/${total} 上传失败: ${result.error}`);
+                }
+                const fileId = getFileId(result.data);
+                if (!fileId) {
+                    throw new Error(`分片 ${index + 1}/${total} 上传失败: Failed to get file ID`);
+                }
+                parts.push({ fileId, messageId: result.messageId });
+            }
+            await this.env.img_url.put(
+                partsKey(parts[0].fileId),
+                parts.map(part => `${part.fileId}:${part.messageId}`).join(',')
+            );
+        } catch (error) {
+            await Promise.allSettled(parts.map(part => deleteTelegramMessage(part.messageId, this.env)));
+            throw error;
+        }
+
+        return {
+            key: `${parts[0].fileId}.${fileExtension}`,
+            metadata: {
+                telegramMessageId: parts[0].messageId,
+                telegramParts: parts.length,
+                telegramPartSize: PART_SIZE,
+                telegramSize: file.size
+            }
+        };
+    }
+
+    async get(entry, options = {}) {
+        if (entry.metadata?.telegramParts) {
+            const parts = await this.loadParts(entry);
+            if (!parts) {
+                return new Response('Telegram part list not found', { status: 502 });
+            }
+            return await this.getParts(entry.metadata, parts, options);
+        }
+
+        const name = this.stripKey(entry.key);
+
+        // Bot API 的 file_id 远长于 telegra.ph 文件名（原路径长度 > 39 的判断）
+        if (`/file/${name}`.length <= 39) {
+            return await fetchFile(`https://telegra.ph/file/${name}`, options);
+        }
+        return await this.fetchBotFile(name.split('.')[0], options);
+    }
+
+    /**
+     * 下载 Bot 文件
+     */
+    async fetchBotFile(fileId, options = {}) {
+        let resolved = await getFilePath(this.env, fileId);
+        if (!resolved.success) {
+            return new Response(resolved.error, { status: resolved.status });
+        }
+        let response = await fetchFile(this.botFileUrl(resolved.filePath), options);
+
+        // 缓存的下载路径过期后 Telegram 返回 404，重新解析一次
+        if (response.status === 404 && resolved.cached) {
+            resolved = await getFilePath(this.env, fileId, { refresh: true });
+            if (!resolved.success) {
+                return new Response(resolved.error, { status: resolved.status });
+            }
+            response = await fetchFile(this.botFileUrl(resolved.filePath), options);
+        }
+        return response;
+    }
+
+    /**
+     * 拼接分片，按请求的范围依次读取涉及的分片
+     * 第一个分片先请求，失败时直接返回其状态码，便于切换到其他副本
+     */
+    async getParts(metadata, parts, options) {
+        const partSize = Number(metadata.telegramPartSize);
+        const totalSize = Number(metadata.telegramSize);
+        const headers = new Headers({ 'Content-Type': 'application/octet-stream', 'Accept-Ranges': 'bytes' });
+
+        let start = 0;
+        let end = totalSize - 1;
+        let status = 200;
+        const range = parseRangeHeader(options.range, totalSize);
+        if (range?.invalid) {
+            return new Response('Range Not Satisfiable', {
+                status: 416,
+                headers: { 'Content-Range': `bytes */${totalSize}` }
+            });
+        }
+        if (range) {
+            ({ start, end } = range);
+            status = 206;
+            headers.set('Content-Range', `bytes ${start}-${end}/${totalSize}`);
+        }
+        headers.set('Content-Length', String(end - start + 1));
+        if (options.method === 'HEAD') {
+            return new Response(null, { status, headers });
+        }
+
+        const first = Math.floor(start / partSize);
+        const last = Math.floor(end / partSize);
+        // 分片内的字节范围
+        const bounds = index => [
+            Math.max(start - index * partSize, 0),
+            Math.min(end - index * partSize, partSize - 1)
+        ];
+        const fetchPart = index => {
+            const [from, to] = bounds(index);
+            return this.fetchBotFile(parts[index].fileId, { range: `bytes=${from}-${to}` });
+        };
+
+        const firstResponse = await fetchPart(first);
+        if (!firstResponse.ok) {
+            return firstResponse;
+        }
+
+        async function* readParts() {
+            for (let index = first; index <= last; index++) {
+                const response = index === first ? firstResponse : await fetchPart(index);
+                if (!response.ok) {
+                    throw new Error(`分片 ${index + 1}/${parts.length} 读取失败 (${response.status})`);
+                }
+                const [from, to] = bounds(index);
+                // 上游忽略 Range 返回完整分片时自行跳过
+                yield* readBytes(response.body, response.status === 206 ? 0 : from, to - from + 1);
+            }
+        }
+
+        const chunks = readParts();
+        const body = new ReadableStream({
+            async pull(controller) {
+                const { value, done } = await chunks.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            },
+            async cancel() {
+                await chunks.return();
+            }
+        });
+        return new Response(body, { status, headers });
+    }
+
+    botFileUrl(filePath) {
+        return `https://api.telegram.org/file/bot${this.env.TG_Bot_Token}/${filePath}`;
+    }
+
+    async head(entry) {
+        if (entry.metadata?.telegramParts) {
+            return { size: Number(entry.metadata.telegramSize) };
+        }
+        const name = this.stripKey(entry.key);
+        const result = await getFile(this.env, name.split('.')[0]);
+        return result.success ? { size: result.file.file_size || 0 } : null;
+    }
+
+    async delete(entry) {
+        if (!entry.metadata?.telegramParts) {
+            return await deleteTelegramMessage(entry.metadata?.telegramMessageId, this.env);
+        }
+        const parts = await this.loadParts(entry);
+        if (!parts) {
+            throw new Error('Telegram 分片列表不存在，无法删除分片');
+        }
+
+        // 逐个删除所有分片消息，部分失败时汇总原因
+        let confirmed = true;
+        const errors = [];
+        for (const [index, part] of parts.entries()) {
+            try {
+                confirmed = await deleteTelegramMessage(part.messageId, this.env) && confirmed;
+            } catch (error) {
+                errors.push(`分片 ${index + 1}: ${error.message}`);
+            }
+        }
+        if (errors.length) {
+            throw new Error(`${errors.length}/${parts.length} 个分片删除失败 (${errors.join('; ')})`);
+        }
+        await this.env.img_url.delete(partsKey(parts[0].fileId));
+        return confirmed;
+    }
+
+    /**
+     * 读取分片列表，列表丢失或与元数据中的分片数不一致时返回 null
+     * @returns {Promise<{ fileId: string, messageId: number|null }[]|null>}
+     */
+    async loadParts(entry) {
+        const value = await this.env.img_url?.get(partsKey(this.stripKey(entry.key).split('.')[0]));
+        if (!value) return null;
+        const parts = value.split(',').map(part => {
+            const [fileId, messageId] = part.split(':');
+            return { fileId, messageId: Number(messageId) || null };
+        });
+        return parts.length === Number(entry.metadata.telegramParts) ? parts : null;
+    }
+
+    async health() {
+        const response = await fetch(`https://api.telegram.org/bot${this.env.TG_Bot_Token}/getMe`);
+        const data = await response.json();
+        if (!data.ok) {
+            return { connected: false, message: `连接失败: ${data.description}` };
+        }
+        return {
+            connected: true,
+            message: `已连接 - @${data.result.username}`,
+            botName: data.result.first_name,
+            botUsername: data.result.username
+        };
+    }
+}
+
+// 分片列表的 KV Key，值为 "file_id:message_id" 逗号分隔
+function partsKey(firstFileId) {
+    return `${KEY_PREFIXES.TELEGRAM_PARTS}${firstFileId}`;
+}
+
+/**
+ * 从流中跳过 skip 字节后读取 length 字节
+ */
+async function* readBytes(stream, skip, length) {
+    const reader = stream.getReader();
+    try {
+        while (length > 0) {
+            const { value, done } = await reader.read();
+            if (done) {
+                throw new Error('分片数据不完整');
+            }
+            let chunk = value;
+            if (skip > 0) {
+                const skipped = Math.min(skip, chunk.length);
+                chunk = chunk.subarray(skipped);
+                skip -= skipped;
+            }
+            if (chunk.length > length) {
+                chunk = chunk.subarray(0, length);
+            }
+            if (chunk.length > 0) {
+                length -= chunk.length;
+                yield chunk;
+            }
+        }
+    } finally {
+        await reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * 下载文件
+ * 不使用 fetch 缓存（按上游 URL 缓存，删除时无法清除），文件内容由 edge-cache.js 按 KV Key 缓存
+ */
+async function fetchFile(fileUrl, options) {
+    const fetchHeaders = new Headers();
+    if (options.range) {
+        fetchHeaders.set('Range', options.range);
+    }
+
+    return await fetch(fileUrl, {
+        method: options.method === 'HEAD' ? 'HEAD' : 'GET',
+        headers: fetchHeaders,
+        cf: { cacheTtl: 0, cacheEverything: false },
+    });
+}
+
+/**
+ * 从 sendXxx 的返回中取出 file_id（图片取最大尺寸）
+ */
+export function getFileId(response) {
+    if (!response.ok || !response.result) return null;
+
+    const result = response.result;
+    if (result.photo) {
+        return result.photo.reduce((prev, current) =>
+            (prev.file_size > current.file_size) ? prev : current
+        ).file_id;
+    }
+    if (result.document) return result.document.file_id;
+    if (result.video) return result.video.file_id;
+    if (result.audio) return result.audio.file_id;
+
+    return null;
+}
+
+/**
+ * 调用 Telegram 发送接口，处理限速、超时和图片/音频降级为文档
+ * @returns {{ success, data?, messageId?, error? }}
+ */
+export async function sendToTelegram(formData, apiEndpoint, env, retryCount = 0) {
+    const apiUrl = `https://api.telegram.org/bot${env.TG_Bot_Token}/${apiEndpoint}`;
+
+    try {
+        // 使用 AbortController 添加 30 秒超时
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 30000);
+
+        let response;
+        try {
+            response = await fetch(apiUrl, {
+                method: 'POST',
+                body: formData,
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        const responseData = await response.json();
+
+        if (response.ok) {
+            return { success: true, data: responseData, messageId: responseData?.result?.message_id };
+        }
+
+        // 处理 429 速率限制
+        if (response.status === 429) {
+            const retryAfter = responseData.parameters?.retry_after || 5;
+            console.log(`Rate limited, retrying after ${retryAfter}s...`);
+            if (retryCount < MAX_RETRIES) {
+                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
+            }
+            return { success: false, error: `速率限制，请 ${retryAfter} 秒后重试` };
+        }
+
+        // 处理 413 文件过大
+        if (response.status === 413) {
+            return { success: false, error: 'Telegram 限制：文件大小不能超过 20MB' };
+        }
+
+        // 图片/音频上传失败时转为文档方式重试
+        if (retryCount < MAX_RETRIES && (apiEndpoint === 'sendPhoto' || apiEndpoint === 'sendAudio')) {
+            console.log(`Retrying ${apiEndpoint} as document...`);
+            const newFormData = new FormData();
+            newFormData.append('chat_id', formData.get('chat_id'));
+            const fileField = apiEndpoint === 'sendPhoto' ? 'photo' : 'audio';
+            newFormData.append('document', formData.get(fileField));
+            return await sendToTelegram(newFormData, 'sendDocument', env, retryCount + 1);
+        }
+
+        return {
+            success: false,
+            error: responseData.description || 'Upload to Telegram failed'
+        };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.error('Telegram API request timed out');
+            if (retryCount < MAX_RETRIES) {
+                await new Promise(resolve => setTimeout(resolve, 2000 * (retryCount + 1)));
+                return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
+            }
+            return { success: false, error: '上传超时，请重试' };
+        }
+
+        console.error('Network error:', error);
+        if (retryCount < MAX_RETRIES) {
+            // 指数退避: 1s, 2s, 4s
+            await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retryCount)));
+            return await sendToTelegram(formData, apiEndpoint, env, retryCount + 1);
+        }
+        return { success: false, error: '网络错误，请检查网络连接后重试' };
+    }
+}
+
+/**
+ * 调用 getFile
+ * @returns {Promise<{ success: boolean, file?: { file_id, file_size, file_path }, status?: number, error?: string }>}
+ *   失败时 status 为建议返回的状态码：file_id 无效 404，文件超过 Bot API 的 20MB 下载限制 413，其他 502
+ */
+async function getFile(env, fileId) {
+    if (!env.TG_Bot_Token) {
+        return { success: false, status: 500, error: 'Telegram getFile 失败: 未配置 TG_Bot_Token' };
+    }
+
+    try {
+        const url = `https://api.telegram.org/bot${env.TG_Bot_Token}/getFile?file_id=${fileId}`;
+        const res = await fetch(url, {
+            method: 'GET',
+        });
+
+        // 出错时 Bot API 同样返回 JSON，description 说明原因
+        const responseData = await res.json().catch(() => null);
+        if (res.ok && responseData?.ok && responseData.result?.file_path) {
+            return { success: true, file: responseData.result };
+        }
+
+        const description = responseData?.description || `HTTP ${res.status}`;
+        console.error('Telegram getFile failed:', description);
+        let status = 502;
+        if (/too big/i.test(description)) {
+            status = 413;
+        } else if (res.status === 400) {
+            status = 404;
+        }
+        return { success: false, status, error: `Telegram getFile 失败: ${description}` };
+    } catch (error) {
+        console.error('Error fetching file path:', error.message);
+        return { success: false, status: 502, error: `Telegram getFile 失败: ${error.message}` };
+    }
+}
+
+// Telegram 保证下载链接至少 1 小时有效，缓存时间留出余量
+const FILE_PATH_CACHE_TTL = 55 * 60;
+const MAX_MEMORY_FILE_PATHS = 1000;
+
+// 同一 isolate 内的请求直接使用内存中的结果，其次是当前数据中心的 Cache API
+const memoryFilePaths = new Map();
+
+function filePathCacheKey(fileId) {
+    return new Request(`https://telegram-file-path.internal/${encodeURIComponent(fileId)}`);
+}
+
+function rememberFilePath(fileId, filePath) {
+    memoryFilePaths.delete(fileId);
+    if (memoryFilePaths.size >= MAX_MEMORY_FILE_PATHS) {
+        memoryFilePaths.delete(memoryFilePaths.keys().next().value);
+    }
+    memoryFilePaths.set(fileId, { filePath, expiresAt: Date.now() + FILE_PATH_CACHE_TTL * 1000 });
+}
+
+/**
+ * 获取 Bot 文件的下载路径，结果按 file_id 缓存，避免每次读取都调用 getFile
+ * @param {object} env 环境变量
+ * @param {string} fileId Bot API 的 file_id
+ * @param {{ refresh?: boolean }} [options] refresh 为 true 时忽略缓存重新解析（缓存的路径已失效）
+ * @returns {Promise<{ success: boolean, filePath?: string, cached?: boolean, status?: number, error?: string }>}
+ */
+export async function getFilePath(env, fileId, { refresh = false } = {}) {
+    const cache = typeof caches !== 'undefined' ? caches.default : null;
+
+    if (!refresh) {
+        const remembered = memoryFilePaths.get(fileId);
+        if (remembered && remembered.expiresAt > Date.now()) {
+            return { success: true, filePath: remembered.filePath, cached: true };
+        }
+        const cached = cache && await cache.match(filePathCacheKey(fileId));
+        if (cached) {
+            const filePath = await cached.text();
+            rememberFilePath(fileId, filePath);
+            return { success: true, filePath, cached: true };
+        }
+    }
+
+    const result = await getFile(env, fileId);
+    if (!result.success) {
+        memoryFilePaths.delete(fileId);
+        return result;
+    }
+
+    const filePath = result.file.file_path;
+    rememberFilePath(fileId, filePath);
+    if (cache) {
+        await cache.put(filePathCacheKey(fileId), new Response(filePath, {
+            headers: { 'Cache-Control': `max-age=${FILE_PATH_CACHE_TTL}` }
+        })).catch(error => console.warn('Cache file path failed:', error.message));
+    }
+    return { success: true, filePath, cached: false };
+}
+
+/**
+ * 删除 Telegram 消息（及其附件）
+ */
+export async function deleteTelegramMessage(messageId, env) {
+    if (!messageId || !env.TG_Bot_Token || !env.TG_Chat_ID) {
+        return false;
+    }
+
+    const response = await fetch(`https://api.telegram.org/bot${env.TG_Bot_Token}/deleteMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            chat_id: env.TG_Chat_ID,
+            message_id: messageId
+        })
+    });
+
+    let data = { ok: false };
+    try {
+        data = await response.json();
+    } catch (jsonError) {
+        console.error('Failed to parse Telegram deleteMessage response:', jsonError);
+    }
+
+    if (!response.ok || !data.ok) {
+        throw new Error(`Telegram deleteMessage failed (${response.status}): ${data.description || 'unknown error'}`);
+    }
+    return true;
+}
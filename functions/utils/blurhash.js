@@ -0,0 +1,93 @@
+/**
+ * BlurHash 编码（https://blurha.sh）
+ * 把图片压缩为 20-30 个字符的模糊占位图，前端用官方解码库即可还原
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+    result += DIGITS[digit];
+  }
+  return result;
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearTosRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255)
+    : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * 计算 BlurHash
+ * @param {Uint8ClampedArray} pixels RGBA 像素
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @param {number} componentX 横向分量数（1-9）
+ * @param {number} componentY 纵向分量数（1-9）
+ * @returns {string}
+ */
+export function encodeBlurhash(pixels, width, height, componentX = 4, componentY = 3) {
+  const linear = new Float32Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    linear[i * 3] = sRGBToLinear(pixels[i * 4]);
+    linear[i * 3 + 1] = sRGBToLinear(pixels[i * 4 + 1]);
+    linear[i * 3 + 2] = sRGBToLinear(pixels[i * 4 + 2]);
+  }
+
+  const factors = [];
+  for (let j = 0; j < componentY; j++) {
+    const cosY = Array.from({ length: height }, (_, y) => Math.cos(Math.PI * j * y / height));
+    for (let i = 0; i < componentX; i++) {
+      const cosX = Array.from({ length: width }, (_, x) => Math.cos(Math.PI * i * x / width));
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = cosX[x] * cosY[y];
+          const index = (y * width + x) * 3;
+          r += basis * linear[index];
+          g += basis * linear[index + 1];
+          b += basis * linear[index + 2];
+        }
+      }
+      const scale = normalisation / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentX - 1) + (componentY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearTosRGB(dc[0]) << 16) + (linearTosRGB(dc[1]) << 8) + linearTosRGB(dc[2]), 4);
+
+  for (const factor of ac) {
+    const [r, g, b] = factor.map(value => Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5))));
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  }
+  return hash;
+}
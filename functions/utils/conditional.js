@@ -0,0 +1,71 @@
+/**
+ * 条件请求（ETag / Last-Modified / 304）
+ * ETag 取文件内容的 SHA-256（没有哈希的旧文件取存储 Key 的哈希，Key 对应的内容不会改变），
+ * 图片处理和水印得到的是另一种表示，附加参数摘要并使用弱 ETag；Last-Modified 取上传时间
+ * 校验在向存储后端请求之前完成，命中时不会再从 Telegram 等后端下载文件
+ */
+import { sha256Hex } from './storage.js';
+
+/**
+ * 计算文件响应的校验值
+ * @param {string} kvKey 文件的 KV Key
+ * @param {object} fileMetadata 文件元数据
+ * @param {string|null} [variant] 处理参数（如 transformCacheQuery 的结果），原文件为空
+ * @returns {Promise<{ etag: string, lastModified: string|null }>}
+ */
+export async function getValidators(kvKey, fileMetadata, variant = null) {
+  const base = fileMetadata.sha256 || await sha256Hex(new TextEncoder().encode(kvKey));
+  const etag = variant
+    ? `W/"${base}-${(await sha256Hex(new TextEncoder().encode(variant))).slice(0, 16)}"`
+    : `"${base}"`;
+
+  const timestamp = Number(fileMetadata.TimeStamp);
+  return { etag, lastModified: timestamp > 0 ? new Date(timestamp).toUTCString() : null };
+}
+
+function parseEtagList(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function opaqueTag(etag) {
+  return etag.startsWith('W/') ? etag.slice(2) : etag;
+}
+
+// 按秒比较，HTTP 日期没有毫秒
+function notModifiedSince(lastModified, header) {
+  const since = Date.parse(header);
+  return Boolean(lastModified) && !Number.isNaN(since) && Date.parse(lastModified) <= since;
+}
+
+/**
+ * GET / HEAD 请求是否可以返回 304
+ * If-None-Match 使用弱比较，存在时忽略 If-Modified-Since（RFC 9110 13.2.2）
+ * @param {Request} request
+ * @param {{ etag: string, lastModified: string|null }} validators
+ */
+export function isNotModified(request, { etag, lastModified }) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') return false;
+
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    const tags = parseEtagList(ifNoneMatch);
+    return tags.includes('*') || tags.some(tag => opaqueTag(tag) === opaqueTag(etag));
+  }
+
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  return ifModifiedSince ? notModifiedSince(lastModified, ifModifiedSince) : false;
+}
+
+/**
+ * Range 请求带 If-Range 时，校验值不一致应忽略 Range 返回完整文件
+ * If-Range 要求强比较，弱 ETag 视为不一致
+ * @returns {boolean} true 表示可以按 Range 返回
+ */
+export function matchesIfRange(request, { etag, lastModified }) {
+  const ifRange = request.headers.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !etag.startsWith('W/') && ifRange.trim() === etag;
+  }
+  return Boolean(lastModified) && Date.parse(ifRange) === Date.parse(lastModified);
+}
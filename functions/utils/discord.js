@@ -155,20 +155,19 @@ export async function deleteDiscordMessage(channelId, messageId, env) {
         return false;
     }
 
-    try {
-        const response = await fetch(
-            `https://discord.com/api/v10/channels/${channelId}/messages/${messageId}`,
-            {
-                method: 'DELETE',
-                headers: { 'Authorization': `Bot ${botToken}` }
-            }
-        );
+    const response = await fetch(
+        `https://discord.com/api/v10/channels/${channelId}/messages/${messageId}`,
+        {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bot ${botToken}` }
+        }
+    );
 
-        return response.ok || response.status === 204;
-    } catch (error) {
-        console.error('Discord delete error:', error);
-        return false;
+    if (!response.ok && response.status !== 204) {
+        const text = await response.text();
+        throw new Error(`Discord delete failed (${response.status}): ${text}`);
     }
+    return true;
 }
 
 /**
@@ -0,0 +1,97 @@
+/**
+ * 边缘缓存（Cache API）
+ * Telegram、Discord、HuggingFace 上的文件读取慢且受接口频率限制，完整读取后按 KV Key 缓存在当前数据中心，
+ * 之后的请求（含 Range 请求）直接从缓存返回，不再请求后端
+ *
+ * 缓存只保存文件内容，访问控制仍在 file/[id].js 中按 KV 记录判断；删除、屏蔽、重命名时由 purgeEdgeCache 清除
+ * 环境变量 EDGE_CACHE_TTL 设置缓存秒数（默认 30 天），0 为关闭；限制了访问次数的文件不缓存
+ */
+import { getWithFailover, getBackendForEntry, resolveStorageType } from './backends/index.js';
+
+export const EDGE_CACHED_BACKENDS = ['telegram', 'discord', 'huggingface'];
+const DEFAULT_EDGE_CACHE_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * 文件内容在边缘缓存中的 Key
+ * @param {string} origin 站点 origin
+ * @param {string} kvKey 文件的 KV Key
+ */
+export function edgeCacheKey(origin, kvKey) {
+  return new Request(`${origin}/__edge/${encodeURIComponent(kvKey)}`);
+}
+
+/**
+ * 缓存秒数，0 表示关闭
+ */
+export function getEdgeCacheTtl(env) {
+  if (env.EDGE_CACHE_TTL === undefined || env.EDGE_CACHE_TTL === '') return DEFAULT_EDGE_CACHE_TTL;
+  const ttl = Number(env.EDGE_CACHE_TTL);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.floor(ttl) : 0;
+}
+
+/**
+ * 文件是否使用边缘缓存
+ * @param {{ key: string, metadata: object }} entry 文件记录
+ */
+export function isEdgeCacheable(entry, env) {
+  return getEdgeCacheTtl(env) > 0
+    && !entry.metadata.maxViews
+    && EDGE_CACHED_BACKENDS.includes(resolveStorageType(entry));
+}
+
+/**
+ * 读取文件，优先使用边缘缓存
+ * 未命中的完整 GET 请求边返回边写入缓存；未命中的 Range 请求照常转发，并在后台读取完整文件写入缓存
+ * @param {object} context 请求上下文
+ * @param {{ key: string, metadata: object }} entry 文件记录
+ * @param {{ range?: string|null, method?: string }} options
+ * @returns {Promise<{ response: Response, backend: StorageBackend, cached: boolean }>}
+ */
+export async function fetchWithEdgeCache(context, entry, options = {}) {
+  const { request, env } = context;
+  if (options.method === 'HEAD' || !isEdgeCacheable(entry, env)) {
+    return { ...(await getWithFailover(entry, env, options)), cached: false };
+  }
+
+  const cacheKey = edgeCacheKey(new URL(request.url).origin, entry.key);
+  const cached = await caches.default.match(options.range
+    ? new Request(cacheKey.url, { headers: { Range: options.range } })
+    : cacheKey);
+  if (cached) {
+    return { response: cached, backend: getBackendForEntry(entry, env), cached: true };
+  }
+
+  const ttl = getEdgeCacheTtl(env);
+  if (options.range) {
+    const result = await getWithFailover(entry, env, options);
+    context.waitUntil(populate(env, entry, cacheKey, ttl)
+      .catch(error => console.warn(`Edge cache warm-up for ${entry.key} failed:`, error.message)));
+    return { ...result, cached: false };
+  }
+
+  const { response, backend } = await getWithFailover(entry, env, { method: 'GET' });
+  if (response.status !== 200 || !response.body) {
+    return { response, backend, cached: false };
+  }
+
+  const [body, copy] = response.body.tee();
+  context.waitUntil(caches.default.put(cacheKey, cacheableResponse(copy, response.headers, ttl))
+    .catch(error => console.warn(`Edge cache put for ${entry.key} failed:`, error.message)));
+  return { response: new Response(body, response), backend, cached: false };
+}
+
+async function populate(env, entry, cacheKey, ttl) {
+  const { response } = await getWithFailover(entry, env, { method: 'GET' });
+  if (response.status !== 200 || !response.body) return;
+  await caches.default.put(cacheKey, cacheableResponse(response.body, response.headers, ttl));
+}
+
+// 只保留内容相关的响应头，缓存时间由 Cache-Control 决定
+function cacheableResponse(body, upstreamHeaders, ttl) {
+  const headers = new Headers({ 'Cache-Control': `public, max-age=${ttl}` });
+  for (const name of ['Content-Type', 'Content-Length']) {
+    const value = upstreamHeaders.get(name);
+    if (value) headers.set(name, value);
+  }
+  return new Response(body, { headers });
+}
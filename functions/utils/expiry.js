@@ -0,0 +1,87 @@
+/**
+ * 限时文件
+ * 上传时通过 expiresIn（相对时长）或 expiresAt（绝对时间）设置过期时间，保存在 metadata.expiresAt，
+ * 过期后 /file/:id 返回 410，定时任务彻底删除远端对象和 KV 记录（远端删除失败时保留记录，下次重试）
+ */
+import { listIndexEntries } from './file-index.js';
+import { deleteFileRecord } from './file-records.js';
+import { removeFilesFromAllAlbums } from './albums.js';
+import { sortByPurgeAttempts } from './trash.js';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DEFAULT_CLEANUP_BATCH = 50;
+
+/**
+ * 解析过期参数
+ * expiresIn 为秒数或带单位的时长（如 30m、12h、7d），expiresAt 为毫秒时间戳或日期字符串
+ * @param {{ expiresIn?: string|number, expiresAt?: string|number }} options
+ * @param {number} now 当前时间
+ * @returns {number|null} 过期时间戳，未设置时为 null
+ * @throws {Error} 参数无效或过期时间不在未来
+ */
+export function parseExpiry({ expiresIn, expiresAt } = {}, now = Date.now()) {
+  const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+  let timestamp = null;
+  if (hasValue(expiresIn)) {
+    const match = String(expiresIn).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+    if (!match) {
+      throw new Error('expiresIn 格式无效，应为秒数或 30m、12h、7d 等时长');
+    }
+    const unit = DURATION_UNITS[(match[2] || 's').toLowerCase()];
+    timestamp = now + Math.round(Number(match[1]) * unit);
+  } else if (hasValue(expiresAt)) {
+    const value = String(expiresAt).trim();
+    timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(timestamp)) {
+      throw new Error('expiresAt 格式无效，应为毫秒时间戳或日期字符串');
+    }
+  }
+
+  if (timestamp !== null && timestamp <= now) {
+    throw new Error('过期时间必须晚于当前时间');
+  }
+  return timestamp;
+}
+
+/**
+ * 文件是否已过期
+ */
+export function isExpired(metadata, now = Date.now()) {
+  return Boolean(metadata?.expiresAt) && metadata.expiresAt <= now;
+}
+
+/**
+ * 彻底删除已过期的文件，由定时任务调用
+ * @param {object} env 环境变量
+ * @param {{ limit?: number, now?: number }} options
+ * @returns {Promise<{ deleted: string[], failed: Array<{ key: string, error: string, attempts?: number }>, remaining: boolean }>}
+ */
+export async function purgeExpiredUploads(env, { limit = DEFAULT_CLEANUP_BATCH, now = Date.now() } = {}) {
+  const expired = sortByPurgeAttempts((await listIndexEntries(env.img_url))
+    .filter(entry => isExpired(entry.metadata, now)));
+
+  const deleted = [];
+  const failed = [];
+  for (const entry of expired.slice(0, limit)) {
+    const { key } = entry.metadata;
+    try {
+      const result = await deleteFileRecord(env, key, { removeFromAlbums: false });
+      if (!result) continue;
+      // 远端删除失败时记录保留（移入回收站），仍处于过期状态，下次清理时重试
+      if (result.kept) {
+        failed.push({ key, error: result.metadata.purge.error, attempts: result.metadata.purge.attempts });
+        continue;
+      }
+      deleted.push(key);
+    } catch (error) {
+      console.error(`Delete expired ${key} failed:`, error);
+      failed.push({ key, error: error.message });
+    }
+  }
+
+  if (deleted.length) {
+    await removeFilesFromAllAlbums(env.img_url, deleted);
+  }
+  return { deleted, failed, remaining: expired.length > limit };
+}
@@ -0,0 +1,326 @@
+/**
+ * 文件二级索引
+ * 每个文件对应一条 `idx:${倒序时间戳}:${kvKey}` 记录，metadata 中保存筛选/排序所需的精简字段，
+ * KV list 按 Key 字典序返回，因此按前缀列出即为"最新上传在前"的稳定顺序
+ *
+ * 文件记录的元数据变更后需调用 updateFileIndex，删除后调用 removeFileIndex
+ */
+import { KEY_PREFIXES, MAX_METADATA_SIZE, getFileType, metadataSize } from './storage.js';
+
+const MAX_TIMESTAMP = 9999999999999;
+const MAX_NAME_BYTES = 200; // 控制索引 metadata 大小（KV 限制 1024 字节），按 UTF-8 字节截断
+const LIST_PAGE_SIZE = 1000;
+const MAX_PAGES_PER_REQUEST = 10; // 单次请求最多扫描的 KV 页数，筛选结果稀疏时分多次返回
+const MAX_SORT_PAGES = 10; // 非默认排序最多读取的 KV 页数（每页 1000 个文件）
+
+export const SORT_FIELDS = ['time', 'size', 'name'];
+export const FILE_TYPES = ['image', 'video', 'audio', 'document'];
+
+/**
+ * 文件记录对应的索引 Key
+ * @param {string} key 文件记录的 KV Key
+ * @param {object} metadata 文件元数据
+ */
+export function fileIndexKey(key, metadata) {
+  const timestamp = Number(metadata?.TimeStamp) || 0;
+  const inverted = String(MAX_TIMESTAMP - timestamp).padStart(13, '0');
+  return `${KEY_PREFIXES.INDEX}${inverted}:${key}`;
+}
+
+// 图片元数据（见 image-metadata.js），供前端预留宽高比和显示占位
+// 索引超出大小限制时从后往前丢弃，宽高保留到最后
+const IMAGE_INFO_FIELDS = ['width', 'height', 'orientation', 'takenAt', 'cameraModel', 'dominantColor', 'blurhash'];
+
+function pickImageInfo(metadata) {
+  const info = {};
+  for (const field of IMAGE_INFO_FIELDS) {
+    if (metadata[field]) info[field] = metadata[field];
+  }
+  return info;
+}
+
+// 按 UTF-8 字节数截断，不拆开多字节字符
+function truncateUtf8(value, maxBytes) {
+  const bytes = new TextEncoder().encode(value);
+  if (bytes.length <= maxBytes) return value;
+  return new TextDecoder().decode(bytes.slice(0, maxBytes)).replace(/\uFFFD+$/, '');
+}
+
+/**
+ * 提取索引所需的字段，字段名与文件元数据保持一致，列表接口可直接返回
+ * 写入文件记录前调用可提前发现索引超出 KV 大小限制，避免记录与索引不一致
+ * @throws {Error} 去掉图片元数据后仍超过 KV 的 1024 字节限制
+ */
+export function toIndexMetadata(key, metadata, storageType) {
+  const fileName = String(metadata.fileName || key);
+  const indexMetadata = {
+    key,
+    fileName: truncateUtf8(fileName, MAX_NAME_BYTES),
+    fileType: getFileType(fileName),
+    fileSize: Number(metadata.fileSize) || 0,
+    TimeStamp: Number(metadata.TimeStamp) || 0,
+    ListType: metadata.ListType || 'None',
+    Label: metadata.Label || 'None',
+    liked: Boolean(metadata.liked),
+    storageType,
+    ...(metadata.tags?.length ? { tags: metadata.tags } : {}),
+    ...(metadata.trashedAt ? { trashedAt: metadata.trashedAt } : {}),
+    ...(metadata.purge ? { purgeAttempts: metadata.purge.attempts } : {}),
+    ...(metadata.expiresAt ? { expiresAt: metadata.expiresAt } : {}),
+    ...(metadata.maxViews ? { maxViews: metadata.maxViews } : {}),
+    ...(metadata.destroyedAt ? { destroyedAt: metadata.destroyedAt } : {}),
+    ...(metadata.passwordHash ? { passwordProtected: true } : {}),
+    ...(metadata.private ? { private: true } : {}),
+    ...pickImageInfo(metadata)
+  };
+
+  for (const field of [...IMAGE_INFO_FIELDS].reverse()) {
+    if (metadataSize(indexMetadata) <= MAX_METADATA_SIZE) break;
+    delete indexMetadata[field];
+  }
+  const size = metadataSize(indexMetadata);
+  if (size > MAX_METADATA_SIZE) {
+    throw new Error(`文件索引元数据为 ${size} 字节，超过 KV 的 ${MAX_METADATA_SIZE} 字节限制`);
+  }
+  return indexMetadata;
+}
+
+/**
+ * 写入或更新文件的索引记录
+ * @param {KVNamespace} kv KV 命名空间
+ * @param {string} key 文件记录的 KV Key
+ * @param {object} metadata 文件元数据
+ * @param {string} storageType 存储后端类型
+ */
+export async function updateFileIndex(kv, key, metadata, storageType) {
+  if (!kv || !metadata) return;
+  await kv.put(fileIndexKey(key, metadata), '', {
+    metadata: toIndexMetadata(key, metadata, storageType)
+  });
+}
+
+/**
+ * 删除文件的索引记录
+ */
+export async function removeFileIndex(kv, key, metadata) {
+  if (!kv || !metadata) return;
+  await kv.delete(fileIndexKey(key, metadata));
+}
+
+/**
+ * 从查询参数解析筛选与排序条件
+ * 未指定任何条件时返回 null，由调用方保持原有的直接列出行为
+ * @param {URLSearchParams} params
+ * @returns {object|null}
+ */
+export function parseFileQuery(params) {
+  const names = ['q', 'type', 'minSize', 'maxSize', 'from', 'to', 'liked', 'listType', 'label', 'album', 'tag', 'trash', 'sort', 'order'];
+  if (!names.some(name => params.has(name))) return null;
+
+  const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+  const number = (value) => {
+    if (value === null || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  // 日期支持毫秒时间戳或可被 Date.parse 解析的字符串
+  const date = (value) => {
+    if (!value) return null;
+    const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+
+  // 未指定时为 null，由 queryFileIndex 决定默认排序
+  const sort = SORT_FIELDS.includes(params.get('sort')) ? params.get('sort') : null;
+  const order = ['asc', 'desc'].includes(params.get('order')) ? params.get('order') : null;
+
+  const liked = params.get('liked');
+  return {
+    q: (params.get('q') || '').toLowerCase(),
+    types: list(params.get('type')).filter(type => FILE_TYPES.includes(type)),
+    minSize: number(params.get('minSize')),
+    maxSize: number(params.get('maxSize')),
+    from: date(params.get('from')),
+    to: date(params.get('to')),
+    liked: liked === 'true' ? true : liked === 'false' ? false : null,
+    listTypes: list(params.get('listType')),
+    labels: list(params.get('label')),
+    storageTypes: list(params.get('storage')).map(type => (type === 'kv' ? 'telegram' : type)),
+    album: params.get('album') || null,
+    albumFiles: null, // 由调用方读取相册后填入 Map<kvKey, 位置>
+    tags: list(params.get('tag')).map(tag => tag.toLowerCase()),
+    tagMode: params.get('tagMode') === 'and' ? 'and' : 'or',
+    trash: params.get('trash') === '1' || params.get('trash') === 'true', // 只列出回收站中的文件
+    sort,
+    order
+  };
+}
+
+/**
+ * 判断索引记录是否满足筛选条件
+ */
+export function matchesFileQuery(entry, query) {
+  if (Boolean(entry.trashedAt) !== Boolean(query.trash)) return false;
+  if (query.q && !entry.fileName.toLowerCase().includes(query.q)) return false;
+  if (query.types.length && !query.types.includes(entry.fileType)) return false;
+  if (query.minSize !== null && entry.fileSize < query.minSize) return false;
+  if (query.maxSize !== null && entry.fileSize > query.maxSize) return false;
+  if (query.from !== null && entry.TimeStamp < query.from) return false;
+  if (query.to !== null && entry.TimeStamp > query.to) return false;
+  if (query.liked !== null && entry.liked !== query.liked) return false;
+  if (query.listTypes.length && !query.listTypes.includes(entry.ListType)) return false;
+  if (query.labels.length && !query.labels.includes(entry.Label)) return false;
+  if (query.storageTypes.length && !query.storageTypes.includes(entry.storageType)) return false;
+  if (query.albumFiles && !query.albumFiles.has(entry.key)) return false;
+  if (query.tags.length) {
+    const tags = entry.tags || [];
+    const matches = query.tagMode === 'and'
+      ? query.tags.every(tag => tags.includes(tag))
+      : query.tags.some(tag => tags.includes(tag));
+    if (!matches) return false;
+  }
+  return true;
+}
+
+/**
+ * 按条件查询文件索引
+ * 返回格式与 KV list 一致：{ keys: [{ name, metadata }], list_complete, cursor }
+ * @param {KVNamespace} kv KV 命名空间
+ * @param {object} query parseFileQuery 的结果
+ * @param {{ limit: number, cursor?: string }} options
+ */
+export async function queryFileIndex(kv, query, { limit, cursor }) {
+  const state = decodeCursor(cursor);
+  // 默认按时间倒序；按相册筛选时默认使用相册内的顺序
+  const sort = query.sort || (query.albumFiles ? 'position' : 'time');
+  const order = query.order || (sort === 'name' || sort === 'position' ? 'asc' : 'desc');
+  if (sort === 'time' && order === 'desc') {
+    return await scanIndex(kv, query, limit, state);
+  }
+  return await sortIndex(kv, query, limit, state, sort, order);
+}
+
+/**
+ * 默认排序（最新在前）与索引顺序一致，直接按 KV 页扫描
+ * 游标记录当前 KV 页的 cursor 和已返回的最后一个索引 Key，
+ * 重新读取同一页时跳过已返回的条目，新上传的文件不会导致重复或遗漏
+ */
+async function scanIndex(kv, query, limit, state) {
+  const keys = [];
+  let pageCursor = state?.c;
+  let after = state?.a;
+
+  for (let pages = 0; pages < MAX_PAGES_PER_REQUEST; pages++) {
+    const page = await kv.list({ prefix: KEY_PREFIXES.INDEX, limit: LIST_PAGE_SIZE, cursor: pageCursor });
+
+    for (const key of page.keys) {
+      if (after && key.name <= after) continue;
+      if (!key.metadata || !matchesFileQuery(key.metadata, query)) continue;
+      keys.push(toListEntry(key.metadata));
+      if (keys.length >= limit) {
+        return { keys, list_complete: false, cursor: encodeCursor({ c: pageCursor, a: key.name }) };
+      }
+    }
+
+    if (page.list_complete) {
+      return { keys, list_complete: true };
+    }
+    pageCursor = page.cursor;
+    after = undefined;
+  }
+
+  return { keys, list_complete: false, cursor: encodeCursor({ c: pageCursor }) };
+}
+
+/**
+ * 其他排序需要读取索引后在内存中排序，每次翻页都重新读取（每 1000 个文件一次 KV list）
+ * 最多读取 MAX_SORT_PAGES 页，文件更多时只对最新上传的部分排序，结果中 truncated 为 true
+ * 游标为上一页最后一条的排序值和索引 Key（keyset 分页），翻页期间有增删也不会错位
+ */
+async function sortIndex(kv, query, limit, state, sort, order) {
+  const entries = [];
+  let pageCursor;
+  let truncated = false;
+  for (let pages = 0; ; pages++) {
+    if (pages >= MAX_SORT_PAGES) {
+      truncated = true;
+      break;
+    }
+    const page = await kv.list({ prefix: KEY_PREFIXES.INDEX, limit: LIST_PAGE_SIZE, cursor: pageCursor });
+    for (const key of page.keys) {
+      if (key.metadata && matchesFileQuery(key.metadata, query)) {
+        entries.push({ id: key.name, value: sortValue(key.metadata, sort, query), metadata: key.metadata });
+      }
+    }
+    if (page.list_complete) break;
+    pageCursor = page.cursor;
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const primary = a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+    return (primary || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)) * direction;
+  };
+  entries.sort(compare);
+
+  const start = state && state.v !== undefined
+    ? entries.findIndex(entry => compare(entry, { id: state.a, value: state.v }) > 0)
+    : 0;
+  if (start === -1) {
+    return { keys: [], list_complete: true, ...(truncated ? { truncated } : {}) };
+  }
+
+  const pageEntries = entries.slice(start, start + limit);
+  const complete = start + limit >= entries.length;
+  const last = pageEntries[pageEntries.length - 1];
+  return {
+    keys: pageEntries.map(entry => toListEntry(entry.metadata)),
+    list_complete: complete,
+    ...(complete ? {} : { cursor: encodeCursor({ a: last.id, v: last.value }) }),
+    ...(truncated ? { truncated } : {})
+  };
+}
+
+/**
+ * 读取全部索引记录
+ * @returns {Promise<Array<{ name: string, metadata: object }>>}
+ */
+export async function listIndexEntries(kv) {
+  const entries = [];
+  let pageCursor;
+  do {
+    const page = await kv.list({ prefix: KEY_PREFIXES.INDEX, limit: LIST_PAGE_SIZE, cursor: pageCursor });
+    entries.push(...page.keys.filter(key => key.metadata));
+    pageCursor = page.list_complete ? undefined : page.cursor;
+  } while (pageCursor);
+  return entries;
+}
+
+function sortValue(entry, sort, query) {
+  if (sort === 'position') return query.albumFiles.get(entry.key);
+  if (sort === 'size') return entry.fileSize;
+  if (sort === 'name') return entry.fileName.toLowerCase();
+  return entry.TimeStamp;
+}
+
+function toListEntry(entry) {
+  const { key, ...metadata } = entry;
+  return { name: key, metadata };
+}
+
+// 游标使用 base64url 编码的 JSON，文件名可能包含非 ASCII 字符
+function encodeCursor(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return null;
+  }
+}
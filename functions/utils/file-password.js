@@ -0,0 +1,133 @@
+/**
+ * 文件访问密码
+ * 密码以加盐 PBKDF2 哈希保存在元数据 passwordHash 中（格式 pbkdf2$迭代次数$盐$哈希），
+ * 访问时通过 ?pwd= 参数或解锁后写入的 Cookie 验证
+ *
+ * 解锁 Cookie 按文件区分名称，值为以密码哈希为密钥对文件 Key 计算的 HMAC，
+ * 修改或移除密码后旧 Cookie 自动失效
+ */
+import { isAdminRequest } from './auth.js';
+
+const PBKDF2_ITERATIONS = 100000; // Workers 支持的最大迭代次数
+const UNLOCK_COOKIE_PREFIX = 'file_unlock_';
+const UNLOCK_DURATION = 24 * 60 * 60; // 解锁有效期（秒）
+export const MAX_PASSWORD_LENGTH = 128;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return toHex(bits);
+}
+
+/**
+ * 长度相同的字符串按时间恒定的方式比较
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * 校验并规范化上传或设置时提供的密码
+ * @returns {string|null} 未提供密码时返回 null
+ * @throws {Error} 密码过长
+ */
+export function normalizePassword(password) {
+  if (password === undefined || password === null || password === '') return null;
+  const value = String(password);
+  if (value.length > MAX_PASSWORD_LENGTH) {
+    throw new Error(`密码不能超过 ${MAX_PASSWORD_LENGTH} 个字符`);
+  }
+  return value;
+}
+
+/**
+ * 计算密码的加盐哈希
+ * @returns {Promise<string>} 保存到元数据 passwordHash 的字符串
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derive(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toHex(salt)}$${hash}`;
+}
+
+/**
+ * 验证密码
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, iterations, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'pbkdf2' || !salt || !hash || typeof password !== 'string') return false;
+  return safeEqual(await derive(password, fromHex(salt), Number(iterations)), hash);
+}
+
+async function unlockToken(kvKey, passwordHash) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(passwordHash), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(kvKey)));
+}
+
+async function unlockCookieName(kvKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(kvKey));
+  return UNLOCK_COOKIE_PREFIX + toHex(digest).slice(0, 16);
+}
+
+function getCookie(request, name) {
+  const cookieHeader = request.headers.get('Cookie');
+  if (!cookieHeader) return null;
+  for (const cookie of cookieHeader.split(';')) {
+    const [cookieName, value] = cookie.trim().split('=');
+    if (cookieName === name) return value;
+  }
+  return null;
+}
+
+/**
+ * 生成解锁 Cookie
+ * @returns {Promise<string>} Set-Cookie 头的值
+ */
+export async function createUnlockCookieHeader(kvKey, passwordHash) {
+  const name = await unlockCookieName(kvKey);
+  const token = await unlockToken(kvKey, passwordHash);
+  return `${name}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${UNLOCK_DURATION}`;
+}
+
+/**
+ * 检查请求是否可以访问受密码保护的文件
+ * 依次检查：未设置密码、?pwd= 参数、解锁 Cookie、已登录的管理员（仅在启用认证时）
+ * @param {object} context 请求上下文
+ * @param {string} kvKey 文件记录的 KV Key
+ * @param {object} metadata 文件元数据
+ * @returns {Promise<{ allowed: boolean, setCookie?: string, wrongPassword?: boolean }>}
+ *   通过 ?pwd= 验证时返回 setCookie，调用方应写入响应以便后续请求免输密码
+ */
+export async function checkFileAccess(context, kvKey, metadata) {
+  const passwordHash = metadata?.passwordHash;
+  if (!passwordHash) return { allowed: true };
+
+  const { request } = context;
+  const pwd = new URL(request.url).searchParams.get('pwd');
+  if (pwd !== null) {
+    if (await verifyPassword(pwd, passwordHash)) {
+      return { allowed: true, setCookie: await createUnlockCookieHeader(kvKey, passwordHash) };
+    }
+    return { allowed: false, wrongPassword: true };
+  }
+
+  const cookie = getCookie(request, await unlockCookieName(kvKey));
+  if (cookie && safeEqual(cookie, await unlockToken(kvKey, passwordHash))) {
+    return { allowed: true };
+  }
+
+  return { allowed: await isAdminRequest(context) };
+}
@@ -0,0 +1,127 @@
+/**
+ * 文件记录操作
+ * 单个与批量管理接口共用，保证 KV 记录、哈希索引、列表索引和相册保持同步
+ */
+import { getRecordWithKey } from './storage.js';
+import { deleteAllReplicas, removeHashIndex, resolveStorageType } from './backends/index.js';
+import { updateFileIndex, removeFileIndex, toIndexMetadata } from './file-index.js';
+import { removeFilesFromAllAlbums } from './albums.js';
+import { deleteThumbnail } from './thumbnails.js';
+import { edgeCacheKey } from './edge-cache.js';
+
+const MAX_PURGE_ERROR_LENGTH = 120;
+
+/**
+ * 修改文件元数据并同步列表索引
+ * @param {object} env 环境变量
+ * @param {string} fileId 文件 ID（可带前缀）
+ * @param {(metadata: object, kvKey: string) => object} update 返回新的元数据
+ * @returns {Promise<{ kvKey: string, metadata: object }|null>} 文件不存在时返回 null
+ */
+export async function updateFileRecord(env, fileId, update) {
+  const { record, kvKey } = await getRecordWithKey(env.img_url, fileId);
+  if (!record) return null;
+
+  const metadata = update({ ...record.metadata }, kvKey);
+  // 索引超出大小限制时在写入记录前抛错，避免记录与索引不一致
+  toIndexMetadata(kvKey, metadata, resolveStorageType({ key: kvKey, metadata }));
+  await env.img_url.put(kvKey, record.value ?? '', { metadata });
+  await updateFileIndex(env.img_url, kvKey, metadata, resolveStorageType({ key: kvKey, metadata }));
+  return { kvKey, metadata };
+}
+
+/**
+ * 删除文件：删除所有副本和缩略图，再删除 KV 记录及其索引
+ * 任一副本删除失败时保留记录并移入回收站（不再对外提供访问），metadata.purge 记录失败原因、尝试次数和已删除的副本，
+ * 下一次清理（定时任务或管理员彻底删除）只重试剩余副本，全部删除后才删除记录
+ * 已焚毁（destroyedAt）的文件远端对象已不存在，只删除记录
+ * @param {object} env 环境变量
+ * @param {string} fileId 文件 ID（可带前缀）
+ * @param {{ removeFromAlbums?: boolean }} options 批量删除时可关闭，由调用方统一清理相册
+ * @returns {Promise<{ kvKey: string, metadata: object, replicas: Array, remoteDeleted: boolean, kept: boolean }|null>}
+ *   kept 为 true 时记录未删除，metadata 为保留的新元数据
+ */
+export async function deleteFileRecord(env, fileId, { removeFromAlbums = true } = {}) {
+  const { record, kvKey } = await getRecordWithKey(env.img_url, fileId);
+  if (!record) return null;
+
+  const entry = { key: kvKey, metadata: record.metadata };
+  const purge = record.metadata.purge || { attempts: 0, deleted: [] };
+  const replicas = record.metadata.destroyedAt ? [] : await deleteAllReplicas(entry, env, { skip: purge.deleted });
+  const failures = replicas.filter(result => !result.deleted);
+
+  if (failures.length) {
+    const metadata = {
+      ...record.metadata,
+      trashedAt: record.metadata.trashedAt || Date.now(),
+      purge: {
+        attempts: purge.attempts + 1,
+        deleted: [...purge.deleted, ...replicas.filter(result => result.deleted).map(result => result.index)],
+        error: formatPurgeError(failures)
+      }
+    };
+    await env.img_url.put(kvKey, record.value ?? '', { metadata });
+    await updateFileIndex(env.img_url, kvKey, metadata, resolveStorageType({ key: kvKey, metadata }));
+    return { kvKey, metadata, replicas, remoteDeleted: false, kept: true };
+  }
+
+  await deleteThumbnail(env, kvKey, record.metadata);
+  await env.img_url.delete(kvKey);
+  await removeHashIndex(env, entry);
+  await removeFileIndex(env.img_url, kvKey, record.metadata);
+  if (removeFromAlbums) {
+    await removeFilesFromAllAlbums(env.img_url, [kvKey]);
+  }
+
+  return { kvKey, metadata: record.metadata, replicas, remoteDeleted: true, kept: false };
+}
+
+/**
+ * 副本删除失败的原因，截断后保存在元数据中（KV 元数据限制 1024 字节）
+ * @param {Array<{ storageType: string, error: string|null }>} failures deleteAllReplicas 中失败的结果
+ */
+function formatPurgeError(failures) {
+  return failures.map(result => `${result.storageType}: ${result.error}`).join('; ').slice(0, MAX_PURGE_ERROR_LENGTH);
+}
+
+/**
+ * 删除结果的接口响应字段
+ * @param {{ kvKey: string, replicas: Array, remoteDeleted: boolean, kept: boolean }} deleted deleteFileRecord 的返回值
+ */
+export function deletionSummary({ kvKey, replicas, remoteDeleted, kept }) {
+  const failed = replicas.filter(result => !result.deleted).map(result => result.storageType);
+  return {
+    message: kept
+      ? `Remote deletion failed (${failed.join(', ')}), record kept in trash for retry.`
+      : 'Deleted from storage and KV.',
+    kvKey,
+    storageType: replicas[0]?.storageType,
+    remoteDeleted,
+    kept,
+    replicas,
+    warning: kept ? `Remote deletion failed: ${failed.join(', ')}. Purge again to retry.` : ''
+  };
+}
+
+/**
+ * 清除边缘缓存中的文件响应和文件内容（失败不影响主流程）
+ * Cache API 只作用于当前数据中心，其他数据中心的缓存仍由 file/[id].js 按 KV 记录拦截
+ * @param {string} origin 站点 origin
+ * @param {string} fileId 文件 ID
+ * @param {string} [kvKey] 文件的 KV Key，默认与文件 ID 相同
+ */
+export async function purgeEdgeCache(origin, fileId, kvKey = fileId) {
+  try {
+    const cache = caches.default;
+    const urlsToPurge = [
+      `${origin}/file/${fileId}`,
+      `${origin}/file/${encodeURIComponent(fileId)}`,
+    ];
+    for (const url of urlsToPurge) {
+      await cache.delete(new Request(url));
+    }
+    await cache.delete(edgeCacheKey(origin, kvKey));
+  } catch (e) {
+    console.warn('Edge cache purge failed (non-critical):', e.message);
+  }
+}
@@ -80,7 +80,7 @@ export async function uploadToHuggingFace(fileBuffer, pathInRepo, fileName, env)
  * 返回一个可以直接代理给客户端的 Response
  * @param {string} pathInRepo - 文件在仓库中的路径
  * @param {object} env - 环境变量
- * @param {object} options - 可选参数 { range }
+ * @param {object} options - 可选参数 { range, method }
  */
 export async function getHuggingFaceFile(pathInRepo, env, options = {}) {
     const HF_REPO = env.HF_REPO;
@@ -96,6 +96,7 @@ export async function getHuggingFaceFile(pathInRepo, env, options = {}) {
     }
 
     const response = await fetch(url, {
+        method: options.method || 'GET',
         headers,
         redirect: 'follow'
     });
@@ -121,36 +122,35 @@ export async function deleteHuggingFaceFile(pathInRepo, env) {
         return false;
     }
 
-    try {
-        const headerLine = JSON.stringify({
-            key: 'header',
-            value: { summary: `Delete ${pathInRepo}` }
-        });
-
-        const deleteLine = JSON.stringify({
-            key: 'deletedFile',
-            value: { path: pathInRepo }
-        });
+    const headerLine = JSON.stringify({
+        key: 'header',
+        value: { summary: `Delete ${pathInRepo}` }
+    });
 
-        const body = headerLine + '\n' + deleteLine;
+    const deleteLine = JSON.stringify({
+        key: 'deletedFile',
+        value: { path: pathInRepo }
+    });
 
-        const response = await fetch(
-            `https://huggingface.co/api/datasets/${HF_REPO}/commit/main`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${HF_TOKEN}`,
-                    'Content-Type': 'application/x-ndjson'
-                },
-                body: body
-            }
-        );
+    const body = headerLine + '\n' + deleteLine;
+
+    const response = await fetch(
+        `https://huggingface.co/api/datasets/${HF_REPO}/commit/main`,
+        {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${HF_TOKEN}`,
+                'Content-Type': 'application/x-ndjson'
+            },
+            body: body
+        }
+    );
 
-        return response.ok;
-    } catch (error) {
-        console.error('HF delete error:', error);
-        return false;
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`HuggingFace delete failed (${response.status}): ${text}`);
     }
+    return true;
 }
 
 /**
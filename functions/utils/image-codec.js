@@ -0,0 +1,122 @@
+/**
+ * 图片编解码（jSquash，纯 WASM，本地 wrangler dev 与线上均可运行）
+ * Workers 中不能按路径加载 WASM，各编解码器的 .wasm 作为模块导入后手动初始化
+ * 体积较大，只在需要处理图片时通过动态 import 加载
+ */
+import decodeJpeg, { init as initJpegDecode } from '@jsquash/jpeg/decode.js';
+import encodeJpeg, { init as initJpegEncode } from '@jsquash/jpeg/encode.js';
+import decodePng, { init as initPngDecode } from '@jsquash/png/decode.js';
+import encodePng, { init as initPngEncode } from '@jsquash/png/encode.js';
+import decodeWebp, { init as initWebpDecode } from '@jsquash/webp/decode.js';
+import encodeWebp, { init as initWebpEncode } from '@jsquash/webp/encode.js';
+import decodeAvif, { init as initAvifDecode } from '@jsquash/avif/decode.js';
+import encodeAvif, { init as initAvifEncode } from '@jsquash/avif/encode.js';
+import resize, { initResize } from '@jsquash/resize';
+
+import JPEG_DEC_WASM from '@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm';
+import JPEG_ENC_WASM from '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm';
+import PNG_WASM from '@jsquash/png/codec/pkg/squoosh_png_bg.wasm';
+import WEBP_DEC_WASM from '@jsquash/webp/codec/dec/webp_dec.wasm';
+import WEBP_ENC_WASM from '@jsquash/webp/codec/enc/webp_enc_simd.wasm';
+import AVIF_DEC_WASM from '@jsquash/avif/codec/dec/avif_dec.wasm';
+import AVIF_ENC_WASM from '@jsquash/avif/codec/enc/avif_enc.wasm';
+import RESIZE_WASM from '@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm';
+
+import { computeTargetSize, exceedsPixelLimit, MAX_TRANSFORM_PIXELS } from './image-transform.js';
+import { readImageInfo } from './image-metadata.js';
+
+// Workers 没有 ImageData，PNG 和缩放模块依赖它
+if (typeof globalThis.ImageData === 'undefined') {
+  globalThis.ImageData = class ImageData {
+    constructor(data, width, height) {
+      this.data = data;
+      this.width = width;
+      this.height = height;
+    }
+  };
+}
+
+const CODECS = {
+  jpeg: { decode: decodeJpeg, encode: encodeJpeg, init: () => Promise.all([initJpegDecode(JPEG_DEC_WASM), initJpegEncode(JPEG_ENC_WASM)]) },
+  png: { decode: decodePng, encode: encodePng, init: () => Promise.all([initPngDecode(PNG_WASM), initPngEncode(PNG_WASM)]) },
+  webp: { decode: decodeWebp, encode: encodeWebp, init: () => Promise.all([initWebpDecode(WEBP_DEC_WASM), initWebpEncode(WEBP_ENC_WASM)]) },
+  avif: { decode: decodeAvif, encode: encodeAvif, init: () => Promise.all([initAvifDecode(AVIF_DEC_WASM), initAvifEncode(AVIF_ENC_WASM)]) }
+};
+
+const ready = new Map();
+
+function getCodec(format) {
+  const codec = CODECS[format];
+  if (!codec) {
+    throw new Error(`不支持的图片格式: ${format}`);
+  }
+  if (!ready.has(format)) {
+    ready.set(format, codec.init());
+  }
+  return ready.get(format).then(() => codec);
+}
+
+/**
+ * 解码图片
+ * 解码前从文件头读取宽高，超过 MAX_TRANSFORM_PIXELS 或无法读取时不解码
+ * @param {ArrayBuffer} buffer 原图数据
+ * @param {string} format jpeg | png | webp | avif
+ * @returns {Promise<ImageData>}
+ */
+export async function decodeImage(buffer, format) {
+  const { width, height } = readImageInfo(new Uint8Array(buffer), `image.${format}`);
+  if (!width || !height) {
+    throw new Error('无法读取图片尺寸');
+  }
+  if (exceedsPixelLimit(width, height)) {
+    throw new Error(`图片尺寸 ${width}x${height} 超过 ${MAX_TRANSFORM_PIXELS / 1000 / 1000} 百万像素，不做处理`);
+  }
+  const codec = await getCodec(format);
+  return await codec.decode(buffer);
+}
+
+/**
+ * 编码图片
+ * @param {ImageData} image 像素数据
+ * @param {string} format jpeg | png | webp | avif
+ * @param {number|null} quality 质量（png 忽略）
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function encodeImage(image, format, quality) {
+  const codec = await getCodec(format);
+  return await codec.encode(image, quality ? { quality } : {});
+}
+
+/**
+ * 按处理选项缩放图片，尺寸不变时原样返回
+ * @param {ImageData} image 像素数据
+ * @param {{ width: number|null, height: number|null, fit: string }} options
+ * @returns {Promise<ImageData>}
+ */
+export async function resizeImage(image, options) {
+  const target = computeTargetSize(image.width, image.height, options);
+  if (target.width === image.width && target.height === image.height) {
+    return image;
+  }
+  await initResize(RESIZE_WASM);
+  // jSquash 的 fitMethod: 'contain' 为先按目标比例居中裁剪再缩放
+  return await resize(image, {
+    width: target.width,
+    height: target.height,
+    fitMethod: target.crop ? 'contain' : 'stretch'
+  });
+}
+
+/**
+ * 解码、缩放并重新编码
+ * @param {ArrayBuffer} buffer 原图数据
+ * @param {string} inputFormat 原图格式
+ * @param {object} options resolveTransformOptions 的返回值
+ * @param {(image: ImageData) => Promise<ImageData>} [process] 编码前对像素的额外处理（如水印）
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function transformImage(buffer, inputFormat, options, process) {
+  const image = await decodeImage(buffer, inputFormat);
+  const resized = await resizeImage(image, options);
+  return await encodeImage(process ? await process(resized) : resized, options.format, options.quality);
+}
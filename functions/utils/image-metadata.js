@@ -0,0 +1,305 @@
+/**
+ * 图片元数据
+ * 上传时只解析文件头得到宽高和 EXIF（方向、拍摄时间、相机型号），不解码像素；
+ * 主色调和 BlurHash 占位图需要解码，在后台生成缩略图时一并计算（见 thumbnails.js）
+ *
+ * 保存的 width / height 为按 EXIF 方向校正后的显示尺寸，前端可直接用于预留宽高比
+ */
+import { getFileType } from './storage.js';
+import { findBox } from './media-cover.js';
+import { encodeBlurhash } from './blurhash.js';
+
+const MAX_CAMERA_LENGTH = 64; // KV metadata 总大小限制 1024 字节
+
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+
+/**
+ * 从图片文件头解析宽高与 EXIF
+ * @param {Uint8Array} bytes 文件内容
+ * @param {string} fileName 文件名，非图片直接返回空对象
+ * @returns {{ width?: number, height?: number, orientation?: number, takenAt?: string, cameraModel?: string }}
+ *   可直接合并到元数据；无法识别的字段省略
+ */
+export function readImageInfo(bytes, fileName) {
+  if (getFileType(fileName) !== 'image') return {};
+  try {
+    const header = readImageHeader(bytes);
+    if (!header) return {};
+
+    const exif = header.exif ? readExif(header.exif) : {};
+    const info = {};
+    const rotated = exif.orientation >= 5 && exif.orientation <= 8;
+    if (header.width && header.height) {
+      info.width = rotated ? header.height : header.width;
+      info.height = rotated ? header.width : header.height;
+    }
+    if (exif.orientation && exif.orientation !== 1) info.orientation = exif.orientation;
+    if (exif.takenAt) info.takenAt = exif.takenAt;
+    if (exif.cameraModel) info.cameraModel = exif.cameraModel;
+    return info;
+  } catch (error) {
+    console.warn('Image metadata parse failed:', error.message);
+    return {};
+  }
+}
+
+/**
+ * 根据解码后的像素计算占位信息
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image 像素数据（建议先缩小）
+ * @returns {{ dominantColor: string, blurhash: string }}
+ */
+export function computePlaceholder(image) {
+  const componentX = image.width >= image.height ? 4 : 3;
+  const componentY = image.width >= image.height ? 3 : 4;
+  return {
+    dominantColor: dominantColor(image),
+    blurhash: encodeBlurhash(image.data, image.width, image.height, componentX, componentY)
+  };
+}
+
+/**
+ * 按 EXIF 方向旋转或翻转像素，得到显示方向的图片
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image 像素数据
+ * @param {number} orientation EXIF 方向（1-8）
+ */
+export function applyOrientation(image, orientation) {
+  if (!orientation || orientation === 1 || orientation > 8) return image;
+
+  const { width, height, data } = image;
+  const rotated = orientation >= 5;
+  const outWidth = rotated ? height : width;
+  const outHeight = rotated ? width : height;
+  const out = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sx;
+      let sy;
+      switch (orientation) {
+        case 2: sx = width - 1 - x; sy = y; break;
+        case 3: sx = width - 1 - x; sy = height - 1 - y; break;
+        case 4: sx = x; sy = height - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = height - 1 - x; break;
+        case 7: sx = width - 1 - y; sy = height - 1 - x; break;
+        default: sx = width - 1 - y; sy = x; break; // 8
+      }
+      const from = (sy * width + sx) * 4;
+      const to = (y * outWidth + x) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+  return new ImageData(out, outWidth, outHeight);
+}
+
+// 出现次数最多的颜色（每通道量化为 16 级），忽略透明像素
+function dominantColor({ data }) {
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const bucket = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const entry = buckets.get(bucket) || [0, 0, 0, 0];
+    entry[0]++;
+    entry[1] += data[i];
+    entry[2] += data[i + 1];
+    entry[3] += data[i + 2];
+    buckets.set(bucket, entry);
+  }
+
+  let best = null;
+  for (const entry of buckets.values()) {
+    if (!best || entry[0] > best[0]) best = entry;
+  }
+  if (!best) return '#000000';
+  return '#' + best.slice(1).map(sum => Math.round(sum / best[0]).toString(16).padStart(2, '0')).join('');
+}
+
+function readAscii(bytes, offset, length) {
+  if (offset + length > bytes.length) return '';
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint16BE(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint24LE(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+function stripExifPrefix(bytes) {
+  return readAscii(bytes, 0, 6) === 'Exif\0\0' ? bytes.subarray(6) : bytes;
+}
+
+/**
+ * 识别图片格式并读取宽高，exif 为 TIFF 格式的 EXIF 数据
+ * @returns {{ width: number, height: number, exif: Uint8Array|null }|null}
+ */
+function readImageHeader(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return readJpegHeader(bytes);
+  if (bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') return readPngHeader(bytes);
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') return readWebpHeader(bytes);
+  if (readAscii(bytes, 0, 4) === 'GIF8') {
+    return { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8), exif: null };
+  }
+  if (readAscii(bytes, 0, 2) === 'BM') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)), exif: null };
+  }
+  if (readAscii(bytes, 4, 4) === 'ftyp') {
+    // AVIF / HEIC：主图尺寸在 meta/iprp/ipco/ispe 中
+    const ispe = findBox(bytes, ['meta', 'iprp', 'ipco', 'ispe']);
+    if (!ispe) return null;
+    return { width: readUint32BE(bytes, ispe.start + 4), height: readUint32BE(bytes, ispe.start + 8), exif: null };
+  }
+  return null;
+}
+
+function readJpegHeader(bytes) {
+  const result = { width: 0, height: 0, exif: null };
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const length = readUint16BE(bytes, offset + 2);
+    const start = offset + 4;
+
+    if (marker === 0xe1 && !result.exif && readAscii(bytes, start, 6) === 'Exif\0\0') {
+      result.exif = bytes.subarray(start + 6, offset + 2 + length);
+    }
+    // SOF0-SOF15（不含 DHT、JPG、DAC）
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      result.height = readUint16BE(bytes, start + 1);
+      result.width = readUint16BE(bytes, start + 3);
+      return result;
+    }
+    if (marker === 0xda) break; // 图像数据开始
+    offset += 2 + length;
+  }
+  return result.width ? result : null;
+}
+
+function readPngHeader(bytes) {
+  const result = { width: readUint32BE(bytes, 16), height: readUint32BE(bytes, 20), exif: null };
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    if (type === 'eXIf') {
+      result.exif = stripExifPrefix(bytes.subarray(offset + 8, offset + 8 + length));
+      break;
+    }
+    if (type === 'IDAT' || type === 'IEND') break;
+    offset += 12 + length;
+  }
+  return result;
+}
+
+function readWebpHeader(bytes) {
+  const result = { width: 0, height: 0, exif: null };
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = readAscii(bytes, offset, 4);
+    const length = bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24);
+    const start = offset + 8;
+
+    if (type === 'VP8X') {
+      result.width = readUint24LE(bytes, start + 4) + 1;
+      result.height = readUint24LE(bytes, start + 7) + 1;
+    } else if (type === 'VP8 ' && !result.width) {
+      result.width = (bytes[start + 6] | (bytes[start + 7] << 8)) & 0x3fff;
+      result.height = (bytes[start + 8] | (bytes[start + 9] << 8)) & 0x3fff;
+    } else if (type === 'VP8L' && !result.width) {
+      const bits = bytes[start + 1] | (bytes[start + 2] << 8) | (bytes[start + 3] << 16) | (bytes[start + 4] << 24);
+      result.width = (bits & 0x3fff) + 1;
+      result.height = ((bits >> 14) & 0x3fff) + 1;
+    } else if (type === 'EXIF') {
+      result.exif = stripExifPrefix(bytes.subarray(start, start + length));
+    }
+    offset = start + length + (length % 2);
+  }
+  return result.width ? result : null;
+}
+
+/**
+ * 解析 TIFF 格式的 EXIF 数据
+ * @returns {{ orientation?: number, takenAt?: string, cameraModel?: string }}
+ */
+function readExif(tiff) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const order = readAscii(tiff, 0, 2);
+  if (order !== 'II' && order !== 'MM') return {};
+  const little = order === 'II';
+  if (view.getUint16(2, little) !== 42) return {};
+
+  const readIfd = (offset) => {
+    const tags = new Map();
+    if (offset + 2 > tiff.length) return tags;
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+      tags.set(view.getUint16(entry, little), entry);
+    }
+    return tags;
+  };
+
+  const readValue = (tags, tag) => {
+    const entry = tags.get(tag);
+    if (entry === undefined) return null;
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    if (type === 3) return view.getUint16(entry + 8, little);
+    if (type === 4) return view.getUint32(entry + 8, little);
+    if (type === 2) {
+      const start = count > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+      if (start + count > tiff.length) return null;
+      return readAscii(tiff, start, count).replace(/\0.*$/s, '').trim();
+    }
+    return null;
+  };
+
+  const ifd0 = readIfd(view.getUint32(4, little));
+  const exifOffset = readValue(ifd0, TAG_EXIF_IFD);
+  const exifIfd = exifOffset ? readIfd(exifOffset) : new Map();
+
+  const result = {};
+  const orientation = readValue(ifd0, TAG_ORIENTATION);
+  if (orientation >= 1 && orientation <= 8) result.orientation = orientation;
+
+  const date = readValue(exifIfd, TAG_DATE_TIME_ORIGINAL) || readValue(ifd0, TAG_DATE_TIME);
+  const match = typeof date === 'string' && date.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (match && match[1] !== '0000') {
+    // EXIF 时间不含时区，按拍摄地本地时间原样保存
+    result.takenAt = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+  }
+
+  const make = readValue(ifd0, TAG_MAKE);
+  const model = readValue(ifd0, TAG_MODEL);
+  if (typeof model === 'string' && model) {
+    const brand = typeof make === 'string' ? make.split(' ')[0] : '';
+    const camera = brand && !model.toLowerCase().startsWith(brand.toLowerCase()) ? `${make} ${model}` : model;
+    result.cameraModel = camera.slice(0, MAX_CAMERA_LENGTH);
+  }
+  return result;
+}
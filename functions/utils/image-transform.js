@@ -0,0 +1,134 @@
+/**
+ * 图片处理参数
+ * /file/:id?w=&h=&fit=&format=&q= 的解析与尺寸计算，编解码见 image-codec.js（WASM，按需加载）
+ *
+ *   w / h    目标宽高（像素），只给一个时按比例计算另一个
+ *   fit      scale-down（默认，只缩小不放大）| contain | cover（裁剪填满）| fill（拉伸）
+ *   format   webp | avif | jpeg | png，默认与原图相同
+ *   q        质量 1-100（png 忽略）
+ */
+
+export const MAX_TRANSFORM_DIMENSION = 4096;
+export const MAX_TRANSFORM_SOURCE_SIZE = 20 * 1024 * 1024; // 超过此大小的原图不做处理，避免超出 Worker 内存
+export const MAX_TRANSFORM_PIXELS = 25 * 1000 * 1000; // 解码后的 RGBA 像素约 100MB，体积小但尺寸大的图片同样不解码
+export const FIT_MODES = ['scale-down', 'contain', 'cover', 'fill'];
+export const OUTPUT_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'format', 'q'];
+const DEFAULT_QUALITY = { jpeg: 80, webp: 80, avif: 50 };
+
+/**
+ * 宽高是否超过可解码的像素数上限
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {boolean} 宽高未知时为 false
+ */
+export function exceedsPixelLimit(width, height) {
+  return Boolean(width && height) && width * height > MAX_TRANSFORM_PIXELS;
+}
+
+/**
+ * 可以解码的原图类型对应的格式名
+ */
+export function sourceFormat(mimeType) {
+  const format = Object.keys(OUTPUT_FORMATS).find(name => OUTPUT_FORMATS[name] === mimeType);
+  return format || null;
+}
+
+function parseInteger(params, name, min, max) {
+  const value = params.get(name);
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} 必须是 ${min} 到 ${max} 之间的整数`);
+  }
+  return number;
+}
+
+/**
+ * 从查询参数解析图片处理选项
+ * @param {URLSearchParams} params
+ * @returns {{ width: number|null, height: number|null, fit: string, format: string|null, quality: number|null }|null}
+ *   未指定任何处理参数时返回 null
+ * @throws {Error} 参数无效
+ */
+export function parseTransformOptions(params) {
+  if (!TRANSFORM_PARAMS.some(name => params.has(name))) return null;
+
+  const fit = params.get('fit') || 'scale-down';
+  if (!FIT_MODES.includes(fit)) {
+    throw new Error(`fit 必须是以下之一: ${FIT_MODES.join(', ')}`);
+  }
+
+  let format = params.get('format') || null;
+  if (format === 'jpg') format = 'jpeg';
+  if (format && !OUTPUT_FORMATS[format]) {
+    throw new Error(`format 必须是以下之一: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  return {
+    width: parseInteger(params, 'w', 1, MAX_TRANSFORM_DIMENSION),
+    height: parseInteger(params, 'h', 1, MAX_TRANSFORM_DIMENSION),
+    fit,
+    format,
+    quality: parseInteger(params, 'q', 1, 100)
+  };
+}
+
+/**
+ * 补全输出格式和质量，得到用于缓存 Key 的完整选项
+ * @param {object} options parseTransformOptions 的返回值
+ * @param {string} inputFormat 原图格式
+ */
+export function resolveTransformOptions(options, inputFormat) {
+  const format = options.format || inputFormat;
+  return {
+    ...options,
+    format,
+    quality: format === 'png' ? null : (options.quality || DEFAULT_QUALITY[format])
+  };
+}
+
+/**
+ * 处理结果在缓存中的标识，参数顺序固定
+ */
+export function transformCacheQuery(options) {
+  const parts = { w: options.width, h: options.height, fit: options.fit, format: options.format, q: options.quality };
+  return Object.entries(parts).map(([name, value]) => `${name}=${value ?? ''}`).join('&');
+}
+
+/**
+ * 计算输出尺寸
+ * @param {number} sourceWidth 原图宽度
+ * @param {number} sourceHeight 原图高度
+ * @param {{ width: number|null, height: number|null, fit: string }} options
+ * @returns {{ width: number, height: number, crop: boolean }} crop 为 true 时需先按目标比例居中裁剪
+ */
+export function computeTargetSize(sourceWidth, sourceHeight, { width, height, fit }) {
+  if (!width && !height) {
+    return { width: sourceWidth, height: sourceHeight, crop: false };
+  }
+
+  if (width && height && fit === 'fill') {
+    return { width, height, crop: false };
+  }
+  if (width && height && fit === 'cover') {
+    return { width, height, crop: true };
+  }
+
+  const ratios = [width && width / sourceWidth, height && height / sourceHeight].filter(Boolean);
+  let scale = Math.min(...ratios);
+  if (fit === 'scale-down') {
+    scale = Math.min(scale, 1);
+  }
+  return {
+    width: Math.max(1, Math.round(sourceWidth * scale)),
+    height: Math.max(1, Math.round(sourceHeight * scale)),
+    crop: false
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * 音视频内嵌封面提取
+ * 支持 MP3（ID3v2.3 / 2.4 APIC 帧）、FLAC（PICTURE 元数据块）以及 MP4 / M4A / MOV（moov/udta/meta/ilst/covr）
+ * 只解析容器结构，不解码音视频帧
+ */
+
+const MP4_COVER_PATH = ['moov', 'udta', 'meta', 'ilst', 'covr', 'data'];
+
+/**
+ * 根据文件头识别封面图片格式
+ * @returns {string|null} jpeg | png | webp，无法识别时返回 null
+ */
+export function detectImageFormat(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (bytes.length >= 8 && bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') return 'png';
+  if (bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') return 'webp';
+  return null;
+}
+
+/**
+ * 从文件开头的数据中提取封面
+ * @param {Uint8Array} bytes 文件开头的数据（无需完整文件）
+ * @returns {{ data: Uint8Array, format: string }|null} 未找到或格式无法识别时返回 null
+ */
+export function extractCoverArt(bytes) {
+  let data = null;
+  if (readAscii(bytes, 0, 3) === 'ID3') {
+    data = extractId3Cover(bytes);
+  } else if (readAscii(bytes, 0, 4) === 'fLaC') {
+    data = extractFlacCover(bytes);
+  } else if (readAscii(bytes, 4, 4) === 'ftyp') {
+    data = extractMp4Cover(bytes);
+  }
+
+  const format = data && detectImageFormat(data);
+  return format ? { data, format } : null;
+}
+
+/**
+ * 解析 MP4 box 头，用于在不读取完整文件的情况下遍历顶层 box（moov 可能位于文件末尾）
+ * @param {Uint8Array} bytes 以 box 开头的数据，至少 16 字节（64 位长度时）
+ * @returns {{ type: string, size: number }|null} size 为 0 表示延伸到文件末尾
+ */
+export function parseBoxHeader(bytes) {
+  const box = readBoxHeader(bytes, 0, 0);
+  return box ? { type: box.type, size: box.end } : null;
+}
+
+/**
+ * 按路径逐层查找 ISO BMFF（MP4 / MOV / AVIF / HEIC）box，meta 为 full box 时自动跳过版本和标志
+ * @param {Uint8Array} bytes 文件开头的数据
+ * @param {string[]} path 例如 ['moov', 'udta', 'meta']
+ * @returns {{ start: number, end: number }|null} 最后一层 box 内容的范围
+ */
+export function findBox(bytes, path) {
+  let start = 0;
+  let end = bytes.length;
+  for (const type of path) {
+    const box = findChildBox(bytes, start, end, type);
+    if (!box) return null;
+    start = box.start;
+    end = box.end;
+    if (type === 'meta') start += 4;
+  }
+  return { start, end };
+}
+
+function readAscii(bytes, offset, length) {
+  if (offset + length > bytes.length) return '';
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readSyncsafe(bytes, offset) {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function extractId3Cover(bytes) {
+  const version = bytes[3];
+  const flags = bytes[5];
+  // 只支持 2.3 / 2.4，整体非同步化（unsynchronisation）的标签不处理
+  if ((version !== 3 && version !== 4) || flags & 0x80) return null;
+
+  const tagEnd = Math.min(10 + readSyncsafe(bytes, 6), bytes.length);
+  let offset = 10;
+  if (flags & 0x40) {
+    // 扩展头：2.3 的长度不含自身 4 字节，2.4 为 syncsafe 且包含自身
+    offset += version === 4 ? readSyncsafe(bytes, offset) : readUint32(bytes, offset) + 4;
+  }
+
+  while (offset + 10 <= tagEnd) {
+    const frameId = readAscii(bytes, offset, 4);
+    if (!/^[A-Z0-9]{4}$/.test(frameId)) break; // 进入填充区
+    const size = version === 4 ? readSyncsafe(bytes, offset + 4) : readUint32(bytes, offset + 4);
+    const start = offset + 10;
+    const end = start + size;
+    if (end > tagEnd) break;
+
+    if (frameId === 'APIC') {
+      return parseApicFrame(bytes.subarray(start, end));
+    }
+    offset = end;
+  }
+  return null;
+}
+
+// APIC：编码(1) MIME(\0 结尾) 图片类型(1) 描述(按编码以 \0 或 \0\0 结尾) 图片数据
+function parseApicFrame(frame) {
+  const encoding = frame[0];
+  let offset = frame.indexOf(0, 1);
+  if (offset < 0) return null;
+  offset += 2; // 跳过 MIME 结尾和图片类型
+
+  if (encoding === 1 || encoding === 2) {
+    while (offset + 1 < frame.length && (frame[offset] !== 0 || frame[offset + 1] !== 0)) {
+      offset += 2;
+    }
+    offset += 2;
+  } else {
+    const end = frame.indexOf(0, offset);
+    if (end < 0) return null;
+    offset = end + 1;
+  }
+  return offset < frame.length ? frame.subarray(offset) : null;
+}
+
+function extractFlacCover(bytes) {
+  let offset = 4;
+  while (offset + 4 <= bytes.length) {
+    const header = bytes[offset];
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const start = offset + 4;
+    if (start + length > bytes.length) return null;
+
+    if ((header & 0x7f) === 6) {
+      return parseFlacPicture(bytes.subarray(start, start + length));
+    }
+    if (header & 0x80) return null; // 最后一个元数据块
+    offset = start + length;
+  }
+  return null;
+}
+
+// PICTURE：类型(4) MIME 长度(4) MIME 描述长度(4) 描述 宽高色深色数(16) 数据长度(4) 数据
+function parseFlacPicture(block) {
+  let offset = 4;
+  offset += 4 + readUint32(block, offset);
+  offset += 4 + readUint32(block, offset);
+  offset += 16;
+  if (offset + 4 > block.length) return null;
+  const length = readUint32(block, offset);
+  offset += 4;
+  return offset + length <= block.length ? block.subarray(offset, offset + length) : null;
+}
+
+function readBoxHeader(bytes, offset, limit) {
+  if (offset + 8 > bytes.length) return null;
+  let size = readUint32(bytes, offset);
+  const type = readAscii(bytes, offset + 4, 4);
+  let headerSize = 8;
+  if (size === 1) {
+    if (offset + 16 > bytes.length) return null;
+    size = readUint32(bytes, offset + 8) * 2 ** 32 + readUint32(bytes, offset + 12);
+    headerSize = 16;
+  } else if (size === 0) {
+    return { type, start: offset + headerSize, end: limit };
+  }
+  if (size < headerSize) return null;
+  return { type, start: offset + headerSize, end: offset + size };
+}
+
+function findChildBox(bytes, start, end, type) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const box = readBoxHeader(bytes, offset, end);
+    if (!box || box.end > end) return null;
+    if (box.type === type) return box;
+    offset = box.end;
+  }
+  return null;
+}
+
+function extractMp4Cover(bytes) {
+  const data = findBox(bytes, MP4_COVER_PATH);
+  // data 的内容前有 4 字节类型和 4 字节区域
+  return data && data.end - data.start > 8 ? bytes.subarray(data.start + 8, data.end) : null;
+}
@@ -0,0 +1,78 @@
+/**
+ * 分片直传（R2、S3）的未完成上传
+ * 分片上传任务记录 upload:<id> 在最后一次写入一小时后过期，过期前未合并也未取消的上传会一直占用后端存储，
+ * 因此另外记录 multipart:<id>（不随任务续期），合并或取消时删除；定时任务中止任务记录已过期的上传
+ */
+import { getBackend } from './backends/index.js';
+
+const KEY_PREFIX = 'multipart:';
+const UPLOAD_TASK_TTL = 60 * 60 * 1000; // 与分片上传任务记录的过期时间一致
+const RECORD_TTL = 7 * 24 * 60 * 60; // 定时任务未部署时记录 7 天后自动删除
+const DEFAULT_ABORT_BATCH = 50;
+
+/**
+ * 记录新建的分片直传
+ * @param {object} env 环境变量
+ * @param {string} uploadId 分片上传任务 ID
+ * @param {string} storageType 存储后端
+ * @param {{ objectKey: string, uploadId: string }} upload 后端 createMultipartUpload 的返回值
+ */
+export async function trackMultipartUpload(env, uploadId, storageType, upload) {
+  await env.img_url.put(`${KEY_PREFIX}${uploadId}`, '', {
+    expirationTtl: RECORD_TTL,
+    metadata: {
+      storageType,
+      objectKey: upload.objectKey,
+      uploadId: upload.uploadId,
+      createdAt: Date.now()
+    }
+  });
+}
+
+/**
+ * 上传已合并或已中止，删除记录
+ */
+export async function untrackMultipartUpload(env, uploadId) {
+  await env.img_url.delete(`${KEY_PREFIX}${uploadId}`);
+}
+
+/**
+ * 中止分片直传，释放已上传的分片并删除记录
+ * @param {object} env 环境变量
+ * @param {string} uploadId 分片上传任务 ID
+ * @param {string} storageType 存储后端
+ * @param {{ objectKey: string, uploadId: string }} upload 后端 createMultipartUpload 的返回值
+ */
+export async function abortMultipartUpload(env, uploadId, storageType, upload) {
+  await getBackend(storageType, env).abortMultipartUpload(upload);
+  await untrackMultipartUpload(env, uploadId);
+}
+
+/**
+ * 中止任务记录已过期的分片直传，由定时任务调用
+ * 任务记录仍存在时上传仍在进行（每个分片都会续期任务记录），跳过
+ * @param {object} env 环境变量
+ * @param {{ limit?: number, now?: number }} options
+ * @returns {Promise<{ aborted: string[], failed: Array<{ key: string, error: string }>, remaining: boolean }>}
+ */
+export async function abortStaleMultipartUploads(env, { limit = DEFAULT_ABORT_BATCH, now = Date.now() } = {}) {
+  const page = await env.img_url.list({ prefix: KEY_PREFIX });
+  const stale = page.keys.filter(key => key.metadata && now - key.metadata.createdAt >= UPLOAD_TASK_TTL);
+
+  const aborted = [];
+  const failed = [];
+  for (const key of stale.slice(0, limit)) {
+    const uploadId = key.name.slice(KEY_PREFIX.length);
+    try {
+      if (await env.img_url.get(`upload:${uploadId}`)) continue;
+      const { storageType, objectKey, uploadId: backendUploadId } = key.metadata;
+      await abortMultipartUpload(env, uploadId, storageType, { objectKey, uploadId: backendUploadId });
+      aborted.push(uploadId);
+    } catch (error) {
+      console.error(`Abort multipart upload ${uploadId} failed:`, error);
+      failed.push({ key: uploadId, error: error.message });
+    }
+  }
+
+  return { aborted, failed, remaining: stale.length > limit || !page.list_complete };
+}
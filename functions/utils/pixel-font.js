@@ -0,0 +1,69 @@
+/**
+ * 5x7 点阵字体（可打印 ASCII），用于在没有 Canvas 的 Worker 中绘制文字水印
+ * 每个字符 5 列，每列一个字节，最低位为最上面一行
+ */
+
+const FIRST_CHAR = 0x20;
+const LAST_CHAR = 0x7e;
+export const GLYPH_WIDTH = 5;
+export const GLYPH_HEIGHT = 7;
+const GLYPH_SPACING = 1;
+
+const GLYPHS =
+  '000000000000005f00000007000700147f147f14242a7f2a12231308646236495522500005030000' +
+  '001c2241000041221c0014083e081408083e08080050300000080808080800606000002010080402' +
+  '3e5149453e00427f400042615149462141454b311814127f1027454545393c4a4949300171090503' +
+  '3649494936064949291e003636000000563600000814224100141414141400412214080201510906' +
+  '324979413e7e1111117e7f494949363e414141227f4141221c7f494949417f090901013e41415132' +
+  '7f0808087f00417f41002040413f017f081422417f404040407f0204027f7f0408107f3e4141413e' +
+  '7f090909063e4151215e7f09192946464949493101017f01013f4040403f1f2040201f7f2018207f' +
+  '631408146303047804036151494543007f41410002040810200041417f0004020102044040404040' +
+  '000102040020545454787f484444383844444420384444487f3854545418087e0901020c5252523e' +
+  '7f0804047800447d40002040443d007f1028440000417f40007c041804787c080404783844444438' +
+  '7c14141408081414187c7c080404084854545420043f4440203c4040207c1c2040201c3c4030403c' +
+  '44281028440c5050503c4464544c44000836410000007f000000413608000804081008';
+
+function glyphColumn(char, column) {
+  let code = char.charCodeAt(0);
+  if (code < FIRST_CHAR || code > LAST_CHAR) code = 0x3f; // 不支持的字符显示为 ?
+  const offset = ((code - FIRST_CHAR) * GLYPH_WIDTH + column) * 2;
+  return parseInt(GLYPHS.slice(offset, offset + 2), 16);
+}
+
+/**
+ * 文字的点阵宽度（列数）
+ */
+export function measureText(text) {
+  return text.length ? text.length * (GLYPH_WIDTH + GLYPH_SPACING) - GLYPH_SPACING : 0;
+}
+
+/**
+ * 把文字绘制为 RGBA 像素，笔画为指定颜色，其余透明
+ * @param {string} text 文字（ASCII 以外的字符显示为 ?）
+ * @param {[number, number, number]} color RGB 颜色
+ * @param {number} pixelSize 每个点阵单元的像素数
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+export function renderText(text, color, pixelSize) {
+  const width = measureText(text) * pixelSize;
+  const height = GLYPH_HEIGHT * pixelSize;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  Array.from(text).forEach((char, index) => {
+    const left = index * (GLYPH_WIDTH + GLYPH_SPACING);
+    for (let column = 0; column < GLYPH_WIDTH; column++) {
+      const bits = glyphColumn(char, column);
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (!(bits & (1 << row))) continue;
+        for (let dy = 0; dy < pixelSize; dy++) {
+          const y = row * pixelSize + dy;
+          for (let dx = 0; dx < pixelSize; dx++) {
+            const x = (left + column) * pixelSize + dx;
+            data.set([color[0], color[1], color[2], 255], (y * width + x) * 4);
+          }
+        }
+      }
+    }
+  });
+  return { data, width, height };
+}
@@ -0,0 +1,34 @@
+/**
+ * HTTP Range 请求工具
+ */
+
+/**
+ * 解析 Range 请求头
+ * @param {string} rangeHeader 如 "bytes=0-1023"、"bytes=-500"
+ * @param {number} totalSize 文件总大小
+ * @returns {{ start, end, totalSize } | { invalid: true, totalSize } | null}
+ */
+export function parseRangeHeader(rangeHeader, totalSize) {
+    if (!rangeHeader) return null;
+
+    const match = rangeHeader.match(/bytes=(\d*)-(\d*)/);
+    if (!match) return null;
+
+    let start = match[1] ? parseInt(match[1], 10) : 0;
+    let end = match[2] ? parseInt(match[2], 10) : totalSize - 1;
+
+    // 处理后缀范围请求 (bytes=-500 表示最后 500 字节)
+    if (!match[1] && match[2]) {
+        start = Math.max(0, totalSize - parseInt(match[2], 10));
+        end = totalSize - 1;
+    }
+
+    // 确保范围有效
+    if (start >= totalSize || start < 0 || end < start) {
+        return { invalid: true, totalSize };
+    }
+
+    end = Math.min(end, totalSize - 1);
+
+    return { start, end, totalSize };
+}
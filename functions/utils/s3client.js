@@ -111,6 +111,11 @@ async function signRequest(method, url, headers, body, credentials) {
     return headers;
 }
 
+// 读取 XML 中第一个同名元素的文本
+function xmlValue(xml, tag) {
+    return xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1] ?? null;
+}
+
 // --- S3 Client 类 ---
 
 export class S3Client {
@@ -246,6 +251,172 @@ export class S3Client {
         };
     }
 
+    /**
+     * 创建分片上传，返回 UploadId
+     */
+    async createMultipartUpload(key, options = {}) {
+        const url = `${this._getUrl(key)}?uploads`;
+        const headers = {};
+
+        if (options.contentType) {
+            headers['content-type'] = options.contentType;
+        }
+        if (options.metadata) {
+            for (const [k, v] of Object.entries(options.metadata)) {
+                const hKey = k.startsWith('x-amz-meta-') ? k : `x-amz-meta-${k}`;
+                headers[hKey] = v;
+            }
+        }
+
+        const signedHeaders = await signRequest('POST', url, { ...headers }, null, this._getCredentials());
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: signedHeaders
+        });
+
+        const text = await response.text();
+        const uploadId = text.match(/<UploadId>([^<]+)<\/UploadId>/)?.[1];
+        if (!response.ok || !uploadId) {
+            throw new Error(`S3 CreateMultipartUpload failed (${response.status}): ${text}`);
+        }
+
+        return uploadId;
+    }
+
+    /**
+     * 上传一个分片（partNumber 从 1 开始），返回 { partNumber, etag }
+     */
+    async uploadPart(key, uploadId, partNumber, body) {
+        const url = `${this._getUrl(key)}?partNumber=${partNumber}&uploadId=${encodeURIComponent(uploadId)}`;
+        const headers = {
+            'content-length': (body instanceof ArrayBuffer ? body.byteLength : body.length).toString()
+        };
+
+        const signedHeaders = await signRequest('PUT', url, { ...headers }, body, this._getCredentials());
+
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: signedHeaders,
+            body: body
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            throw new Error(`S3 UploadPart failed (${response.status}): ${text}`);
+        }
+
+        return { partNumber, etag: response.headers.get('etag') };
+    }
+
+    /**
+     * 合并分片
+     * @param {{ partNumber: number, etag: string }[]} parts 已上传的分片
+     */
+    async completeMultipartUpload(key, uploadId, parts) {
+        const url = `${this._getUrl(key)}?uploadId=${encodeURIComponent(uploadId)}`;
+        const body = '<CompleteMultipartUpload>' + [...parts]
+            .sort((a, b) => a.partNumber - b.partNumber)
+            .map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`)
+            .join('') + '</CompleteMultipartUpload>';
+
+        const signedHeaders = await signRequest('POST', url, { 'content-type': 'application/xml' }, body, this._getCredentials());
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: signedHeaders,
+            body: body
+        });
+
+        // 合并失败时 S3 可能返回 200 并在响应体中给出错误
+        const text = await response.text();
+        if (!response.ok || text.includes('<Error>')) {
+            throw new Error(`S3 CompleteMultipartUpload failed (${response.status}): ${text}`);
+        }
+
+        return { etag: text.match(/<ETag>([^<]+)<\/ETag>/)?.[1] || null };
+    }
+
+    /**
+     * 列出已上传的分片（自动翻页），返回 [{ partNumber, etag, size }]
+     */
+    async listParts(key, uploadId) {
+        const parts = [];
+        let marker = 0;
+
+        for (;;) {
+            const url = `${this._getUrl(key)}?uploadId=${encodeURIComponent(uploadId)}&max-parts=1000&part-number-marker=${marker}`;
+            const signedHeaders = await signRequest('GET', url, {}, null, this._getCredentials());
+
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: signedHeaders
+            });
+
+            const text = await response.text();
+            if (!response.ok) {
+                throw new Error(`S3 ListParts failed (${response.status}): ${text}`);
+            }
+
+            for (const [, part] of text.matchAll(/<Part>([\s\S]*?)<\/Part>/g)) {
+                parts.push({
+                    partNumber: parseInt(xmlValue(part, 'PartNumber'), 10),
+                    etag: xmlValue(part, 'ETag').replace(/&quot;/g, '"'),
+                    size: parseInt(xmlValue(part, 'Size') || '0', 10)
+                });
+            }
+
+            const next = xmlValue(text, 'NextPartNumberMarker');
+            if (xmlValue(text, 'IsTruncated') !== 'true' || !next) break;
+            marker = next;
+        }
+
+        return parts;
+    }
+
+    /**
+     * 分片上传整个文件：依次上传 partSize 大小的分片后合并，任一步失败时取消上传
+     * @param {Blob} body 文件内容
+     * @param {{ contentType?: string, metadata?: object, partSize: number }} options
+     */
+    async putObjectMultipart(key, body, options) {
+        const uploadId = await this.createMultipartUpload(key, options);
+
+        try {
+            const parts = [];
+            for (let offset = 0, partNumber = 1; offset < body.size; offset += options.partSize, partNumber++) {
+                const chunk = await body.slice(offset, offset + options.partSize).arrayBuffer();
+                parts.push(await this.uploadPart(key, uploadId, partNumber, chunk));
+            }
+            return await this.completeMultipartUpload(key, uploadId, parts);
+        } catch (error) {
+            await this.abortMultipartUpload(key, uploadId)
+                .catch(abortError => console.warn('S3 AbortMultipartUpload failed:', abortError.message));
+            throw error;
+        }
+    }
+
+    /**
+     * 取消分片上传，删除已上传的分片
+     * 上传已完成或已取消时 S3 返回 404（NoSuchUpload），视为成功
+     */
+    async abortMultipartUpload(key, uploadId) {
+        const url = `${this._getUrl(key)}?uploadId=${encodeURIComponent(uploadId)}`;
+        const signedHeaders = await signRequest('DELETE', url, {}, null, this._getCredentials());
+
+        const response = await fetch(url, {
+            method: 'DELETE',
+            headers: signedHeaders
+        });
+
+        if (!response.ok && response.status !== 404) {
+            const text = await response.text();
+            throw new Error(`S3 AbortMultipartUpload failed (${response.status}): ${text}`);
+        }
+
+        return true;
+    }
+
     /**
      * 检查连接（列出 bucket）
      */
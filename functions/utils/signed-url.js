@@ -0,0 +1,87 @@
+/**
+ * 签名链接
+ * /file/<id>?exp=<过期时间（秒）>&sig=<HMAC-SHA256>，由 /api/manage/sign 生成，
+ * 签名覆盖文件的 KV Key 和过期时间，密钥来自环境变量 URL_SIGNING_SECRET
+ *
+ * 元数据中 private 为 true 的文件只能通过有效的签名链接（或已登录的管理员）访问
+ */
+import { isAdminRequest } from './auth.js';
+
+export const DEFAULT_SIGNED_URL_TTL = 60 * 60; // 默认有效期（秒）
+
+export function isSigningConfigured(env) {
+  return Boolean(env.URL_SIGNING_SECRET);
+}
+
+async function signingKey(env, usage) {
+  return await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.URL_SIGNING_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage]
+  );
+}
+
+function signedPayload(kvKey, exp) {
+  return new TextEncoder().encode(`${kvKey}:${exp}`);
+}
+
+/**
+ * 为文件生成签名
+ * @param {object} env 环境变量
+ * @param {string} kvKey 文件记录的 KV Key
+ * @param {number} exp 过期时间（Unix 秒）
+ * @returns {Promise<string>} 十六进制签名
+ */
+export async function signFile(env, kvKey, exp) {
+  if (!isSigningConfigured(env)) {
+    throw new Error('URL_SIGNING_SECRET 未配置');
+  }
+  const signature = await crypto.subtle.sign('HMAC', await signingKey(env, 'sign'), signedPayload(kvKey, exp));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 检查请求中的签名参数
+ * @param {object} env 环境变量
+ * @param {string} kvKey 文件记录的 KV Key
+ * @param {URL} url 请求地址
+ * @returns {Promise<{ present: boolean, valid: boolean, expired?: boolean }>} 未携带签名时 present 为 false
+ */
+export async function verifySignedUrl(env, kvKey, url) {
+  const exp = url.searchParams.get('exp');
+  const sig = url.searchParams.get('sig');
+  if (exp === null && sig === null) return { present: false, valid: false };
+
+  if (!isSigningConfigured(env) || !/^\d+$/.test(exp || '') || !/^[0-9a-f]{64}$/i.test(sig || '')) {
+    return { present: true, valid: false };
+  }
+  if (Number(exp) * 1000 <= Date.now()) {
+    return { present: true, valid: false, expired: true };
+  }
+
+  const signature = new Uint8Array(sig.match(/../g).map(byte => parseInt(byte, 16)));
+  const valid = await crypto.subtle.verify('HMAC', await signingKey(env, 'verify'), signature, signedPayload(kvKey, exp));
+  return { present: true, valid };
+}
+
+/**
+ * 检查签名与私有文件的访问权限
+ * 携带签名时必须有效；私有文件必须携带有效签名或来自已登录的管理员
+ * @returns {Promise<{ allowed: boolean, signed: boolean, status?: number, reason?: string }>}
+ *   signed 为 true 表示签名有效，调用方可跳过密码检查
+ */
+export async function checkSignedAccess(context, kvKey, metadata) {
+  const signature = await verifySignedUrl(context.env, kvKey, new URL(context.request.url));
+  if (signature.present && !signature.valid) {
+    return { allowed: false, signed: false, status: 403, reason: signature.expired ? 'Signature expired' : 'Invalid signature' };
+  }
+  if (signature.valid) {
+    return { allowed: true, signed: true };
+  }
+  if (metadata?.private && !(await isAdminRequest(context))) {
+    return { allowed: false, signed: false, status: 403, reason: 'Signature required' };
+  }
+  return { allowed: true, signed: false };
+}
@@ -16,6 +16,13 @@ export const KEY_PREFIXES = {
   SESSION: 'session:',
   UPLOAD: 'upload:',
   CHUNK: 'chunk:',
+  MIGRATION: 'migration:',
+  HASH: 'hash:',
+  INDEX: 'idx:',
+  ALBUM: 'album:',
+  THUMB: 'thumb:',
+  CONFIG: 'config:',
+  TELEGRAM_PARTS: 'tgparts:',
   
   // 默认前缀（兼容旧数据）
   DEFAULT: ''
@@ -81,6 +88,85 @@ export function generateKey(id, fileName) {
   return `${prefix}${id}`;
 }
 
+/**
+ * 文件记录可能使用的 KV Key 前缀（文件类型前缀 + 存储后端前缀，空串兼容旧数据）
+ */
+export const FILE_RECORD_PREFIXES = ['img:', 'vid:', 'aud:', 'doc:', 'r2:', 's3:', 'discord:', 'hf:', ''];
+
+// 系统记录前缀，不属于文件
+const SYSTEM_PREFIXES = ['session:', 'chunk:', 'upload:', 'temp:', 'migration:', 'hash:', 'idx:', 'album:', 'thumb:', 'config:', 'multipart:', 'tgparts:'];
+
+/**
+ * 按文件 ID 查找 KV 记录，兼容新旧 Key 格式
+ * @param {KVNamespace} kv KV 命名空间
+ * @param {string} fileId 文件 ID（可带前缀）
+ * @returns {Promise<{ record: object|null, kvKey: string }>}
+ */
+export async function getRecordWithKey(kv, fileId) {
+  // 系统记录也带有元数据，不能按文件访问
+  if (SYSTEM_PREFIXES.some(prefix => fileId.startsWith(prefix))) {
+    return { record: null, kvKey: fileId };
+  }
+
+  const hasKnownPrefix = FILE_RECORD_PREFIXES.some((prefix) => prefix && fileId.startsWith(prefix));
+  const candidateKeys = hasKnownPrefix ? [fileId] : FILE_RECORD_PREFIXES.map((prefix) => `${prefix}${fileId}`);
+
+  for (const key of candidateKeys) {
+    const record = await kv.getWithMetadata(key);
+    if (record && record.metadata) {
+      return { record, kvKey: key };
+    }
+  }
+
+  return { record: null, kvKey: fileId };
+}
+
+/**
+ * 判断 KV list 返回的条目是否为有效的文件记录
+ * 排除会话缓存、分片临时键等系统条目，并要求完整元数据
+ * @param {{ name: string, metadata?: object }} key KV list 条目
+ * @returns {boolean}
+ */
+export function isFileRecord(key) {
+  if (!key?.name) return false;
+  if (SYSTEM_PREFIXES.some(prefix => key.name.startsWith(prefix))) return false;
+  const metadata = key.metadata || {};
+  return Boolean(metadata.fileName) && metadata.TimeStamp !== undefined && metadata.TimeStamp !== null;
+}
+
+/**
+ * KV 单条记录 metadata 的大小上限（字节），超出时 put 会抛错
+ */
+export const MAX_METADATA_SIZE = 1024;
+
+/**
+ * 元数据序列化后的字节数
+ * @param {object} metadata
+ * @returns {number}
+ */
+export function metadataSize(metadata) {
+  return new TextEncoder().encode(JSON.stringify(metadata)).length;
+}
+
+/**
+ * 计算内容的 SHA-256 摘要
+ * @param {ArrayBuffer|ArrayBufferView} data 文件内容
+ * @returns {Promise<string>} 64 位十六进制字符串
+ */
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 内容哈希索引的 KV Key，值为对应文件记录的 Key
+ * @param {string} sha256 内容哈希
+ * @returns {string}
+ */
+export function hashIndexKey(sha256) {
+  return `${KEY_PREFIXES.HASH}${sha256}`;
+}
+
 /**
  * 从 Key 中解析 ID（移除前缀）
  * @param {string} key 带前缀的 Key
@@ -116,6 +202,144 @@ class StorageAdapter {
   }
 }
 
+/**
+ * 文件存储后端基类
+ * 在 StorageAdapter 之上约定 upload / get / head / delete / health 五个操作，
+ * 具体实现位于 utils/backends/ 下，每个后端一个模块
+ *
+ * entry 参数统一为 KV 记录 { key, metadata }
+ */
+export class StorageBackend extends StorageAdapter {
+  constructor(env, type, label, keyPrefix = '') {
+    super();
+    this.env = env;
+    this.type = type;
+    this.label = label;
+    // KV Key 前缀，如 r2:、s3:（Telegram 为空）
+    this.keyPrefix = keyPrefix;
+    // 该后端写入 KV 元数据的专属字段（迁移时需要清理）
+    this.metadataFields = [];
+  }
+
+  /**
+   * 检查后端所需的环境变量是否齐全
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * 上传文件
+   * @param {File|Blob} file 文件内容
+   * @param {{ fileName: string, fileExtension: string, asDocument?: boolean }} options
+   *   asDocument 为 true 时保持内容不变（Telegram 不按图片/音视频发送，避免被重新压缩）
+   * @returns {Promise<{ key: string, metadata: object }>} KV Key 与后端专属元数据
+   */
+  async upload(file, options = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 读取文件，返回上游 Response（可能是 404/5xx，由调用方判断）
+   * @param {{ key: string, metadata: object }} entry KV 记录
+   * @param {{ range?: string, method?: string }} options
+   * @returns {Promise<Response>}
+   */
+  async get(entry, options = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 获取文件大小和类型，不存在时返回 null
+   * @returns {Promise<{ size: number, contentType?: string } | null>}
+   */
+  async head(entry) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 删除远端对象
+   * 远端接口返回失败时抛出带原因的错误，缺少删除所需的配置或元数据时返回 false
+   * @returns {Promise<boolean>} 是否确认删除
+   */
+  async delete(entry) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 检查连接状态（供 /api/status 使用）
+   * @returns {Promise<{ connected: boolean, enabled: boolean, message: string }>}
+   */
+  async health() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 是否支持分片直传（分片上传时直接写入后端，不经过 KV 暂存）
+   * @returns {boolean}
+   */
+  supportsMultipart() {
+    return false;
+  }
+
+  /**
+   * 创建分片上传
+   * @param {{ fileName: string, fileExtension: string, contentType: string }} options
+   * @returns {Promise<{ objectKey: string, uploadId: string }>} 上传句柄，保存在分片上传任务中
+   */
+  async createMultipartUpload(options) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 上传一个分片，除最后一个外大小必须相同且不小于 5MB
+   * @param {{ objectKey: string, uploadId: string }} upload createMultipartUpload 的返回值
+   * @param {number} partNumber 分片序号，从 1 开始
+   * @param {ArrayBuffer} body 分片内容
+   * @returns {Promise<{ partNumber: number, etag: string }>}
+   */
+  async uploadPart(upload, partNumber, body) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 合并分片
+   * @param {{ objectKey: string, uploadId: string }} upload createMultipartUpload 的返回值
+   * @param {{ partNumber: number, etag: string }[]} parts 所有分片
+   * @param {number} totalParts 应有的分片数，分片序号必须为 1 到 totalParts
+   * @returns {Promise<{ key: string, metadata: object }>} 与 upload 相同：KV Key 与后端专属元数据
+   */
+  async completeMultipartUpload(upload, parts, totalParts) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 中止分片上传，释放已上传的分片
+   * @param {{ objectKey: string, uploadId: string }} upload createMultipartUpload 的返回值
+   */
+  async abortMultipartUpload(upload) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 生成对象 ID，如 r2_1700000000000_abc123
+   */
+  generateObjectId(tag) {
+    return `${tag}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  /**
+   * 去除 KV Key 上的后端前缀和文件类型前缀
+   */
+  stripKey(key) {
+    const name = this.keyPrefix && key.startsWith(this.keyPrefix)
+      ? key.slice(this.keyPrefix.length)
+      : key;
+    return parseKey(name);
+  }
+}
+
 /**
  * KV 存储适配器
  */
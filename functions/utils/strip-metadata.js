@@ -0,0 +1,337 @@
+/**
+ * 上传前清除图片中的隐私元数据（EXIF、GPS、XMP、IPTC、文本注释）
+ * 只修改容器结构，不重新编码像素，画质和 ICC 色彩配置不受影响
+ *
+ *   JPEG   删除 APP1（EXIF / XMP）、APP13（IPTC）等应用段和注释，保留 JFIF、ICC、Adobe 段
+ *   PNG    删除 eXIf、tEXt、zTXt、iTXt（含 XMP）、tIME
+ *   WebP   删除 EXIF、XMP 块并更新 VP8X 标志
+ *   HEIC / AVIF  将 Exif 和 XMP 条目的内容原地清零（改动偏移量需要重写 iloc，清零可保持结构不变）
+ *
+ * 保留方向时写入只含 Orientation 的最小 EXIF；HEIC / AVIF 的方向由 irot / imir 属性表示，不受影响
+ *
+ * 环境变量 STRIP_EXIF=true 时默认清除，STRIP_EXIF_KEEP_ORIENTATION=false 时默认不保留方向，
+ * 单次上传可通过 stripExif / keepOrientation 参数覆盖
+ */
+import { getFileType } from './storage.js';
+import { readImageInfo } from './image-metadata.js';
+import { findBox } from './media-cover.js';
+
+const TRUE_VALUES = ['true', '1', 'on'];
+const FALSE_VALUES = ['false', '0', 'off'];
+
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+function parseFlag(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const normalized = String(value).toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return fallback;
+}
+
+/**
+ * 合并环境变量默认值与单次上传的参数
+ * @param {object} env 环境变量
+ * @param {{ stripExif?: string|boolean, keepOrientation?: string|boolean }} options 上传参数
+ * @returns {{ strip: boolean, keepOrientation: boolean }}
+ */
+export function resolveStripOptions(env, { stripExif, keepOrientation } = {}) {
+  return {
+    strip: parseFlag(stripExif, env.STRIP_EXIF === 'true'),
+    keepOrientation: parseFlag(keepOrientation, env.STRIP_EXIF_KEEP_ORIENTATION !== 'false')
+  };
+}
+
+/**
+ * 按选项清除上传文件的元数据
+ * @param {File} file 上传的文件
+ * @param {{ strip: boolean, keepOrientation: boolean }} options resolveStripOptions 的返回值
+ * @returns {Promise<{ file: File, sanitized: boolean }>} 不支持的格式或未开启时原样返回
+ * @throws {Error} 图片结构损坏
+ */
+export async function sanitizeUpload(file, options) {
+  if (!options.strip) return { file, sanitized: false };
+
+  const stripped = stripMetadata(new Uint8Array(await file.arrayBuffer()), file.name, options);
+  if (!stripped) return { file, sanitized: false };
+  return { file: new File([stripped], file.name, { type: file.type }), sanitized: true };
+}
+
+/**
+ * 清除图片元数据
+ * @param {Uint8Array} bytes 文件内容
+ * @param {string} fileName 文件名
+ * @param {{ keepOrientation?: boolean }} options
+ * @returns {Uint8Array|null} 清除后的内容，不支持的格式返回 null
+ * @throws {Error} 图片结构损坏
+ */
+export function stripMetadata(bytes, fileName, { keepOrientation = true } = {}) {
+  if (getFileType(fileName) !== 'image') return null;
+  const orientation = keepOrientation ? readImageInfo(bytes, fileName).orientation : null;
+
+  let stripped;
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    stripped = stripJpeg(bytes, orientation);
+  } else if (bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') {
+    stripped = stripPng(bytes, orientation);
+  } else if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+    stripped = stripWebp(bytes, orientation);
+  } else if (readAscii(bytes, 4, 4) === 'ftyp') {
+    stripped = stripHeif(bytes);
+  } else {
+    return null;
+  }
+
+  // 格式可识别但结构损坏时拒绝上传，避免带着隐私信息存储
+  if (!stripped) {
+    throw new Error('图片结构无法解析，未能清除元数据');
+  }
+  return stripped;
+}
+
+function readAscii(bytes, offset, length) {
+  if (offset + length > bytes.length) return '';
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint(bytes, offset, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+}
+
+function writeUint32BE(value) {
+  return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function writeUint32LE(value) {
+  return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+// 只含 Orientation 一个标签的小端 TIFF
+function orientationTiff(orientation) {
+  return new Uint8Array([
+    0x49, 0x49, 42, 0, 8, 0, 0, 0,
+    1, 0,
+    0x12, 0x01, 3, 0, 1, 0, 0, 0, orientation, 0, 0, 0,
+    0, 0, 0, 0
+  ]);
+}
+
+function stripJpeg(bytes, orientation) {
+  const parts = [bytes.subarray(0, 2)];
+  let offset = 2;
+  let exifInserted = false;
+
+  const insertExif = () => {
+    if (orientation && !exifInserted) {
+      const payload = concat([new TextEncoder().encode('Exif\0\0'), orientationTiff(orientation)]);
+      const length = payload.length + 2;
+      parts.push(new Uint8Array([0xff, 0xe1, length >> 8, length & 0xff]), payload);
+    }
+    exifInserted = true;
+  };
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xda) break; // 扫描数据开始，之后原样保留
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    if (end > bytes.length) return null;
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep = marker === 0xe0
+      || (marker === 0xe2 && readAscii(bytes, offset + 4, 12) === 'ICC_PROFILE\0')
+      || marker === 0xee
+      || (!isApp && marker !== 0xfe);
+
+    // EXIF 放在 JFIF 段之后、其他段之前
+    if (marker !== 0xe0) insertExif();
+    if (keep) parts.push(bytes.subarray(offset, end));
+    offset = end;
+  }
+
+  insertExif();
+  parts.push(bytes.subarray(offset));
+  return concat(parts);
+}
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function stripPng(bytes, orientation) {
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  let exifInserted = false;
+
+  while (offset + 12 <= bytes.length) {
+    const length = readUint(bytes, offset, 4);
+    const type = readAscii(bytes, offset + 4, 4);
+    const end = offset + 12 + length;
+    if (end > bytes.length) return null;
+
+    // eXIf 必须位于 IDAT 之前
+    if (type === 'IDAT' && orientation && !exifInserted) {
+      const chunk = concat([new TextEncoder().encode('eXIf'), orientationTiff(orientation)]);
+      parts.push(new Uint8Array(writeUint32BE(chunk.length - 4)), chunk, new Uint8Array(writeUint32BE(crc32(chunk))));
+      exifInserted = true;
+    }
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return concat(parts);
+}
+
+function stripWebp(bytes, orientation) {
+  const parts = [];
+  let vp8x = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const type = readAscii(bytes, offset, 4);
+    const length = bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24);
+    const end = Math.min(offset + 8 + length + (length % 2), bytes.length);
+
+    if (type === 'VP8X') {
+      vp8x = bytes.slice(offset, end);
+      vp8x[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      parts.push(vp8x);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  // 只有扩展格式（VP8X）能携带 EXIF，EXIF 块位于图像数据之后
+  if (vp8x && orientation) {
+    const tiff = orientationTiff(orientation);
+    parts.push(new TextEncoder().encode('EXIF'), new Uint8Array(writeUint32LE(tiff.length)), tiff);
+    vp8x[8] |= WEBP_EXIF_FLAG;
+  }
+
+  const body = concat(parts);
+  return concat([new TextEncoder().encode('RIFF'), new Uint8Array(writeUint32LE(body.length + 4)), new TextEncoder().encode('WEBP'), body]);
+}
+
+function stripHeif(bytes) {
+  if (!findBox(bytes, ['meta'])) return null;
+  const iinf = findBox(bytes, ['meta', 'iinf']);
+  const iloc = findBox(bytes, ['meta', 'iloc']);
+  const result = bytes.slice();
+  if (!iinf || !iloc) return result;
+
+  const metadataItems = findMetadataItems(bytes, iinf);
+  if (metadataItems.size) {
+    for (const extent of readItemExtents(bytes, iloc, metadataItems)) {
+      result.fill(0, extent.offset, Math.min(extent.offset + extent.length, result.length));
+    }
+  }
+  return result;
+}
+
+// iinf 中类型为 Exif 或 XMP（mime: application/rdf+xml）的条目 ID
+function findMetadataItems(bytes, iinf) {
+  const ids = new Set();
+  const version = bytes[iinf.start];
+  let offset = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+  while (offset + 8 <= iinf.end) {
+    const size = readUint(bytes, offset, 4);
+    if (size < 8 || offset + size > iinf.end) break;
+    if (readAscii(bytes, offset + 4, 4) === 'infe') {
+      const infeVersion = bytes[offset + 8];
+      if (infeVersion >= 2) {
+        const idSize = infeVersion === 2 ? 2 : 4;
+        const id = readUint(bytes, offset + 12, idSize);
+        const typeOffset = offset + 12 + idSize + 2;
+        const itemType = readAscii(bytes, typeOffset, 4);
+        if (itemType === 'Exif') {
+          ids.add(id);
+        } else if (itemType === 'mime') {
+          const content = readAscii(bytes, typeOffset + 4, Math.min(offset + size - typeOffset - 4, 256));
+          if (content.includes('application/rdf+xml')) ids.add(id);
+        }
+      }
+    }
+    offset += size;
+  }
+  return ids;
+}
+
+// iloc 中指定条目的数据范围（只处理 construction_method 0，即数据位于文件内的绝对偏移）
+function readItemExtents(bytes, iloc, ids) {
+  const extents = [];
+  const version = bytes[iloc.start];
+  let offset = iloc.start + 4;
+  const offsetSize = bytes[offset] >> 4;
+  const lengthSize = bytes[offset] & 0x0f;
+  const baseOffsetSize = bytes[offset + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? bytes[offset + 1] & 0x0f : 0;
+  offset += 2;
+
+  const itemCount = readUint(bytes, offset, version < 2 ? 2 : 4);
+  offset += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount && offset < iloc.end; i++) {
+    const id = readUint(bytes, offset, version < 2 ? 2 : 4);
+    offset += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = bytes[offset + 1] & 0x0f;
+      offset += 2;
+    }
+    offset += 2; // data_reference_index
+    const baseOffset = readUint(bytes, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = readUint(bytes, offset, 2);
+    offset += 2;
+
+    for (let j = 0; j < extentCount; j++) {
+      offset += indexSize;
+      const extentOffset = readUint(bytes, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readUint(bytes, offset, lengthSize);
+      offset += lengthSize;
+      if (ids.has(id) && constructionMethod === 0) {
+        extents.push({ offset: baseOffset + extentOffset, length: extentLength });
+      }
+    }
+  }
+  return extents;
+}
@@ -0,0 +1,66 @@
+/**
+ * 文件标签
+ * 标签保存在文件元数据的 tags 数组中，并同步到列表索引以支持按标签筛选
+ * 标签统一转为小写，数量和长度受限，避免超出 KV metadata 的 1024 字节限制
+ */
+import { MAX_METADATA_SIZE, metadataSize } from './storage.js';
+import { updateFileRecord } from './file-records.js';
+import { toIndexMetadata } from './file-index.js';
+import { resolveStorageType } from './backends/index.js';
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 32;
+
+/**
+ * 规范化标签输入
+ * @param {string|string[]|null|undefined} input 逗号分隔的字符串或数组
+ * @returns {string[]} 去重后的标签
+ */
+export function normalizeTags(input) {
+  if (!input) return [];
+  const values = Array.isArray(input) ? input : String(input).split(',');
+  const tags = [];
+  for (const value of values) {
+    if (typeof value !== 'string') continue;
+    const tag = value.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * 修改单个文件的标签并同步索引
+ * @param {object} env 环境变量
+ * @param {string} fileId 文件 ID
+ * @param {{ add?: string[], remove?: string[], set?: string[] }} changes set 会替换全部标签
+ * @returns {Promise<{ kvKey: string, tags: string[] }|null>} 文件不存在时返回 null
+ * @throws {Error} 标签超过数量限制，或写入后文件元数据或索引元数据超过 KV 的 1024 字节限制（此时不修改文件）
+ */
+export async function updateFileTags(env, fileId, { add = [], remove = [], set } = {}) {
+  const removing = new Set(remove);
+  const updated = await updateFileRecord(env, fileId, (metadata, kvKey) => {
+    const current = set ? [] : normalizeTags(metadata.tags);
+    const tags = normalizeTags([...current, ...(set || []), ...add]).filter(tag => !removing.has(tag));
+    if (tags.length > MAX_TAGS) {
+      throw new Error(`每个文件最多 ${MAX_TAGS} 个标签`);
+    }
+    if (tags.length) {
+      metadata.tags = tags;
+    } else {
+      delete metadata.tags;
+    }
+    // 其他字段（文件名、EXIF 等）已占用部分空间，标签未超出数量限制时也可能写不下
+    const size = metadataSize(metadata);
+    if (size > MAX_METADATA_SIZE) {
+      throw new Error(`标签过长：文件元数据将达到 ${size} 字节，超过 KV 的 ${MAX_METADATA_SIZE} 字节限制`);
+    }
+    // 标签同时写入列表索引，两者都写得下才修改文件
+    try {
+      toIndexMetadata(kvKey, metadata, resolveStorageType({ key: kvKey, metadata }));
+    } catch (error) {
+      throw new Error(`标签过长：${error.message}`);
+    }
+    return metadata;
+  });
+  return updated && { kvKey: updated.kvKey, tags: updated.metadata.tags || [] };
+}
@@ -0,0 +1,227 @@
+/**
+ * 缩略图
+ * 上传完成后在后台生成（旧文件在首次请求 /thumb/:id 时生成），统一为最长边 320px 的 WebP
+ * 绑定了 R2 时保存为 R2 对象 thumbs/<kvKey>.webp，否则保存在 KV thumb:<kvKey>
+ * 元数据 thumbnail 记录结果：r2 | kv 表示已生成，none 表示该文件无法生成缩略图
+ *
+ * 图片直接缩放（按 EXIF 方向校正），同时计算主色调和 BlurHash 写入元数据；
+ * 音频和视频使用内嵌封面（见 media-cover.js），Worker 中无法解码视频帧
+ */
+import { KEY_PREFIXES, getFileType } from './storage.js';
+import { getWithFailover } from './backends/index.js';
+import { updateFileRecord } from './file-records.js';
+import { extractCoverArt, parseBoxHeader } from './media-cover.js';
+import { sourceFormat, exceedsPixelLimit, MAX_TRANSFORM_SOURCE_SIZE } from './image-transform.js';
+import { readImageInfo, computePlaceholder, applyOrientation } from './image-metadata.js';
+import { applyWatermark } from './watermark.js';
+
+const THUMBNAIL_SIZE = 320;
+export const THUMBNAIL_TYPE = 'image/webp';
+const THUMBNAIL_QUALITY = 75;
+const MEDIA_HEAD_SIZE = 4 * 1024 * 1024; // 音视频只读取开头部分查找封面
+const MAX_MOOV_SIZE = 16 * 1024 * 1024; // moov 位于文件末尾时单独读取的上限
+const MAX_TOP_LEVEL_BOXES = 32;
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+function r2ThumbnailKey(kvKey) {
+  return `thumbs/${kvKey}.webp`;
+}
+
+function kvThumbnailKey(kvKey) {
+  return `${KEY_PREFIXES.THUMB}${kvKey}`;
+}
+
+/**
+ * 读取缩略图
+ * @returns {Promise<ArrayBuffer|null>} 未生成或已丢失时返回 null
+ */
+export async function getThumbnail(env, kvKey, metadata) {
+  if (metadata.thumbnail === 'r2' && env.R2_BUCKET) {
+    const object = await env.R2_BUCKET.get(r2ThumbnailKey(kvKey));
+    return object ? await object.arrayBuffer() : null;
+  }
+  if (metadata.thumbnail === 'kv') {
+    return await env.img_url.get(kvThumbnailKey(kvKey), { type: 'arrayBuffer' });
+  }
+  return null;
+}
+
+/**
+ * 删除缩略图（失败不影响主流程）
+ */
+export async function deleteThumbnail(env, kvKey, metadata) {
+  try {
+    if (metadata?.thumbnail === 'r2' && env.R2_BUCKET) {
+      await env.R2_BUCKET.delete(r2ThumbnailKey(kvKey));
+    } else if (metadata?.thumbnail === 'kv') {
+      await env.img_url.delete(kvThumbnailKey(kvKey));
+    }
+  } catch (error) {
+    console.warn(`Thumbnail delete for ${kvKey} failed (non-critical):`, error.message);
+  }
+}
+
+/**
+ * 生成、保存缩略图并记录到元数据
+ * @param {object} env 环境变量
+ * @param {{ key: string, metadata: object }} entry 文件记录
+ * @param {Blob} [file] 上传时的文件内容，省略时从存储后端读取
+ * @returns {Promise<ArrayBuffer|null>} 缩略图数据，文件无法生成缩略图时返回 null
+ * @throws {Error} 读取原文件失败，此时不记录结果，下次请求时重试
+ */
+export async function generateThumbnail(env, entry, file) {
+  const reader = file ? blobReader(file) : backendReader(env, entry);
+  const { thumbnail, details } = await createThumbnail(reader, entry.metadata);
+
+  let location = 'none';
+  if (thumbnail && env.R2_BUCKET) {
+    await env.R2_BUCKET.put(r2ThumbnailKey(entry.key), thumbnail, { httpMetadata: { contentType: THUMBNAIL_TYPE } });
+    location = 'r2';
+  } else if (thumbnail) {
+    await env.img_url.put(kvThumbnailKey(entry.key), thumbnail);
+    location = 'kv';
+  }
+
+  await updateFileRecord(env, entry.key, (metadata) => ({ ...metadata, ...details, thumbnail: location }));
+  return thumbnail;
+}
+
+/**
+ * 上传完成后在后台生成缩略图，复用已有文件和限制访问次数的文件跳过
+ * @param {object} context 请求上下文
+ * @param {{ key: string, metadata: object, duplicate: boolean }} stored storeFile 的返回值
+ * @param {Blob} [file] 上传的文件，省略时从存储后端读取（分片直传）
+ */
+export function scheduleThumbnail(context, stored, file) {
+  if (stored.duplicate || stored.metadata.maxViews || !context.env.img_url) return;
+  context.waitUntil(
+    generateThumbnail(context.env, { key: stored.key, metadata: stored.metadata }, file)
+      .catch(error => console.error(`Thumbnail generation for ${stored.key} failed:`, error))
+  );
+}
+
+/**
+ * 给缩略图加上访问时水印，保存的缩略图本身不带水印
+ * @param {ArrayBuffer} thumbnail 缩略图数据
+ * @param {{ settings: object, logo: ImageData|null }} watermark getServeWatermark 的返回值
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function watermarkThumbnail(thumbnail, watermark) {
+  const { decodeImage, encodeImage } = await import('./image-codec.js');
+  const image = await decodeImage(thumbnail.slice(0), 'webp');
+  return await encodeImage(await applyWatermark(image, watermark), 'webp', THUMBNAIL_QUALITY);
+}
+
+// 返回缩略图和需要写入元数据的图片信息（宽高、EXIF、主色调、BlurHash），旧文件借此补全
+async function createThumbnail(reader, metadata) {
+  const fileName = String(metadata.fileName || '');
+  const fileType = getFileType(fileName);
+  const fileSize = Number(metadata.fileSize) || 0;
+
+  let source;
+  let details = {};
+  if (fileType === 'image') {
+    const format = sourceFormat(IMAGE_TYPES[fileName.split('.').pop().toLowerCase()]);
+    if (!format || fileSize > MAX_TRANSFORM_SOURCE_SIZE || exceedsPixelLimit(metadata.width, metadata.height)) {
+      return { thumbnail: null, details };
+    }
+    source = { data: await reader(0, fileSize || MAX_TRANSFORM_SOURCE_SIZE), format };
+    details = readImageInfo(new Uint8Array(source.data), fileName);
+    // 像素过多的图片解码会超出 Worker 内存，只补全图片信息
+    if (exceedsPixelLimit(details.width, details.height)) return { thumbnail: null, details };
+  } else if (fileType === 'audio' || fileType === 'video') {
+    source = await readCoverArt(reader, fileSize);
+  }
+  if (!source) return { thumbnail: null, details };
+
+  try {
+    const { decodeImage, resizeImage, encodeImage } = await import('./image-codec.js');
+    const buffer = source.data instanceof Uint8Array ? source.data.slice().buffer : source.data;
+    const image = await decodeImage(buffer, source.format);
+    // 缩放框为正方形，先缩放再按 EXIF 方向旋转结果相同且更快
+    const resized = applyOrientation(
+      await resizeImage(image, { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'scale-down' }),
+      details.orientation
+    );
+    if (fileType === 'image') {
+      details = { ...details, ...computePlaceholder(resized) };
+    }
+    return { thumbnail: await encodeImage(resized, 'webp', THUMBNAIL_QUALITY), details };
+  } catch (error) {
+    // 损坏或无法解码的图片按无缩略图处理
+    console.warn('Thumbnail encode failed:', error);
+    return { thumbnail: null, details };
+  }
+}
+
+async function readCoverArt(reader, fileSize) {
+  const head = new Uint8Array(await reader(0, Math.min(fileSize || MEDIA_HEAD_SIZE, MEDIA_HEAD_SIZE)));
+  const cover = extractCoverArt(head);
+  if (cover || head.length < MEDIA_HEAD_SIZE || !fileSize || parseBoxHeader(head)?.type !== 'ftyp') return cover;
+
+  // 未做 faststart 的 MP4 / MOV 中 moov 位于媒体数据之后，逐个读取顶层 box 头找到它
+  let offset = 0;
+  for (let i = 0; i < MAX_TOP_LEVEL_BOXES && offset + 8 <= fileSize; i++) {
+    const header = offset + 16 <= head.length
+      ? head.subarray(offset, offset + 16)
+      : new Uint8Array(await reader(offset, Math.min(16, fileSize - offset)));
+    const box = parseBoxHeader(header);
+    if (!box || !box.size) return null;
+    if (box.type === 'moov') {
+      if (box.size > MAX_MOOV_SIZE) return null;
+      // 补一个 ftyp 头，使其与文件开头的结构一致
+      const moov = new Uint8Array(await reader(offset, box.size));
+      const data = new Uint8Array(8 + moov.length);
+      data.set([0, 0, 0, 8, 0x66, 0x74, 0x79, 0x70]);
+      data.set(moov, 8);
+      return extractCoverArt(data);
+    }
+    offset += box.size;
+  }
+  return null;
+}
+
+function blobReader(file) {
+  return (offset, length) => file.slice(offset, offset + length).arrayBuffer();
+}
+
+// 通过 Range 读取原文件，上游不支持 Range 时从完整响应中截取
+function backendReader(env, entry) {
+  return async (offset, length) => {
+    const { response } = await getWithFailover(entry, env, { range: `bytes=${offset}-${offset + length - 1}`, method: 'GET' });
+    if (!response.ok) {
+      throw new Error(`Source fetch failed: ${response.status}`);
+    }
+    const skip = response.status === 206 ? 0 : offset;
+    return await readStreamRange(response.body, skip, length);
+  };
+}
+
+async function readStreamRange(stream, skip, length) {
+  const result = new Uint8Array(length);
+  let position = 0;
+  let filled = 0;
+  const reader = stream.getReader();
+  try {
+    while (filled < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const start = Math.max(0, skip - position);
+      position += value.length;
+      if (start >= value.length) continue;
+      const chunk = value.subarray(start, start + length - filled);
+      result.set(chunk, filled);
+      filled += chunk.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return result.buffer.slice(0, filled);
+}
@@ -0,0 +1,97 @@
+/**
+ * 回收站
+ * 删除文件时只在元数据中记录 trashedAt，文件不再对外提供访问，
+ * 超过保留期（TRASH_RETENTION_DAYS，默认 30 天）后由定时任务彻底删除远端对象和记录，
+ * 远端删除失败的文件保留在回收站中（metadata.purge），下次清理时重试
+ * TRASH_RETENTION_DAYS=0 时关闭回收站，删除即彻底删除
+ */
+import { listIndexEntries } from './file-index.js';
+import { updateFileRecord, deleteFileRecord } from './file-records.js';
+import { removeFilesFromAllAlbums } from './albums.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PURGE_BATCH = 50; // 单次清理的文件数，避免超出 Worker 子请求限制
+
+/**
+ * 回收站保留天数
+ * @returns {number} 0 表示不使用回收站
+ */
+export function getTrashRetentionDays(env) {
+  const value = env.TRASH_RETENTION_DAYS;
+  if (value === undefined || value === null || value === '') return DEFAULT_TRASH_RETENTION_DAYS;
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * 回收站中的文件将被彻底删除的时间
+ */
+export function getPurgeAt(env, trashedAt) {
+  return trashedAt + getTrashRetentionDays(env) * DAY_MS;
+}
+
+/**
+ * 将文件移入回收站
+ * @returns {Promise<{ kvKey: string, metadata: object }|null>} 文件不存在时返回 null
+ */
+export async function trashFile(env, fileId) {
+  return await updateFileRecord(env, fileId, (metadata) => ({
+    ...metadata,
+    trashedAt: metadata.trashedAt || Date.now()
+  }));
+}
+
+/**
+ * 从回收站恢复文件
+ * @returns {Promise<{ kvKey: string, metadata: object }|null>} 文件不存在时返回 null
+ */
+export async function restoreFile(env, fileId) {
+  return await updateFileRecord(env, fileId, (metadata) => {
+    delete metadata.trashedAt;
+    return metadata;
+  });
+}
+
+/**
+ * 彻底删除超过保留期的回收站文件，由定时任务或管理接口调用
+ * @param {object} env 环境变量
+ * @param {{ limit?: number, now?: number }} options
+ * @returns {Promise<{ purged: string[], failed: Array<{ key: string, error: string, attempts?: number }>, remaining: boolean }>}
+ */
+export async function purgeExpiredTrash(env, { limit = DEFAULT_PURGE_BATCH, now = Date.now() } = {}) {
+  const expired = sortByPurgeAttempts((await listIndexEntries(env.img_url))
+    .filter(entry => entry.metadata.trashedAt && getPurgeAt(env, entry.metadata.trashedAt) <= now));
+
+  const purged = [];
+  const failed = [];
+  for (const entry of expired.slice(0, limit)) {
+    const { key } = entry.metadata;
+    try {
+      const deleted = await deleteFileRecord(env, key, { removeFromAlbums: false });
+      if (!deleted) continue;
+      // 远端删除失败时记录保留在回收站中，下次清理时重试
+      if (deleted.kept) {
+        failed.push({ key, error: deleted.metadata.purge.error, attempts: deleted.metadata.purge.attempts });
+        continue;
+      }
+      purged.push(key);
+    } catch (error) {
+      console.error(`Purge ${key} failed:`, error);
+      failed.push({ key, error: error.message });
+    }
+  }
+
+  if (purged.length) {
+    await removeFilesFromAllAlbums(env.img_url, purged);
+  }
+  return { purged, failed, remaining: expired.length > limit };
+}
+
+/**
+ * 按删除失败次数排序（稳定排序），反复失败的文件排在最后，不占用每批的名额
+ * @param {Array<{ metadata: object }>} entries 索引条目
+ */
+export function sortByPurgeAttempts(entries) {
+  return entries.sort((a, b) => (a.metadata.purgeAttempts || 0) - (b.metadata.purgeAttempts || 0));
+}
@@ -0,0 +1,105 @@
+/**
+ * 上传时压缩图片和转换格式
+ * 解码后按 EXIF 方向校正、限制宽度并重新编码，原始文件名和大小记录在元数据中
+ *
+ *   compress      true 时按原格式重新压缩
+ *   maxWidth      最大宽度（像素），超过时等比缩小，不放大
+ *   targetFormat  webp | avif | jpeg | png，转换后文件扩展名随之改变
+ *   quality       质量 1-100（png 忽略），默认与图片处理相同
+ *
+ * 指定 maxWidth 或 targetFormat 时同样视为开启；只支持 JPEG、PNG、WebP 原图，
+ * 其他格式和超过 20MB 的图片原样保存。重新编码会丢弃全部元数据（含 GPS），方向已写入像素
+ * 水印设置为上传时添加（见 watermark.js）时在同一次编码中写入，避免重复有损压缩
+ */
+import { getFileType } from './storage.js';
+import { detectImageFormat } from './media-cover.js';
+import { readImageInfo, applyOrientation } from './image-metadata.js';
+import { applyWatermark } from './watermark.js';
+import {
+  resolveTransformOptions, OUTPUT_FORMATS, MAX_TRANSFORM_DIMENSION, MAX_TRANSFORM_SOURCE_SIZE
+} from './image-transform.js';
+
+const TRUE_VALUES = ['true', '1', 'on'];
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+function parseInteger(value, name, min, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} 必须是 ${min} 到 ${max} 之间的整数`);
+  }
+  return number;
+}
+
+/**
+ * 解析上传参数中的压缩选项
+ * @param {{ compress?: string|boolean, maxWidth?: string|number, targetFormat?: string, quality?: string|number }} params
+ * @returns {{ maxWidth: number|null, format: string|null, quality: number|null }|null} 未开启时返回 null
+ * @throws {Error} 参数无效
+ */
+export function parseCompressOptions({ compress, maxWidth, targetFormat, quality } = {}) {
+  const width = parseInteger(maxWidth, 'maxWidth', 1, MAX_TRANSFORM_DIMENSION);
+
+  let format = targetFormat ? String(targetFormat).toLowerCase() : null;
+  if (format === 'jpg') format = 'jpeg';
+  if (format && !OUTPUT_FORMATS[format]) {
+    throw new Error(`targetFormat 必须是以下之一: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  const enabled = compress === true || TRUE_VALUES.includes(String(compress).toLowerCase());
+  if (!enabled && !width && !format) return null;
+
+  return { maxWidth: width, format, quality: parseInteger(quality, 'quality', 1, 100) };
+}
+
+/**
+ * 按选项压缩上传的图片，并按需添加水印
+ * 格式和尺寸都不变、没有水印且压缩后没有变小时保留原文件
+ * @param {File} file 上传的文件
+ * @param {object|null} options parseCompressOptions 的返回值
+ * @param {object|null} [watermark] loadWatermark(env, 'upload') 的返回值
+ * @returns {Promise<{ file: File, compression: { originalName: string, originalSize: number }|null, watermarked: boolean }>}
+ *   未开启压缩、不支持的格式或保留原文件时 compression 为 null
+ * @throws {Error} 图片无法解码
+ */
+export async function compressUpload(file, options, watermark = null) {
+  const unprocessed = { file, compression: null, watermarked: false };
+  if ((!options && !watermark) || getFileType(file.name) !== 'image' || file.size > MAX_TRANSFORM_SOURCE_SIZE) {
+    return unprocessed;
+  }
+
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  const inputFormat = detectImageFormat(bytes);
+  if (!inputFormat) return unprocessed;
+
+  const target = resolveTransformOptions({ format: options?.format, quality: options?.quality }, inputFormat);
+  const { decodeImage, resizeImage, encodeImage } = await import('./image-codec.js');
+  let decoded;
+  try {
+    decoded = await decodeImage(buffer, inputFormat);
+  } catch (error) {
+    throw new Error(`图片解码失败，无法处理: ${error.message}`);
+  }
+  const image = applyOrientation(decoded, readImageInfo(bytes, file.name).orientation);
+  const resized = await resizeImage(image, { width: options?.maxWidth ?? null, height: null, fit: 'scale-down' });
+  const output = await encodeImage(watermark ? await applyWatermark(resized, watermark) : resized, target.format, target.quality);
+
+  const unchanged = !watermark && target.format === inputFormat && resized === image;
+  if (unchanged && output.byteLength >= file.size) {
+    return unprocessed;
+  }
+
+  const fileName = target.format === inputFormat ? file.name : replaceExtension(file.name, target.format);
+  return {
+    file: new File([output], fileName, { type: OUTPUT_FORMATS[target.format] }),
+    compression: options ? { originalName: file.name, originalSize: file.size } : null,
+    watermarked: Boolean(watermark)
+  };
+}
+
+function replaceExtension(fileName, format) {
+  const dot = fileName.lastIndexOf('.');
+  const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+  return `${base}.${FORMAT_EXTENSIONS[format]}`;
+}
@@ -0,0 +1,78 @@
+/**
+ * 访问次数限制（阅后即焚）
+ * 上传时设置 maxViews，文件每被访问一次（从第一个字节开始返回内容的 GET，包括 Range: bytes=0-）views 加一，达到上限后 /file/:id 返回 410
+ * burnAfterReading 模式下达到上限时同时删除远端对象，仅保留记录（destroyedAt）使链接继续返回 410
+ *
+ * 计数保存在文件元数据中，KV 不保证强一致，不同地区短时间内的并发访问可能略微超过上限
+ */
+import { getRecordWithKey } from './storage.js';
+import { deleteAllReplicas, removeHashIndex } from './backends/index.js';
+import { updateFileRecord } from './file-records.js';
+import { deleteThumbnail } from './thumbnails.js';
+
+export const MAX_VIEW_LIMIT = 1000000;
+
+/**
+ * 解析访问次数参数
+ * @param {{ maxViews?: string|number, burnAfterReading?: string|boolean }} options
+ * @returns {{ maxViews?: number, burnAfterReading?: true }} 可直接合并到元数据，未设置时为空对象
+ * @throws {Error} maxViews 不是正整数
+ */
+export function parseViewLimit({ maxViews, burnAfterReading } = {}) {
+  const burn = burnAfterReading === true || ['true', '1', 'on'].includes(String(burnAfterReading).toLowerCase());
+
+  let limit = null;
+  if (maxViews !== undefined && maxViews !== null && maxViews !== '') {
+    limit = Number(maxViews);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_VIEW_LIMIT) {
+      throw new Error(`maxViews 必须是 1 到 ${MAX_VIEW_LIMIT} 之间的整数`);
+    }
+  }
+
+  if (burn) {
+    return { maxViews: limit || 1, burnAfterReading: true };
+  }
+  return limit ? { maxViews: limit } : {};
+}
+
+/**
+ * 访问次数是否已用完（或文件已被焚毁）
+ */
+export function isViewLimitReached(metadata) {
+  if (metadata?.destroyedAt) return true;
+  return Boolean(metadata?.maxViews) && (metadata.views || 0) >= metadata.maxViews;
+}
+
+/**
+ * 记录一次访问
+ * 只更新文件记录，不改动列表索引，避免每次访问都产生两次写入
+ * @param {object} env 环境变量
+ * @param {string} kvKey 文件记录的 KV Key
+ * @param {object} metadata 文件元数据
+ * @returns {Promise<{ views: number, exhausted: boolean, destroy: boolean }>} destroy 为 true 时调用方应在响应结束后调用 destroyFile
+ */
+export async function recordView(env, kvKey, metadata) {
+  const views = (metadata.views || 0) + 1;
+  await env.img_url.put(kvKey, '', { metadata: { ...metadata, views } });
+  const exhausted = views >= metadata.maxViews;
+  return { views, exhausted, destroy: exhausted && Boolean(metadata.burnAfterReading) };
+}
+
+/**
+ * 焚毁文件：删除所有远端副本、缩略图和哈希索引，记录保留并标记 destroyedAt
+ * @returns {Promise<Array|null>} 各副本的删除结果，文件不存在时返回 null
+ */
+export async function destroyFile(env, fileId) {
+  const { record, kvKey } = await getRecordWithKey(env.img_url, fileId);
+  if (!record?.metadata || record.metadata.destroyedAt) return null;
+
+  const entry = { key: kvKey, metadata: record.metadata };
+  const replicas = await deleteAllReplicas(entry, env);
+  for (const failure of replicas.filter(replica => !replica.deleted)) {
+    console.warn(`Destroy ${kvKey} on ${failure.storageType} failed: ${failure.error}`);
+  }
+  await deleteThumbnail(env, kvKey, record.metadata);
+  await removeHashIndex(env, entry);
+  await updateFileRecord(env, kvKey, (metadata) => ({ ...metadata, thumbnail: undefined, destroyedAt: Date.now() }));
+  return replicas;
+}
@@ -0,0 +1,251 @@
+/**
+ * 图片水印
+ * 设置保存在 KV config:watermark，图片水印的原图保存在 config:watermark-image，通过 /api/manage/watermark 管理
+ *
+ *   mode      upload（上传时写入像素，所有人看到的都带水印）| serve（访问时添加，管理员和白名单文件看到原图）
+ *   type      text | image
+ *   text      文字内容（点阵字体，仅支持 ASCII）；color 为文字颜色
+ *   position  top-left | top-right | bottom-left | bottom-right | center
+ *   opacity   不透明度 0-1
+ *   scale     水印宽度占图片宽度的比例 0.01-1
+ *
+ * 只处理可解码的 JPEG、PNG、WebP、AVIF 且不超过 20MB 的图片
+ */
+import { KEY_PREFIXES } from './storage.js';
+import { isAdminRequest } from './auth.js';
+import { detectImageFormat } from './media-cover.js';
+import { renderText, measureText, GLYPH_HEIGHT } from './pixel-font.js';
+
+const SETTINGS_KEY = `${KEY_PREFIXES.CONFIG}watermark`;
+const IMAGE_KEY = `${KEY_PREFIXES.CONFIG}watermark-image`;
+
+export const WATERMARK_MODES = ['upload', 'serve'];
+export const WATERMARK_TYPES = ['text', 'image'];
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+export const MAX_WATERMARK_TEXT_LENGTH = 64;
+export const MAX_WATERMARK_IMAGE_SIZE = 1024 * 1024;
+const MARGIN_RATIO = 0.02; // 水印与图片边缘的距离，按短边计算
+
+// 解码后的水印图片，按设置的更新时间缓存在当前实例中
+let cachedLogo = null;
+
+export const DEFAULT_WATERMARK = {
+  enabled: false,
+  mode: 'serve',
+  type: 'text',
+  text: '',
+  color: '#ffffff',
+  position: 'bottom-right',
+  opacity: 0.5,
+  scale: 0.2
+};
+
+function parseNumber(value, name, min, max) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`${name} 必须是 ${min} 到 ${max} 之间的数字`);
+  }
+  return number;
+}
+
+function parseChoice(value, name, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`${name} 必须是以下之一: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * 校验并合并水印设置，未提供的字段沿用当前值
+ * @param {object} input 提交的设置
+ * @param {object} current 当前设置
+ * @returns {object} 完整的设置
+ * @throws {Error} 设置无效
+ */
+export function normalizeWatermarkSettings(input, current = DEFAULT_WATERMARK) {
+  const settings = { ...DEFAULT_WATERMARK, ...current };
+  if (input.enabled !== undefined) settings.enabled = input.enabled === true || input.enabled === 'true';
+  if (input.mode !== undefined) settings.mode = parseChoice(input.mode, 'mode', WATERMARK_MODES);
+  if (input.type !== undefined) settings.type = parseChoice(input.type, 'type', WATERMARK_TYPES);
+  if (input.position !== undefined) settings.position = parseChoice(input.position, 'position', WATERMARK_POSITIONS);
+  if (input.opacity !== undefined) settings.opacity = parseNumber(input.opacity, 'opacity', 0, 1);
+  if (input.scale !== undefined) settings.scale = parseNumber(input.scale, 'scale', 0.01, 1);
+
+  if (input.text !== undefined) {
+    const text = String(input.text).trim();
+    if (text.length > MAX_WATERMARK_TEXT_LENGTH) {
+      throw new Error(`水印文字最多 ${MAX_WATERMARK_TEXT_LENGTH} 个字符`);
+    }
+    if (/[^\x20-\x7e]/.test(text)) {
+      throw new Error('水印文字只支持英文字母、数字和常用符号，中文或 Logo 请使用图片水印');
+    }
+    settings.text = text;
+  }
+
+  if (input.color !== undefined) {
+    if (!/^#[0-9a-f]{6}$/i.test(String(input.color))) {
+      throw new Error('color 必须是 #rrggbb 格式');
+    }
+    settings.color = String(input.color).toLowerCase();
+  }
+
+  if (settings.enabled && settings.type === 'text' && !settings.text) {
+    throw new Error('文字水印需要设置 text');
+  }
+  return settings;
+}
+
+/**
+ * 读取水印设置
+ * @returns {Promise<object>} 未配置时返回默认设置（未启用）
+ */
+export async function getWatermarkSettings(env) {
+  if (!env.img_url) return { ...DEFAULT_WATERMARK };
+  const stored = await env.img_url.get(SETTINGS_KEY, { type: 'json' });
+  return { ...DEFAULT_WATERMARK, ...stored };
+}
+
+/**
+ * 保存水印设置，updatedAt 用于区分访问时水印的缓存
+ */
+export async function saveWatermarkSettings(env, settings) {
+  const saved = { ...settings, updatedAt: Date.now() };
+  await env.img_url.put(SETTINGS_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+export async function getWatermarkImage(env) {
+  return await env.img_url.get(IMAGE_KEY, { type: 'arrayBuffer' });
+}
+
+/**
+ * 保存图片水印（PNG、JPEG 或 WebP）
+ * @throws {Error} 格式不支持、过大或无法解码
+ */
+export async function saveWatermarkImage(env, buffer) {
+  if (!buffer.byteLength || buffer.byteLength > MAX_WATERMARK_IMAGE_SIZE) {
+    throw new Error(`水印图片不能为空且不能超过 ${MAX_WATERMARK_IMAGE_SIZE / 1024 / 1024}MB`);
+  }
+  const format = detectImageFormat(new Uint8Array(buffer));
+  if (!format) {
+    throw new Error('水印图片只支持 PNG、JPEG、WebP');
+  }
+  const { decodeImage } = await import('./image-codec.js');
+  try {
+    await decodeImage(buffer.slice(0), format);
+  } catch (error) {
+    throw new Error(`水印图片无法解码: ${error.message}`);
+  }
+  await env.img_url.put(IMAGE_KEY, buffer);
+}
+
+/**
+ * 删除水印设置和图片
+ */
+export async function deleteWatermark(env) {
+  await env.img_url.delete(SETTINGS_KEY);
+  await env.img_url.delete(IMAGE_KEY);
+}
+
+/**
+ * 加载指定模式下生效的水印
+ * @param {object} env 环境变量
+ * @param {string} mode upload | serve
+ * @param {object} [settings] 已读取的设置
+ * @returns {Promise<{ settings: object, logo: ImageData|null }|null>} 未启用、模式不同或缺少水印图片时返回 null
+ */
+export async function loadWatermark(env, mode, settings) {
+  settings = settings || await getWatermarkSettings(env);
+  if (!settings.enabled || settings.mode !== mode) return null;
+  if (settings.type === 'text') {
+    return settings.text ? { settings, logo: null } : null;
+  }
+
+  if (cachedLogo?.updatedAt !== settings.updatedAt) {
+    const buffer = await getWatermarkImage(env);
+    const format = buffer && detectImageFormat(new Uint8Array(buffer));
+    if (!format) return null;
+    const { decodeImage } = await import('./image-codec.js');
+    cachedLogo = { updatedAt: settings.updatedAt, image: await decodeImage(buffer, format) };
+  }
+  return { settings, logo: cachedLogo.image };
+}
+
+/**
+ * 访问时是否需要添加水印：白名单文件、上传时已加过水印的文件和已登录的管理员返回 null
+ * @param {object} context 请求上下文
+ * @param {object} fileMetadata 文件元数据
+ */
+export async function getServeWatermark(context, fileMetadata) {
+  if (fileMetadata.ListType === 'White' || fileMetadata.watermarked) return null;
+  const settings = await getWatermarkSettings(context.env);
+  if (!settings.enabled || settings.mode !== 'serve') return null;
+  if (await isAdminRequest(context)) return null;
+  return await loadWatermark(context.env, 'serve', settings);
+}
+
+/**
+ * 把水印合成到图片上
+ * @param {ImageData} image 图片像素
+ * @param {{ settings: object, logo: ImageData|null }} watermark loadWatermark 的返回值
+ * @returns {Promise<ImageData>} 合成后的图片（不修改传入的像素）
+ */
+export async function applyWatermark(image, { settings, logo }) {
+  const targetWidth = Math.max(1, Math.round(image.width * settings.scale));
+
+  let overlay;
+  if (settings.type === 'text') {
+    // 点阵单元按整数像素放大，不超出图片
+    const columns = measureText(settings.text);
+    const maxSize = Math.max(1, Math.min(Math.floor(image.width / columns), Math.floor(image.height / GLYPH_HEIGHT)));
+    const pixelSize = Math.min(Math.max(1, Math.round(targetWidth / columns)), maxSize);
+    overlay = renderText(settings.text, hexToRgb(settings.color), pixelSize);
+  } else {
+    const { resizeImage } = await import('./image-codec.js');
+    const ratio = Math.min(targetWidth / logo.width, image.height / logo.height);
+    overlay = await resizeImage(logo, {
+      width: Math.max(1, Math.round(logo.width * ratio)),
+      height: Math.max(1, Math.round(logo.height * ratio)),
+      fit: 'fill'
+    });
+  }
+
+  const { x, y } = overlayPosition(image, overlay, settings.position);
+  const data = new Uint8ClampedArray(image.data);
+  for (let row = 0; row < overlay.height; row++) {
+    const targetY = y + row;
+    if (targetY < 0 || targetY >= image.height) continue;
+    for (let column = 0; column < overlay.width; column++) {
+      const targetX = x + column;
+      if (targetX < 0 || targetX >= image.width) continue;
+      const from = (row * overlay.width + column) * 4;
+      const alpha = overlay.data[from + 3] / 255 * settings.opacity;
+      if (!alpha) continue;
+      const to = (targetY * image.width + targetX) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        data[to + channel] = data[to + channel] * (1 - alpha) + overlay.data[from + channel] * alpha;
+      }
+    }
+  }
+  return new ImageData(data, image.width, image.height);
+}
+
+function overlayPosition(image, overlay, position) {
+  const margin = Math.round(Math.min(image.width, image.height) * MARGIN_RATIO);
+  if (position === 'center') {
+    return {
+      x: Math.round((image.width - overlay.width) / 2),
+      y: Math.round((image.height - overlay.height) / 2)
+    };
+  }
+  const [vertical, horizontal] = position.split('-');
+  return {
+    x: horizontal === 'left' ? margin : image.width - overlay.width - margin,
+    y: vertical === 'top' ? margin : image.height - overlay.height - margin
+  };
+}
+
+function hexToRgb(color) {
+  const value = parseInt(color.slice(1), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff];
+}
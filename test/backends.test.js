@@ -0,0 +1,141 @@
+const assert = require('assert');
+
+describe('Storage backend registry', function () {
+  async function getRegistry() {
+    return await import('../functions/utils/backends/index.js');
+  }
+
+  function mockEnv() {
+    const kv = new Map();
+    const objects = new Map();
+    return {
+      img_url: {
+        put: (key, value, options = {}) => {
+          kv.set(key, { value, metadata: options.metadata });
+          return Promise.resolve();
+        },
+        get: (key) => Promise.resolve(kv.has(key) ? kv.get(key).value : null),
+        getWithMetadata: (key) => Promise.resolve(kv.get(key) || { value: null, metadata: null }),
+        delete: (key) => Promise.resolve(kv.delete(key))
+      },
+      R2_BUCKET: {
+        put: (key, value) => {
+          objects.set(key, new Uint8Array(value));
+          return Promise.resolve();
+        },
+        delete: (key) => Promise.resolve(objects.delete(key)),
+        get: (key) => {
+          const data = objects.get(key);
+          return Promise.resolve(data ? { size: data.length, body: new Blob([data]).stream() } : null);
+        }
+      },
+      kv,
+      objects
+    };
+  }
+
+  it('resolves storage type from metadata, then key prefix', async function () {
+    const { resolveStorageType } = await getRegistry();
+    assert.strictEqual(resolveStorageType({ key: 'abc.jpg', metadata: { storageType: 's3' } }), 's3');
+    assert.strictEqual(resolveStorageType({ key: 'img:abc.jpg', metadata: { storage: 'r2' } }), 'r2');
+    assert.strictEqual(resolveStorageType({ key: 'hf:hf_1_a.png', metadata: {} }), 'huggingface');
+    assert.strictEqual(resolveStorageType({ key: 'AgACAgEAAxkD.jpg', metadata: {} }), 'telegram');
+  });
+
+  it('finds records by bare ID under every file prefix but never system keys', async function () {
+    const { getRecordWithKey } = await import('../functions/utils/storage.js');
+    const env = mockEnv();
+    await env.img_url.put('hf:hf_1_a.png', '', { metadata: { fileName: 'a.png' } });
+    await env.img_url.put('idx:img:b.png', '', { metadata: { fileName: 'b.png', passwordProtected: true } });
+
+    assert.strictEqual((await getRecordWithKey(env.img_url, 'hf_1_a.png')).kvKey, 'hf:hf_1_a.png');
+    assert.strictEqual((await getRecordWithKey(env.img_url, 'idx:img:b.png')).record, null);
+  });
+
+  it('stores through a backend and reads the bytes back', async function () {
+    const { storeFile, getBackendForEntry } = await getRegistry();
+    const env = mockEnv();
+    const stored = await storeFile(env, new File(['hello'], 'a.txt', { type: 'text/plain' }), { storageMode: 'r2' });
+
+    assert.ok(stored.key.startsWith('r2:'));
+    assert.strictEqual(stored.src, `/file/${stored.key}`);
+    assert.strictEqual(env.kv.get(stored.key).metadata.storageType, 'r2');
+
+    const entry = { key: stored.key, metadata: env.kv.get(stored.key).metadata };
+    const response = await getBackendForEntry(entry, env).get(entry);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'hello');
+  });
+
+  it('deletes the uploaded object when the file record cannot be saved', async function () {
+    const { storeFile } = await getRegistry();
+    const env = mockEnv();
+    const put = env.img_url.put;
+    env.img_url.put = (key, value, options) => (key.startsWith('idx:') ? Promise.reject(new Error('KV unavailable')) : put(key, value, options));
+
+    await assert.rejects(storeFile(env, new File(['hello'], 'a.txt'), { storageMode: 'r2' }), /保存文件记录失败: KV unavailable/);
+    assert.strictEqual(env.objects.size, 0);
+    assert.strictEqual(env.kv.size, 0);
+
+    // 元数据明显超出 KV 限制时不上传
+    await assert.rejects(storeFile(env, new File(['hello'], `${'长'.repeat(400)}.txt`), { storageMode: 'r2' }), /超过 KV 的 1024 字节限制/);
+    assert.strictEqual(env.objects.size, 0);
+  });
+
+  it('returns the existing file when the same bytes are uploaded again', async function () {
+    const { storeFile } = await getRegistry();
+    const env = mockEnv();
+    const first = await storeFile(env, new File(['hello'], 'a.txt'), { storageMode: 'r2' });
+    const second = await storeFile(env, new File(['hello'], 'b.txt'), { storageMode: 'r2' });
+
+    assert.strictEqual(first.duplicate, false);
+    assert.strictEqual(second.duplicate, true);
+    assert.strictEqual(second.src, first.src);
+    assert.strictEqual(env.objects.size, 1);
+    assert.strictEqual(env.kv.get(`hash:${first.metadata.sha256}`).value, first.key);
+
+    const forced = await storeFile(env, new File(['hello'], 'c.txt'), { storageMode: 'r2', dedup: false });
+    assert.notStrictEqual(forced.key, first.key);
+  });
+
+  it('never deduplicates against expiring uploads', async function () {
+    const { storeFile } = await getRegistry();
+    const env = mockEnv();
+    const expiring = await storeFile(env, new File(['hello'], 'a.txt'), {
+      storageMode: 'r2',
+      extraMetadata: { expiresAt: Date.now() + 60000 }
+    });
+    const permanent = await storeFile(env, new File(['hello'], 'b.txt'), { storageMode: 'r2' });
+    const again = await storeFile(env, new File(['hello'], 'c.txt'), {
+      storageMode: 'r2',
+      extraMetadata: { expiresAt: Date.now() + 60000 }
+    });
+
+    assert.strictEqual(permanent.duplicate, false);
+    assert.notStrictEqual(permanent.key, expiring.key);
+    assert.strictEqual(again.duplicate, false);
+    assert.strictEqual(env.kv.get(`hash:${permanent.metadata.sha256}`).value, permanent.key);
+  });
+
+  it('rejects uploads to unconfigured backends', async function () {
+    const { storeFile } = await getRegistry();
+    await assert.rejects(
+      storeFile({}, new File(['x'], 'a.txt'), { storageMode: 's3' }),
+      /S3 未配置/
+    );
+  });
+
+  it('falls back to the next replica when the primary is missing', async function () {
+    const { storeFile, getWithFailover } = await getRegistry();
+    const env = mockEnv();
+    const stored = await storeFile(env, new File(['hello'], 'a.txt'), { storageMode: 'r2', replicas: 'r2' });
+    assert.strictEqual(stored.metadata.replicas, undefined);
+
+    const entry = {
+      key: 'r2:missing.txt',
+      metadata: { storageType: 'r2', r2Key: 'missing.txt', replicas: [{ key: stored.key, ...stored.metadata }] }
+    };
+    const { response } = await getWithFailover(entry, env);
+    assert.strictEqual(await response.text(), 'hello');
+  });
+});
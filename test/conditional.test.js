@@ -0,0 +1,41 @@
+const assert = require('assert');
+
+describe('Conditional requests', function () {
+  function request(headers, method = 'GET') {
+    return new Request('https://example.com/file/a.png', { method, headers });
+  }
+
+  it('derives validators from the content hash or the storage key', async function () {
+    const { getValidators } = await import('../functions/utils/conditional.js');
+
+    const stored = await getValidators('img:a.png', { sha256: 'abc', TimeStamp: Date.UTC(2024, 0, 2, 3, 4, 5, 678) });
+    assert.deepStrictEqual(stored, { etag: '"abc"', lastModified: 'Tue, 02 Jan 2024 03:04:05 GMT' });
+
+    // 没有哈希的旧文件使用 Key 的哈希，处理后的图片使用弱 ETag
+    const legacy = await getValidators('img:a.png', {});
+    assert.match(legacy.etag, /^"[0-9a-f]{64}"$/);
+    assert.strictEqual(legacy.lastModified, null);
+    assert.match((await getValidators('img:a.png', { sha256: 'abc' }, 'w=100')).etag, /^W\/"abc-[0-9a-f]{16}"$/);
+  });
+
+  it('answers If-None-Match, If-Modified-Since and If-Range', async function () {
+    const { isNotModified, matchesIfRange } = await import('../functions/utils/conditional.js');
+    const validators = { etag: '"abc"', lastModified: 'Tue, 02 Jan 2024 03:04:05 GMT' };
+
+    assert.ok(isNotModified(request({ 'If-None-Match': '"x", W/"abc"' }), validators));
+    assert.ok(isNotModified(request({ 'If-None-Match': '*' }, 'HEAD'), validators));
+    assert.ok(!isNotModified(request({ 'If-None-Match': '"x"' }), validators));
+    assert.ok(!isNotModified(request({ 'If-None-Match': '"abc"' }, 'POST'), validators));
+    // If-None-Match 存在时忽略 If-Modified-Since
+    assert.ok(!isNotModified(request({ 'If-None-Match': '"x"', 'If-Modified-Since': validators.lastModified }), validators));
+    assert.ok(isNotModified(request({ 'If-Modified-Since': 'Wed, 03 Jan 2024 00:00:00 GMT' }), validators));
+    assert.ok(!isNotModified(request({ 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' }), validators));
+    assert.ok(!isNotModified(request({}), validators));
+
+    assert.ok(matchesIfRange(request({}), validators));
+    assert.ok(matchesIfRange(request({ 'If-Range': '"abc"' }), validators));
+    assert.ok(!matchesIfRange(request({ 'If-Range': 'W/"abc"' }), validators));
+    assert.ok(matchesIfRange(request({ 'If-Range': validators.lastModified }), validators));
+    assert.ok(!matchesIfRange(request({ 'If-Range': 'Mon, 01 Jan 2024 00:00:00 GMT' }), validators));
+  });
+});
@@ -0,0 +1,21 @@
+const assert = require('assert');
+
+describe('Edge cache', function () {
+  it('caches files from slow external backends only', async function () {
+    const { isEdgeCacheable, getEdgeCacheTtl, edgeCacheKey } = await import('../functions/utils/edge-cache.js');
+
+    assert.strictEqual(getEdgeCacheTtl({}), 2592000);
+    assert.strictEqual(getEdgeCacheTtl({ EDGE_CACHE_TTL: '3600' }), 3600);
+    assert.strictEqual(getEdgeCacheTtl({ EDGE_CACHE_TTL: '0' }), 0);
+
+    const telegram = { key: 'abc.jpg', metadata: { storageType: 'telegram' } };
+    assert.ok(isEdgeCacheable(telegram, {}));
+    assert.ok(isEdgeCacheable({ key: 'discord:1.png', metadata: {} }, {}));
+    assert.ok(!isEdgeCacheable({ key: 'r2:a.png', metadata: { storageType: 'r2' } }, {}));
+    // 关闭缓存或限制访问次数时不缓存
+    assert.ok(!isEdgeCacheable(telegram, { EDGE_CACHE_TTL: '0' }));
+    assert.ok(!isEdgeCacheable({ ...telegram, metadata: { storageType: 'telegram', maxViews: 1 } }, {}));
+
+    assert.strictEqual(edgeCacheKey('https://example.com', 'hf:a b.png').url, 'https://example.com/__edge/hf%3Aa%20b.png');
+  });
+});
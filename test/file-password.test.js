@@ -0,0 +1,50 @@
+const assert = require('assert');
+
+describe('File passwords', function () {
+  function context(query = '', headers = {}, env = {}) {
+    return { request: new Request(`https://example.com/file/a.png${query}`, { headers }), env };
+  }
+
+  it('hashes passwords with a salt and verifies them', async function () {
+    const { hashPassword, verifyPassword } = await import('../functions/utils/file-password.js');
+
+    const hash = await hashPassword('secret');
+    assert.match(hash, /^pbkdf2\$100000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    assert.notStrictEqual(await hashPassword('secret'), hash);
+    assert.ok(await verifyPassword('secret', hash));
+    assert.ok(!(await verifyPassword('Secret', hash)));
+    assert.ok(!(await verifyPassword('secret', 'sha256$abc')));
+    assert.ok(!(await verifyPassword('secret', undefined)));
+  });
+
+  it('unlocks with ?pwd= and accepts the issued cookie afterwards', async function () {
+    const { hashPassword, checkFileAccess } = await import('../functions/utils/file-password.js');
+    const metadata = { passwordHash: await hashPassword('secret') };
+
+    assert.deepStrictEqual(await checkFileAccess(context(), 'img:a.png', {}), { allowed: true });
+    assert.deepStrictEqual(await checkFileAccess(context('?pwd=wrong'), 'img:a.png', metadata), { allowed: false, wrongPassword: true });
+    assert.deepStrictEqual(await checkFileAccess(context(), 'img:a.png', metadata), { allowed: false });
+
+    const unlocked = await checkFileAccess(context('?pwd=secret'), 'img:a.png', metadata);
+    assert.ok(unlocked.allowed);
+    assert.match(unlocked.setCookie, /^file_unlock_[0-9a-f]{16}=[0-9a-f]{64}; Path=\/; HttpOnly; Secure; SameSite=Lax; Max-Age=86400$/);
+
+    const cookie = unlocked.setCookie.split(';')[0];
+    assert.deepStrictEqual(await checkFileAccess(context('', { Cookie: `theme=dark; ${cookie}` }), 'img:a.png', metadata), { allowed: true });
+    // Cookie 只对签发时的文件和密码有效
+    assert.ok(!(await checkFileAccess(context('', { Cookie: cookie }), 'img:b.png', metadata)).allowed);
+    const changed = { passwordHash: await hashPassword('secret') };
+    assert.ok(!(await checkFileAccess(context('', { Cookie: cookie }), 'img:a.png', changed)).allowed);
+  });
+
+  it('lets a logged-in admin through only when authentication is enabled', async function () {
+    const { hashPassword, checkFileAccess } = await import('../functions/utils/file-password.js');
+    const metadata = { passwordHash: await hashPassword('secret') };
+    const env = { BASIC_USER: 'admin', BASIC_PASS: 'pass' };
+    const authorization = { Authorization: `Basic ${btoa('admin:pass')}` };
+
+    assert.ok((await checkFileAccess(context('', authorization, env), 'img:a.png', metadata)).allowed);
+    assert.ok(!(await checkFileAccess(context('', { Authorization: `Basic ${btoa('admin:nope')}` }, env), 'img:a.png', metadata)).allowed);
+    assert.ok(!(await checkFileAccess(context('', authorization), 'img:a.png', metadata)).allowed);
+  });
+});
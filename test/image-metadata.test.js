@@ -0,0 +1,80 @@
+const assert = require('assert');
+
+describe('Image metadata', function () {
+  function u16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+  }
+
+  function u32(value) {
+    return [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+  }
+
+  function ascii(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+  }
+
+  // 小端 TIFF：IFD0（方向、厂商、型号、Exif IFD 指针）+ Exif IFD（拍摄时间）
+  function buildExif() {
+    const make = ascii('Canon\0');
+    const model = ascii('EOS R5\0');
+    const date = ascii('2024:05:06 07:08:09\0');
+    const ifd0Offset = 8;
+    const ifd0Size = 2 + 4 * 12 + 4;
+    const exifIfdOffset = ifd0Offset + ifd0Size;
+    const exifIfdSize = 2 + 12 + 4;
+    const makeOffset = exifIfdOffset + exifIfdSize;
+    const modelOffset = makeOffset + make.length;
+    const dateOffset = modelOffset + model.length;
+    return [
+      ...ascii('II'), ...u16(42), ...u32(ifd0Offset),
+      ...u16(4),
+      ...u16(0x010f), ...u16(2), ...u32(make.length), ...u32(makeOffset),
+      ...u16(0x0110), ...u16(2), ...u32(model.length), ...u32(modelOffset),
+      ...u16(0x0112), ...u16(3), ...u32(1), ...u16(6), 0, 0,
+      ...u16(0x8769), ...u16(4), ...u32(1), ...u32(exifIfdOffset),
+      ...u32(0),
+      ...u16(1),
+      ...u16(0x9003), ...u16(2), ...u32(date.length), ...u32(dateOffset),
+      ...u32(0),
+      ...make, ...model, ...date
+    ];
+  }
+
+  it('reads JPEG dimensions and EXIF from the file header', async function () {
+    const { readImageInfo } = await import('../functions/utils/image-metadata.js');
+    const app1 = [...ascii('Exif\0\0'), ...buildExif()];
+    const sof = [8, 0, 100, 0, 200, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1];
+    const jpeg = new Uint8Array([
+      0xff, 0xd8,
+      0xff, 0xe1, (app1.length + 2) >> 8, (app1.length + 2) & 0xff, ...app1,
+      0xff, 0xc0, 0, sof.length + 2, ...sof,
+      0xff, 0xda
+    ]);
+
+    // 方向 6 需要旋转 90°，显示尺寸宽高互换
+    assert.deepStrictEqual(readImageInfo(jpeg, 'photo.jpg'), {
+      width: 100,
+      height: 200,
+      orientation: 6,
+      takenAt: '2024-05-06T07:08:09',
+      cameraModel: 'Canon EOS R5'
+    });
+    assert.deepStrictEqual(readImageInfo(jpeg, 'photo.txt'), {});
+    assert.deepStrictEqual(readImageInfo(new Uint8Array([1, 2, 3]), 'broken.png'), {});
+  });
+
+  it('computes dominant color and blurhash placeholders', async function () {
+    const { computePlaceholder } = await import('../functions/utils/image-metadata.js');
+    const width = 8;
+    const height = 4;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+      data.set([255, 0, 0, 255], i);
+    }
+
+    const placeholder = computePlaceholder({ data, width, height });
+    assert.strictEqual(placeholder.dominantColor, '#ff0000');
+    // 按 BlurHash 参考算法计算的结果
+    assert.strictEqual(placeholder.blurhash, 'L~TI:j,YfQ,Y|csUfQsUfQfQfQfQ');
+  });
+});
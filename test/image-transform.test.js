@@ -0,0 +1,36 @@
+const assert = require('assert');
+
+describe('Image transform options', function () {
+  async function getTransform() {
+    return await import('../functions/utils/image-transform.js');
+  }
+
+  it('parses and validates query parameters', async function () {
+    const { parseTransformOptions, resolveTransformOptions, transformCacheQuery } = await getTransform();
+    assert.strictEqual(parseTransformOptions(new URLSearchParams('t=1')), null);
+
+    const options = resolveTransformOptions(parseTransformOptions(new URLSearchParams('w=320&format=jpg')), 'png');
+    assert.deepStrictEqual(options, { width: 320, height: null, fit: 'scale-down', format: 'jpeg', quality: 80 });
+    assert.strictEqual(transformCacheQuery(options), 'w=320&h=&fit=scale-down&format=jpeg&q=80');
+
+    assert.throws(() => parseTransformOptions(new URLSearchParams('w=0')));
+    assert.throws(() => parseTransformOptions(new URLSearchParams('fit=zoom')));
+    assert.throws(() => parseTransformOptions(new URLSearchParams('format=gif')));
+  });
+
+  it('computes target sizes for each fit mode', async function () {
+    const { computeTargetSize } = await getTransform();
+    assert.deepStrictEqual(computeTargetSize(1000, 500, { width: 200, height: null, fit: 'scale-down' }), { width: 200, height: 100, crop: false });
+    assert.deepStrictEqual(computeTargetSize(100, 50, { width: 200, height: null, fit: 'scale-down' }), { width: 100, height: 50, crop: false });
+    assert.deepStrictEqual(computeTargetSize(100, 50, { width: 200, height: 200, fit: 'contain' }), { width: 200, height: 100, crop: false });
+    assert.deepStrictEqual(computeTargetSize(1000, 500, { width: 200, height: 200, fit: 'cover' }), { width: 200, height: 200, crop: true });
+    assert.deepStrictEqual(computeTargetSize(1000, 500, { width: 200, height: 200, fit: 'fill' }), { width: 200, height: 200, crop: false });
+  });
+
+  it('caps the decoded pixel count', async function () {
+    const { exceedsPixelLimit } = await getTransform();
+    assert.strictEqual(exceedsPixelLimit(5000, 5000), false);
+    assert.strictEqual(exceedsPixelLimit(5001, 5000), true);
+    assert.strictEqual(exceedsPixelLimit(undefined, undefined), false);
+  });
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+
+describe('Media cover art', function () {
+  const JPEG = [0xff, 0xd8, 0xff, 0xe0, 1, 2, 3];
+
+  function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  }
+
+  function ascii(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+  }
+
+  function box(type, content) {
+    return [...uint32(8 + content.length), ...ascii(type), ...content];
+  }
+
+  it('extracts ID3v2.3 APIC and FLAC PICTURE covers', async function () {
+    const { extractCoverArt } = await import('../functions/utils/media-cover.js');
+
+    const apic = [0, ...ascii('image/jpeg'), 0, 3, ...ascii('cover'), 0, ...JPEG];
+    const frames = [...ascii('TIT2'), ...uint32(2), 0, 0, 0, 0x41, ...ascii('APIC'), ...uint32(apic.length), 0, 0, ...apic];
+    const id3 = new Uint8Array([...ascii('ID3'), 3, 0, 0, 0, 0, 0, frames.length, ...frames, 0xff, 0xfb]);
+    assert.deepStrictEqual(extractCoverArt(id3), { data: new Uint8Array(JPEG), format: 'jpeg' });
+
+    const picture = [...uint32(3), ...uint32(10), ...ascii('image/jpeg'), ...uint32(0), ...new Array(16).fill(0), ...uint32(JPEG.length), ...JPEG];
+    const flac = new Uint8Array([...ascii('fLaC'), 0x00, 0, 0, 2, 0, 0, 0x86, 0, 0, picture.length, ...picture]);
+    assert.deepStrictEqual(extractCoverArt(flac), { data: new Uint8Array(JPEG), format: 'jpeg' });
+  });
+
+  it('extracts MP4 covr atoms and ignores files without covers', async function () {
+    const { extractCoverArt, parseBoxHeader } = await import('../functions/utils/media-cover.js');
+
+    const covr = box('covr', box('data', [...uint32(13), ...uint32(0), ...JPEG]));
+    const moov = box('moov', box('udta', box('meta', [0, 0, 0, 0, ...box('hdlr', []), ...box('ilst', covr)])));
+    const mp4 = new Uint8Array([...box('ftyp', ascii('isom')), ...moov, ...box('mdat', [1, 2, 3])]);
+    assert.deepStrictEqual(extractCoverArt(mp4), { data: new Uint8Array(JPEG), format: 'jpeg' });
+    assert.deepStrictEqual(parseBoxHeader(mp4), { type: 'ftyp', size: 12 });
+
+    const withoutCover = new Uint8Array([...box('ftyp', ascii('isom')), ...box('mdat', [1, 2, 3])]);
+    assert.strictEqual(extractCoverArt(withoutCover), null);
+    assert.strictEqual(extractCoverArt(new Uint8Array([0xff, 0xfb, 0x90, 0x64])), null);
+  });
+});
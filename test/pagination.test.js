@@ -45,4 +45,75 @@ describe('KV list pagination', function () {
     assert.strictEqual(secondData.list_complete, true);
     assert.ok(!secondData.cursor);
   });
+
+  it('filters and sorts through the file index with stable cursors', async function () {
+    const onRequest = await getOnRequest();
+    const { updateFileIndex } = await import('../functions/utils/file-index.js');
+    const index = new Map();
+    const env = {
+      img_url: {
+        put: (key, value, options) => Promise.resolve(index.set(key, options.metadata)),
+        list: ({ prefix, limit, cursor }) => {
+          const names = [...index.keys()].filter(name => name.startsWith(prefix)).sort();
+          const start = cursor ? parseInt(cursor, 10) : 0;
+          const end = Math.min(start + limit, names.length);
+          return Promise.resolve({
+            keys: names.slice(start, end).map(name => ({ name, metadata: index.get(name) })),
+            list_complete: end >= names.length,
+            cursor: end < names.length ? String(end) : undefined
+          });
+        }
+      }
+    };
+    const files = [['a.jpg', 30, 1000], ['b.png', 10, 2000], ['c.mp3', 20, 3000], ['d.jpg', 20, 4000]];
+    for (const [fileName, fileSize, TimeStamp] of files) {
+      await updateFileIndex(env.img_url, `img:${fileName}`, { fileName, fileSize, TimeStamp }, 'telegram');
+    }
+
+    const list = async (query) => JSON.parse(await (await onRequest({
+      request: new Request(`https://example.com/api/manage/list?${query}`), env
+    })).text());
+
+    const images = await list('type=image');
+    assert.deepStrictEqual(images.keys.map(key => key.name), ['img:d.jpg', 'img:b.png', 'img:a.jpg']);
+
+    const names = [];
+    let cursor = '';
+    let page;
+    do {
+      page = await list(`sort=size&order=asc&limit=1${cursor ? `&cursor=${cursor}` : ''}`);
+      names.push(...page.keys.map(key => key.metadata.fileName));
+      cursor = page.cursor;
+      // 翻页过程中新增文件不应打乱已返回的顺序
+      if (names.length === 2) {
+        await updateFileIndex(env.img_url, 'img:e.jpg', { fileName: 'e.jpg', fileSize: 5, TimeStamp: 5000 }, 'telegram');
+      }
+    } while (!page.list_complete);
+    assert.deepStrictEqual(names, ['b.png', 'd.jpg', 'c.mp3', 'a.jpg']);
+  });
+
+  it('keeps index metadata within the KV size limit', async function () {
+    const { toIndexMetadata } = await import('../functions/utils/file-index.js');
+    const size = (metadata) => new TextEncoder().encode(JSON.stringify(metadata)).length;
+
+    // 文件名按 UTF-8 字节截断，超限时先丢弃图片元数据
+    const indexed = toIndexMetadata('img:a.jpg', {
+      fileName: '图'.repeat(150) + '.jpg',
+      TimeStamp: 1,
+      tags: Array.from({ length: 20 }, (_, i) => `tag-${i}-${'x'.repeat(18)}`),
+      width: 100,
+      height: 100,
+      cameraModel: 'c'.repeat(64),
+      blurhash: 'b'.repeat(60)
+    }, 'r2');
+    assert.strictEqual(indexed.fileName, '图'.repeat(66));
+    assert.strictEqual(indexed.width, 100);
+    assert.ok(!indexed.blurhash);
+    assert.ok(size(indexed) <= 1024);
+
+    assert.throws(() => toIndexMetadata('img:b.jpg', {
+      fileName: 'b.jpg',
+      tags: Array.from({ length: 20 }, (_, i) => `tag-${i}-${'x'.repeat(40)}`)
+    }, 'r2'), /超过 KV 的 1024 字节限制/);
+  });
 });
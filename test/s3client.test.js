@@ -0,0 +1,99 @@
+const assert = require('assert');
+
+describe('S3 multipart upload', function () {
+  const originalFetch = globalThis.fetch;
+  afterEach(function () {
+    globalThis.fetch = originalFetch;
+  });
+
+  function createClient(S3Client) {
+    return new S3Client({
+      endpoint: 'https://s3.example.com',
+      bucket: 'bucket',
+      accessKeyId: 'key',
+      secretAccessKey: 'secret'
+    });
+  }
+
+  // 记录请求的最小 S3 服务，ListParts 每页返回 2 个分片
+  function mockS3({ failPart } = {}) {
+    const calls = [];
+    const parts = new Map();
+    globalThis.fetch = async (url, init) => {
+      const { searchParams } = new URL(url);
+      const body = typeof init.body === 'string' ? init.body : init.body && new Uint8Array(init.body);
+      calls.push({ method: init.method, query: searchParams.toString(), body, signed: Boolean(init.headers.Authorization) });
+
+      if (searchParams.has('uploads')) {
+        return new Response('<InitiateMultipartUploadResult><UploadId>upload-1</UploadId></InitiateMultipartUploadResult>');
+      }
+      if (searchParams.has('partNumber')) {
+        const partNumber = Number(searchParams.get('partNumber'));
+        if (partNumber === failPart) return new Response('<Error>SlowDown</Error>', { status: 503 });
+        parts.set(partNumber, body);
+        return new Response(null, { headers: { ETag: `"etag-${partNumber}"` } });
+      }
+      if (init.method === 'GET') {
+        const marker = Number(searchParams.get('part-number-marker'));
+        const page = [...parts.keys()].sort((a, b) => a - b).filter(n => n > marker).slice(0, 2);
+        const truncated = page.length && page.at(-1) < parts.size;
+        return new Response(`<ListPartsResult><IsTruncated>${truncated}</IsTruncated>` +
+          `<NextPartNumberMarker>${page.at(-1) || 0}</NextPartNumberMarker>` +
+          page.map(n => `<Part><PartNumber>${n}</PartNumber><ETag>&quot;etag-${n}&quot;</ETag><Size>${parts.get(n).length}</Size></Part>`).join('') +
+          '</ListPartsResult>');
+      }
+      return new Response('<CompleteMultipartUploadResult><ETag>"final"</ETag></CompleteMultipartUploadResult>');
+    };
+    return { calls, parts };
+  }
+
+  it('uploads parts, lists them across pages and completes in order', async function () {
+    const { S3Client } = await import('../functions/utils/s3client.js');
+    const { calls, parts } = mockS3();
+    const s3 = createClient(S3Client);
+
+    const result = await s3.putObjectMultipart('a.bin', new Blob([new Uint8Array(25)]), { partSize: 10 });
+    assert.deepStrictEqual(result, { etag: '"final"' });
+    assert.deepStrictEqual([...parts.values()].map(part => part.length), [10, 10, 5]);
+    assert.ok(calls.every(call => call.signed));
+    assert.match(calls.at(-1).body, /<Part><PartNumber>1<\/PartNumber><ETag>"etag-1"<\/ETag><\/Part>.*<PartNumber>3<\/PartNumber>/);
+
+    const listed = await s3.listParts('a.bin', 'upload-1');
+    assert.deepStrictEqual(listed.map(part => [part.partNumber, part.etag, part.size]),
+      [[1, '"etag-1"', 10], [2, '"etag-2"', 10], [3, '"etag-3"', 5]]);
+  });
+
+  it('aborts the upload when a part fails', async function () {
+    const { S3Client } = await import('../functions/utils/s3client.js');
+    const { calls } = mockS3({ failPart: 2 });
+    const s3 = createClient(S3Client);
+
+    await assert.rejects(
+      s3.putObjectMultipart('a.bin', new Blob([new Uint8Array(25)]), { partSize: 10 }),
+      /UploadPart failed \(503\)/
+    );
+    assert.strictEqual(calls.at(-1).method, 'DELETE');
+    assert.strictEqual(calls.at(-1).query, 'uploadId=upload-1');
+  });
+
+  it('refuses to complete a direct upload with a missing part', async function () {
+    const { S3Client } = await import('../functions/utils/s3client.js');
+    const { S3Backend } = await import('../functions/utils/backends/s3.js');
+    const { calls } = mockS3();
+    const s3 = createClient(S3Client);
+    await s3.uploadPart('a.bin', 'upload-1', 1, new Uint8Array(10));
+    await s3.uploadPart('a.bin', 'upload-1', 3, new Uint8Array(5));
+
+    const backend = new S3Backend({
+      S3_ENDPOINT: 'https://s3.example.com',
+      S3_BUCKET: 'bucket',
+      S3_ACCESS_KEY_ID: 'key',
+      S3_SECRET_ACCESS_KEY: 'secret'
+    });
+    await assert.rejects(
+      backend.completeMultipartUpload({ objectKey: 'a.bin', uploadId: 'upload-1' }, [], 3),
+      /S3 分片不完整/
+    );
+    assert.ok(!calls.some(call => call.method === 'POST'));
+  });
+});
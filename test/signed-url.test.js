@@ -0,0 +1,57 @@
+const assert = require('assert');
+
+describe('Signed URLs', function () {
+  const env = { URL_SIGNING_SECRET: 'signing-secret' };
+
+  function context(query = '', contextEnv = env) {
+    return { request: new Request(`https://example.com/file/a.png${query}`), env: contextEnv };
+  }
+
+  function future() {
+    return Math.floor(Date.now() / 1000) + 60;
+  }
+
+  it('accepts a valid signature and rejects tampered, expired or foreign ones', async function () {
+    const { signFile, checkSignedAccess } = await import('../functions/utils/signed-url.js');
+    const exp = future();
+    const sig = await signFile(env, 'img:a.png', exp);
+    assert.match(sig, /^[0-9a-f]{64}$/);
+
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${exp}&sig=${sig}`), 'img:a.png', {}), { allowed: true, signed: true });
+
+    const invalid = { allowed: false, signed: false, status: 403, reason: 'Invalid signature' };
+    const tampered = sig.slice(0, -1) + (sig.endsWith('0') ? '1' : '0');
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${exp}&sig=${tampered}`), 'img:a.png', {}), invalid);
+    // 签名绑定文件 Key 和过期时间
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${exp}&sig=${sig}`), 'img:b.png', {}), invalid);
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${exp + 3600}&sig=${sig}`), 'img:a.png', {}), invalid);
+    assert.deepStrictEqual(await checkSignedAccess(context(`?sig=${sig}`), 'img:a.png', {}), invalid);
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${exp}&sig=${sig}`, {}), 'img:a.png', {}), invalid);
+
+    const past = Math.floor(Date.now() / 1000) - 1;
+    const expired = await signFile(env, 'img:a.png', past);
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${past}&sig=${expired}`), 'img:a.png', {}),
+      { allowed: false, signed: false, status: 403, reason: 'Signature expired' });
+  });
+
+  it('requires a signature or an admin for private files', async function () {
+    const { signFile, checkSignedAccess } = await import('../functions/utils/signed-url.js');
+    const metadata = { private: true };
+    const exp = future();
+    const sig = await signFile(env, 'img:a.png', exp);
+
+    assert.deepStrictEqual(await checkSignedAccess(context(), 'img:a.png', {}), { allowed: true, signed: false });
+    assert.deepStrictEqual(await checkSignedAccess(context(), 'img:a.png', metadata),
+      { allowed: false, signed: false, status: 403, reason: 'Signature required' });
+    assert.deepStrictEqual(await checkSignedAccess(context(`?exp=${exp}&sig=${sig}`), 'img:a.png', metadata), { allowed: true, signed: true });
+
+    const adminEnv = { ...env, BASIC_USER: 'admin', BASIC_PASS: 'pass' };
+    const request = new Request('https://example.com/file/a.png', { headers: { Authorization: `Basic ${btoa('admin:pass')}` } });
+    assert.deepStrictEqual(await checkSignedAccess({ request, env: adminEnv }, 'img:a.png', metadata), { allowed: true, signed: false });
+  });
+
+  it('refuses to sign without a secret', async function () {
+    const { signFile } = await import('../functions/utils/signed-url.js');
+    await assert.rejects(signFile({}, 'img:a.png', future()), /URL_SIGNING_SECRET 未配置/);
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+
+describe('Metadata stripping', function () {
+  function ascii(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+  }
+
+  function segment(marker, payload) {
+    const length = payload.length + 2;
+    return [0xff, marker, length >> 8, length & 0xff, ...payload];
+  }
+
+  function markers(bytes) {
+    const found = [];
+    let offset = 2;
+    while (bytes[offset] === 0xff && bytes[offset + 1] !== 0xda) {
+      found.push(bytes[offset + 1]);
+      offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+    return found;
+  }
+
+  // 方向 6 + GPS IFD 指针的小端 TIFF
+  const tiff = [
+    0x49, 0x49, 42, 0, 8, 0, 0, 0,
+    2, 0,
+    0x12, 0x01, 3, 0, 1, 0, 0, 0, 6, 0, 0, 0,
+    0x25, 0x88, 4, 0, 1, 0, 0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0
+  ];
+  const jpeg = new Uint8Array([
+    0xff, 0xd8,
+    ...segment(0xe0, ascii('JFIF\0\x01\x01\0\0\x01\0\x01\0\0')),
+    ...segment(0xe1, [...ascii('Exif\0\0'), ...tiff]),
+    ...segment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>')),
+    ...segment(0xed, ascii('Photoshop 3.0\0')),
+    ...segment(0xfe, ascii('comment')),
+    ...segment(0xdb, new Array(65).fill(1)),
+    ...segment(0xc0, [8, 0, 10, 0, 20, 1, 1, 0x11, 0]),
+    0xff, 0xda, 0, 8, 1, 1, 0, 0, 0x3f, 0, 0x12, 0x34, 0xff, 0xd9
+  ]);
+
+  it('removes JPEG EXIF, XMP, IPTC and comments while keeping orientation', async function () {
+    const { stripMetadata } = await import('../functions/utils/strip-metadata.js');
+    const { readImageInfo } = await import('../functions/utils/image-metadata.js');
+
+    const kept = stripMetadata(jpeg, 'photo.jpg', { keepOrientation: true });
+    assert.deepStrictEqual(markers(kept), [0xe0, 0xe1, 0xdb, 0xc0]);
+    assert.strictEqual(readImageInfo(kept, 'photo.jpg').orientation, 6);
+    assert.ok(!Buffer.from(kept).includes(Buffer.from([0x25, 0x88])), 'GPS pointer removed');
+    assert.deepStrictEqual(Array.from(kept.slice(-6)), [0x3f, 0, 0x12, 0x34, 0xff, 0xd9]);
+
+    const dropped = stripMetadata(jpeg, 'photo.jpg', { keepOrientation: false });
+    assert.deepStrictEqual(markers(dropped), [0xe0, 0xdb, 0xc0]);
+    assert.strictEqual(readImageInfo(dropped, 'photo.jpg').orientation, undefined);
+  });
+
+  it('resolves options from env and upload parameters', async function () {
+    const { resolveStripOptions, stripMetadata } = await import('../functions/utils/strip-metadata.js');
+    assert.deepStrictEqual(resolveStripOptions({}, {}), { strip: false, keepOrientation: true });
+    assert.deepStrictEqual(resolveStripOptions({ STRIP_EXIF: 'true' }, {}), { strip: true, keepOrientation: true });
+    assert.deepStrictEqual(
+      resolveStripOptions({ STRIP_EXIF: 'true', STRIP_EXIF_KEEP_ORIENTATION: 'false' }, { stripExif: 'false' }),
+      { strip: false, keepOrientation: false }
+    );
+    assert.deepStrictEqual(resolveStripOptions({}, { stripExif: true, keepOrientation: '0' }), { strip: true, keepOrientation: false });
+
+    assert.strictEqual(stripMetadata(jpeg, 'notes.txt'), null);
+    assert.throws(() => stripMetadata(jpeg.slice(0, 30), 'photo.jpg'));
+  });
+});
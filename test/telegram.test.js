@@ -0,0 +1,139 @@
+const assert = require('assert');
+
+describe('Telegram backend', function () {
+  const originalFetch = globalThis.fetch;
+  afterEach(function () {
+    globalThis.fetch = originalFetch;
+  });
+
+  const fileId = 'BAACAgUAAxkDAAIBb2ZtelegramFilePathTest';
+
+  function mockKV() {
+    const values = new Map();
+    return {
+      values,
+      put: async (key, value) => { values.set(key, value); },
+      get: async (key) => values.get(key) ?? null,
+      delete: async (key) => { values.delete(key); }
+    };
+  }
+  const entry = { key: `${fileId}.mp4`, metadata: { storageType: 'telegram' } };
+
+  it('caches the path and re-resolves it when the download URL expires', async function () {
+    const { TelegramBackend } = await import('../functions/utils/backends/telegram.js');
+    const calls = { getFile: 0, download: [] };
+    let currentPath = 'videos/file_1.mp4';
+    globalThis.fetch = async (url) => {
+      url = String(url);
+      if (url.includes('/getFile?')) {
+        calls.getFile++;
+        return Response.json({ ok: true, result: { file_id: fileId, file_path: currentPath } });
+      }
+      calls.download.push(url);
+      return url.endsWith(currentPath) ? new Response('video') : new Response('Not Found', { status: 404 });
+    };
+
+    const backend = new TelegramBackend({ TG_Bot_Token: 'token', TG_Chat_ID: 'chat' });
+    assert.strictEqual(await (await backend.get(entry)).text(), 'video');
+    assert.strictEqual(await (await backend.get(entry)).text(), 'video');
+    assert.strictEqual(calls.getFile, 1);
+
+    // 路径过期：缓存的路径返回 404 后重新调用 getFile
+    currentPath = 'videos/file_2.mp4';
+    const response = await backend.get(entry);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(calls.getFile, 2);
+    assert.ok(calls.download.at(-1).endsWith('file_2.mp4'));
+  });
+
+  it('reports why getFile failed', async function () {
+    const { TelegramBackend } = await import('../functions/utils/backends/telegram.js');
+    globalThis.fetch = async () => Response.json(
+      { ok: false, error_code: 400, description: 'Bad Request: file is too big' },
+      { status: 400 }
+    );
+
+    const backend = new TelegramBackend({ TG_Bot_Token: 'token', TG_Chat_ID: 'chat' });
+    const response = await backend.get({ ...entry, key: 'BAACAgUAAxkDAAIBb2ZanotherTooBigFileId.mp4' });
+    assert.strictEqual(response.status, 413);
+    assert.match(await response.text(), /file is too big/);
+  });
+
+  it('splits files over 20MB into parts and reads them back as one file', async function () {
+    const { TelegramBackend } = await import('../functions/utils/backends/telegram.js');
+    const stored = new Map();
+    const deleted = [];
+    globalThis.fetch = async (url, init = {}) => {
+      url = String(url);
+      if (url.endsWith('/sendDocument')) {
+        const fileId = `BQACAgUAAxkDAAIBpart${stored.size}padding_file_id`;
+        stored.set(fileId, new Uint8Array(await init.body.get('document').arrayBuffer()));
+        return Response.json({ ok: true, result: { message_id: 100 + stored.size, document: { file_id: fileId } } });
+      }
+      if (url.includes('/getFile?')) {
+        const fileId = new URL(url).searchParams.get('file_id');
+        return Response.json({ ok: true, result: { file_id: fileId, file_path: `documents/${fileId}` } });
+      }
+      if (url.endsWith('/deleteMessage')) {
+        deleted.push(JSON.parse(init.body).message_id);
+        return Response.json({ ok: true, result: true });
+      }
+      const bytes = stored.get(url.split('/').pop());
+      const [, from, to] = new Headers(init.headers).get('Range').match(/bytes=(\d+)-(\d+)/);
+      return new Response(bytes.slice(Number(from), Number(to) + 1), { status: 206 });
+    };
+
+    const size = 40 * 1024 * 1024 + 5;
+    const content = new Uint8Array(size).map((_, i) => i % 253);
+    const kv = mockKV();
+    const backend = new TelegramBackend({ TG_Bot_Token: 'token', TG_Chat_ID: 'chat', img_url: kv });
+    const { key, metadata } = await backend.upload(new File([content], 'big.bin'), { fileName: 'big.bin', fileExtension: 'bin' });
+    assert.strictEqual(stored.size, 3);
+    assert.ok(key.startsWith('BQACAgUAAxkDAAIBpart0'));
+    assert.strictEqual(metadata.telegramSize, size);
+    // 分片列表不放在元数据中
+    assert.strictEqual(metadata.telegramParts, 3);
+    assert.strictEqual(kv.values.get(`tgparts:${key.split('.')[0]}`).split(',').length, 3);
+
+    const entry = { key, metadata: { storageType: 'telegram', ...metadata } };
+    assert.deepStrictEqual(await backend.head(entry), { size });
+
+    // 跨越第一、二个分片边界的 Range
+    const partSize = metadata.telegramPartSize;
+    const response = await backend.get(entry, { range: `bytes=${partSize - 3}-${partSize + 2}` });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('Content-Range'), `bytes ${partSize - 3}-${partSize + 2}/${size}`);
+    assert.deepStrictEqual(new Uint8Array(await response.arrayBuffer()), content.slice(partSize - 3, partSize + 3));
+
+    const full = await backend.get(entry);
+    assert.strictEqual(full.status, 200);
+    assert.deepStrictEqual(new Uint8Array(await full.arrayBuffer()), content);
+    assert.strictEqual((await backend.get(entry, { range: `bytes=${size}-` })).status, 416);
+
+    assert.strictEqual(await backend.delete(entry), true);
+    assert.deepStrictEqual(deleted, [101, 102, 103]);
+    assert.strictEqual(kv.values.size, 0);
+  });
+
+  it('deletes the sent parts when the part list cannot be saved', async function () {
+    const { TelegramBackend } = await import('../functions/utils/backends/telegram.js');
+    const deleted = [];
+    let sent = 0;
+    globalThis.fetch = async (url, init = {}) => {
+      if (String(url).endsWith('/deleteMessage')) {
+        deleted.push(JSON.parse(init.body).message_id);
+        return Response.json({ ok: true, result: true });
+      }
+      sent++;
+      return Response.json({ ok: true, result: { message_id: 100 + sent, document: { file_id: `BQACAgUAAxkDAAIBpart${sent}padding_file_id` } } });
+    };
+
+    const kv = { put: async () => { throw new Error('KV put failed'); } };
+    const backend = new TelegramBackend({ TG_Bot_Token: 'token', TG_Chat_ID: 'chat', img_url: kv });
+    await assert.rejects(
+      backend.upload(new File([new Uint8Array(21 * 1024 * 1024)], 'big.bin'), { fileName: 'big.bin', fileExtension: 'bin' }),
+      /KV put failed/
+    );
+    assert.deepStrictEqual(deleted, [101, 102]);
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+
+describe('Scheduled purges', function () {
+  function mockEnv() {
+    const kv = new Map();
+    const deleted = [];
+    let failures = 1;
+    return {
+      TRASH_RETENTION_DAYS: '1',
+      img_url: {
+        put: (key, value, options = {}) => {
+          kv.set(key, { value, metadata: options.metadata });
+          return Promise.resolve();
+        },
+        get: (key) => Promise.resolve(kv.has(key) ? kv.get(key).value : null),
+        getWithMetadata: (key) => Promise.resolve(kv.get(key) || { value: null, metadata: null }),
+        delete: (key) => {
+          kv.delete(key);
+          return Promise.resolve();
+        },
+        list: ({ prefix = '' } = {}) => Promise.resolve({
+          keys: [...kv.keys()].filter(key => key.startsWith(prefix)).sort().map(name => ({ name, metadata: kv.get(name).metadata })),
+          list_complete: true
+        })
+      },
+      // 副本 r2-copy 第一次删除失败
+      R2_BUCKET: {
+        delete: (key) => {
+          if (key === 'r2-copy' && failures-- > 0) return Promise.reject(new Error('R2 unavailable'));
+          deleted.push(key);
+          return Promise.resolve();
+        }
+      },
+      kv,
+      deleted
+    };
+  }
+
+  it('keeps the record when a replica delete fails and retries only that replica', async function () {
+    const { updateFileIndex, fileIndexKey } = await import('../functions/utils/file-index.js');
+    const { purgeExpiredTrash } = await import('../functions/utils/trash.js');
+    const env = mockEnv();
+    const metadata = {
+      fileName: 'a.png',
+      TimeStamp: 1,
+      storageType: 'r2',
+      trashedAt: 1,
+      replicas: [{ key: 'r2-copy', storageType: 'r2', r2Key: 'r2-copy' }]
+    };
+    await env.img_url.put('r2:a.png', '', { metadata });
+    await updateFileIndex(env.img_url, 'r2:a.png', metadata, 'r2');
+
+    const first = await purgeExpiredTrash(env);
+    assert.deepStrictEqual(first.purged, []);
+    assert.deepStrictEqual(first.failed, [{ key: 'r2:a.png', error: 'r2: R2 unavailable', attempts: 1 }]);
+    assert.deepStrictEqual(env.deleted, ['a.png']);
+    const kept = env.kv.get('r2:a.png').metadata;
+    assert.deepStrictEqual(kept.purge, { attempts: 1, deleted: [0], error: 'r2: R2 unavailable' });
+    assert.strictEqual(env.kv.get(fileIndexKey('r2:a.png', kept)).metadata.purgeAttempts, 1);
+
+    const second = await purgeExpiredTrash(env);
+    assert.deepStrictEqual(second, { purged: ['r2:a.png'], failed: [], remaining: false });
+    assert.deepStrictEqual(env.deleted, ['a.png', 'r2-copy']);
+    assert.ok(!env.kv.has('r2:a.png'));
+    assert.ok(!env.kv.has(fileIndexKey('r2:a.png', kept)));
+  });
+
+  it('keeps expired uploads whose remote delete failed for the next run', async function () {
+    const { updateFileIndex } = await import('../functions/utils/file-index.js');
+    const { purgeExpiredUploads } = await import('../functions/utils/expiry.js');
+    const env = mockEnv();
+    const metadata = { fileName: 'b.png', TimeStamp: 1, storageType: 'r2', r2Key: 'r2-copy', expiresAt: 1 };
+    await env.img_url.put('r2:b.png', '', { metadata });
+    await updateFileIndex(env.img_url, 'r2:b.png', metadata, 'r2');
+
+    const first = await purgeExpiredUploads(env);
+    assert.deepStrictEqual(first.deleted, []);
+    assert.strictEqual(first.failed[0].attempts, 1);
+    assert.ok(env.kv.get('r2:b.png').metadata.trashedAt);
+
+    assert.deepStrictEqual((await purgeExpiredUploads(env)).deleted, ['r2:b.png']);
+    assert.deepStrictEqual(env.deleted, ['r2-copy']);
+    assert.ok(!env.kv.has('r2:b.png'));
+  });
+});
@@ -0,0 +1,20 @@
+const assert = require('assert');
+
+describe('Upload compression options', function () {
+  it('parses compress, maxWidth, targetFormat and quality', async function () {
+    const { parseCompressOptions } = await import('../functions/utils/upload-compress.js');
+
+    assert.strictEqual(parseCompressOptions({}), null);
+    assert.strictEqual(parseCompressOptions({ compress: 'false' }), null);
+    assert.deepStrictEqual(parseCompressOptions({ compress: 'true' }), { maxWidth: null, format: null, quality: null });
+    // 只给 maxWidth 或 targetFormat 也视为开启
+    assert.deepStrictEqual(
+      parseCompressOptions({ maxWidth: '1920', targetFormat: 'JPG', quality: '70' }),
+      { maxWidth: 1920, format: 'jpeg', quality: 70 }
+    );
+
+    assert.throws(() => parseCompressOptions({ maxWidth: '0' }), /maxWidth/);
+    assert.throws(() => parseCompressOptions({ targetFormat: 'gif' }), /targetFormat/);
+    assert.throws(() => parseCompressOptions({ compress: true, quality: 150 }), /quality/);
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+
+describe('View limits', function () {
+  function mockEnv(metadata) {
+    const kv = new Map([['r2:a.mp4', { value: '', metadata }]]);
+    const data = new Uint8Array(10);
+    const object = (bytes) => ({ size: bytes.length, body: new Blob([bytes]).stream() });
+    return {
+      img_url: {
+        put: (key, value, options = {}) => {
+          kv.set(key, { value, metadata: options.metadata });
+          return Promise.resolve();
+        },
+        get: (key) => Promise.resolve(kv.has(key) ? kv.get(key).value : null),
+        getWithMetadata: (key) => Promise.resolve(kv.get(key) || { value: null, metadata: null })
+      },
+      R2_BUCKET: {
+        head: () => Promise.resolve({ size: data.length }),
+        get: (key, options = {}) => Promise.resolve(options.range
+          ? object(data.slice(options.range.offset, options.range.offset + options.range.length))
+          : object(data))
+      },
+      kv
+    };
+  }
+
+  async function request(env, headers = {}, method = 'GET') {
+    const { onRequest } = await import('../functions/file/[id].js');
+    const response = await onRequest({
+      request: new Request('https://example.com/file/r2:a.mp4', { method, headers }),
+      env,
+      params: { id: 'r2:a.mp4' },
+      waitUntil: () => {}
+    });
+    await response.arrayBuffer();
+    return response;
+  }
+
+  it('counts full reads and ranges from the first byte, not later ranges or HEAD', async function () {
+    const env = mockEnv({ storageType: 'r2', fileName: 'a.mp4', TimeStamp: 1, maxViews: 3 });
+    const views = () => env.kv.get('r2:a.mp4').metadata.views || 0;
+
+    const first = await request(env, { Range: 'bytes=0-' });
+    assert.strictEqual(first.status, 206);
+    assert.strictEqual(views(), 1);
+
+    assert.strictEqual((await request(env, { Range: 'bytes=5-' })).status, 206);
+    assert.strictEqual((await request(env, {}, 'HEAD')).status, 200);
+    assert.strictEqual(views(), 1);
+
+    assert.strictEqual((await request(env)).status, 200);
+    assert.strictEqual((await request(env, { Range: 'bytes=0-3' })).status, 206);
+    assert.strictEqual(views(), 3);
+    assert.strictEqual((await request(env, { Range: 'bytes=0-' })).status, 410);
+  });
+});
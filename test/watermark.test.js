@@ -0,0 +1,40 @@
+const assert = require('assert');
+
+describe('Watermark', function () {
+  it('validates and merges settings', async function () {
+    const { normalizeWatermarkSettings, DEFAULT_WATERMARK } = await import('../functions/utils/watermark.js');
+
+    const settings = normalizeWatermarkSettings({ enabled: true, text: ' (c) Katelya ', color: '#FF8800', opacity: '0.3' });
+    assert.deepStrictEqual(settings, {
+      ...DEFAULT_WATERMARK,
+      enabled: true,
+      text: '(c) Katelya',
+      color: '#ff8800',
+      opacity: 0.3
+    });
+    // 未提供的字段沿用当前值
+    assert.strictEqual(normalizeWatermarkSettings({ position: 'center' }, settings).text, '(c) Katelya');
+
+    assert.throws(() => normalizeWatermarkSettings({ enabled: true }), /text/);
+    assert.throws(() => normalizeWatermarkSettings({ text: '水印' }), /图片水印/);
+    assert.throws(() => normalizeWatermarkSettings({ position: 'left' }), /position/);
+    assert.throws(() => normalizeWatermarkSettings({ opacity: 2 }), /opacity/);
+    assert.throws(() => normalizeWatermarkSettings({ color: 'red' }), /color/);
+  });
+
+  it('renders text with the bitmap font', async function () {
+    const { renderText } = await import('../functions/utils/pixel-font.js');
+    const { data, width, height } = renderText('I', [255, 0, 0], 2);
+    assert.strictEqual(width, 10);
+    assert.strictEqual(height, 14);
+
+    // I 的中间一列（第 3 列）从上到下都是笔画
+    const opaqueRows = [];
+    for (let y = 0; y < height; y++) {
+      if (data[(y * width + 4) * 4 + 3] === 255) opaqueRows.push(y);
+    }
+    assert.strictEqual(opaqueRows.length, height);
+    assert.deepStrictEqual(Array.from(data.slice(0, 4)), [0, 0, 0, 0]);
+    assert.deepStrictEqual(Array.from(data.slice(8, 12)), [255, 0, 0, 255]);
+  });
+});